@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+
+/**
+ * PAPER RESET
+ *
+ * Wipes the saved paper portfolio (balances, open orders, fill history)
+ * back to PAPER_STARTING_BALANCE. Stop the bot first, otherwise the
+ * running process will overwrite the file with its in-memory state.
+ *
+ * Usage:
+ *   npm run paper-reset
+ */
+
+import chalk from 'chalk';
+import { config } from '../src/config/index.js';
+import { PaperExchange, PAPER_STATE_PATH } from '../src/exchange/paper.js';
+
+const paper = new PaperExchange({ statePath: PAPER_STATE_PATH });
+const assets = config.trading.pairs.map(pair => pair.replace('USDT', ''));
+paper.reset(config.paper.startingBalance, assets);
+
+console.log(chalk.green(`Paper portfolio reset to ${config.paper.startingBalance} USDT (${PAPER_STATE_PATH})`));
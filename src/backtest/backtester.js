@@ -0,0 +1,279 @@
+import { config } from '../config/index.js';
+import { RiskManager } from '../engine/risk.js';
+import { createStrategy, getStrategyForPair } from '../strategy/index.js';
+import { getActiveFilters, runFilters, mergeTimeframes } from '../strategy/filters.js';
+import { aggregateCandles, HOUR_MS } from './loader.js';
+
+const INTERVAL_MS = {
+    '1h': HOUR_MS,
+    '4h': 4 * HOUR_MS,
+    '1d': 24 * HOUR_MS,
+};
+
+/**
+ * Backtester
+ * Replays historical 1h candles through the pair's entry strategy, risk sizing
+ * and exit points, simulating OCO take-profit/stop-loss fills candle by candle.
+ *
+ * News/LLM analysis cannot be replayed, so every technical signal is treated
+ * as a BUY with a fixed confidence (and optional target gain). Each trade
+ * exits through one OCO: the live take-profit ladder, break-even move and
+ * trailing stops are not simulated.
+ */
+export class Backtester {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.startingBalance] - Initial USDT equity
+     * @param {number} [options.feeRate] - Fee per fill (0.001 = 0.1%)
+     * @param {number} [options.confidence] - Assumed LLM confidence for sizing
+     * @param {number|null} [options.targetGain] - Assumed LLM target gain in %
+     * @param {number} [options.maxOpenTrades] - Concurrent satellite positions
+     * @param {string} [options.strategy] - Strategy for every pair (default: STRATEGY / PAIR_STRATEGIES)
+     * @param {string[]} [options.filters] - Technical filters (default: TECH_FILTERS)
+     * @param {Function} [options.evaluate] - (candles1h, candles4h) => { signal }, overrides the strategy and filters
+     */
+    constructor(options = {}) {
+        this.startingBalance = options.startingBalance ?? config.paper.startingBalance;
+        this.feeRate = options.feeRate ?? config.trading.feeRate;
+        this.confidence = options.confidence ?? config.confidence.minToTrade;
+        this.targetGain = options.targetGain ?? null;
+        this.maxOpenTrades = options.maxOpenTrades ?? config.risk.maxOpenSatelliteTrades;
+        this.strategy = options.strategy ? createStrategy(options.strategy) : null;
+        this.filters = getActiveFilters(options.filters);
+        if (options.evaluate) {
+            this.filters = [];
+            this.strategy = {
+                name: 'custom',
+                timeframes: { '1h': 50, '4h': 30 },
+                evaluate: candles => options.evaluate(candles['1h'], candles['4h']),
+            };
+        }
+
+        // Isolated risk manager on simulated time, so backtests never touch the
+        // live stats and daily breakers roll over with the replayed candles
+        this.currentTime = 0;
+        this.riskManager = new RiskManager({ persist: false, clock: () => this.currentTime });
+    }
+
+    /**
+     * Run the simulation
+     * @param {Object<string, Array>} candlesBySymbol - Sorted 1h candles per symbol
+     */
+    run(candlesBySymbol) {
+        const symbols = Object.keys(candlesBySymbol);
+        const indexBySymbol = {};
+        const timeline = new Set();
+
+        for (const symbol of symbols) {
+            indexBySymbol[symbol] = new Map(candlesBySymbol[symbol].map((c, i) => [c.openTime, i]));
+            candlesBySymbol[symbol].forEach(c => timeline.add(c.openTime));
+        }
+
+        this.cash = this.startingBalance;
+        this.positions = {};
+        this.trades = [];
+        this.equityCurve = [];
+        this.lastPrices = {};
+
+        for (const time of [...timeline].sort((a, b) => a - b)) {
+            this.currentTime = time;
+
+            // 1. Resolve exits first: positions opened on earlier candles
+            for (const symbol of symbols) {
+                const i = indexBySymbol[symbol].get(time);
+                if (i === undefined) continue;
+
+                const candle = candlesBySymbol[symbol][i];
+                if (this.positions[symbol]) {
+                    this.checkExit(symbol, candle);
+                }
+                this.lastPrices[symbol] = candle.close;
+            }
+
+            const equity = this.getEquity();
+            this.riskManager.updateBalance(equity);
+            this.equityCurve.push({ time, equity });
+
+            // 2. Look for new entries at the candle close
+            for (const symbol of symbols) {
+                const i = indexBySymbol[symbol].get(time);
+                if (i === undefined) continue;
+                if (this.positions[symbol]) continue;
+                if (Object.keys(this.positions).length >= this.maxOpenTrades) break;
+                if (!this.riskManager.canTrade()) break;
+
+                const strategy = this.strategy || getStrategyForPair(symbol);
+                const candles = this.sliceCandles(candlesBySymbol[symbol], i, mergeTimeframes(strategy.timeframes, ...this.filters.map(f => f.timeframes)));
+                if (!candles) continue;
+
+                if (this.filters.length) {
+                    const stats24h = this.get24hStats(candlesBySymbol[symbol], i);
+                    if (!runFilters(this.filters, { symbol, candles, stats24h }).passed) continue;
+                }
+
+                const strategyCandles = Object.fromEntries(
+                    Object.entries(strategy.timeframes).map(([interval, count]) => [interval, candles[interval].slice(-count)])
+                );
+                const technicals = strategy.evaluate(strategyCandles, { symbol });
+                if (technicals.signal && !technicals.veto) {
+                    const atr = this.riskManager.getAtr(candlesBySymbol[symbol].slice(Math.max(0, i - 2 * config.technicals.atrPeriod), i + 1));
+                    this.openPosition(symbol, candlesBySymbol[symbol][i], equity, { atr });
+                }
+            }
+        }
+
+        return this.buildReport();
+    }
+
+    /**
+     * Candles a strategy would have seen at the close of 1h candle i.
+     * Higher timeframes are built from 1h (the last bucket still forming)
+     * and may be shorter than asked for early in the data, like a new listing.
+     * @returns {Object|null} null until the 1h lookback is complete
+     */
+    sliceCandles(candles, i, timeframes) {
+        const result = {};
+        for (const [interval, count] of Object.entries(timeframes)) {
+            const hours = INTERVAL_MS[interval] / HOUR_MS;
+            if (!hours) {
+                throw new Error(`Backtests don't support the ${interval} timeframe`);
+            }
+            if (hours === 1 && i < count - 1) return null;
+
+            result[interval] = hours === 1
+                ? candles.slice(i - count + 1, i + 1)
+                : aggregateCandles(candles.slice(Math.max(0, i - count * hours - hours), i + 1), INTERVAL_MS[interval]).slice(-count);
+        }
+        return result;
+    }
+
+    /**
+     * Rolling 24h ticker stats from the last 24 1h candles. Data without a
+     * quote volume column falls back to volume * close.
+     */
+    get24hStats(candles, i) {
+        const day = candles.slice(Math.max(0, i - 23), i + 1);
+        const quoteVolume = day.reduce((sum, c) => sum + (c.quoteVolume || c.volume * c.close), 0);
+        return { quoteVolume };
+    }
+
+    openPosition(symbol, candle, equity, { atr = null } = {}) {
+        const price = candle.close;
+        const stopPercent = this.riskManager.getStopPercent(price, atr);
+        const tradeSizeUsdt = this.riskManager.calculatePositionSize(equity, this.confidence, { stopPercent });
+        if (tradeSizeUsdt <= 0) return;
+
+        const entryFee = tradeSizeUsdt * this.feeRate;
+        if (tradeSizeUsdt + entryFee > this.cash) return;
+
+        const { stopLoss, takeProfit } = this.riskManager.getExitPoints(price, 'BUY', this.targetGain, { atr });
+
+        this.cash -= tradeSizeUsdt + entryFee;
+        this.positions[symbol] = {
+            symbol,
+            entryTime: candle.closeTime,
+            entryPrice: price,
+            quantity: tradeSizeUsdt / price,
+            cost: tradeSizeUsdt,
+            entryFee,
+            stopLoss,
+            takeProfit,
+        };
+        this.riskManager.recordTrade();
+    }
+
+    /**
+     * OCO fill simulation. When a candle touches both legs we cannot know
+     * which came first, so the stop-loss wins (pessimistic).
+     */
+    checkExit(symbol, candle) {
+        const position = this.positions[symbol];
+        let exitPrice = null;
+        let reason = null;
+
+        if (candle.low <= position.stopLoss) {
+            // Gap through the stop fills at the open
+            exitPrice = Math.min(candle.open, position.stopLoss);
+            reason = 'SL';
+        } else if (candle.high >= position.takeProfit) {
+            exitPrice = position.takeProfit;
+            reason = 'TP';
+        }
+
+        if (exitPrice !== null) {
+            this.closePosition(symbol, exitPrice, candle.openTime, reason);
+        }
+    }
+
+    closePosition(symbol, exitPrice, time, reason) {
+        const position = this.positions[symbol];
+        const proceeds = position.quantity * exitPrice;
+        const exitFee = proceeds * this.feeRate;
+        const fees = position.entryFee + exitFee;
+        const pnl = proceeds - position.cost - fees;
+
+        this.cash += proceeds - exitFee;
+        delete this.positions[symbol];
+
+        this.trades.push({
+            symbol,
+            entryTime: position.entryTime,
+            exitTime: time,
+            entryPrice: position.entryPrice,
+            exitPrice,
+            quantity: position.quantity,
+            fees,
+            pnl,
+            pnlPercent: pnl / position.cost,
+            reason,
+        });
+    }
+
+    getEquity() {
+        let equity = this.cash;
+        for (const position of Object.values(this.positions)) {
+            equity += position.quantity * (this.lastPrices[position.symbol] ?? position.entryPrice);
+        }
+        return equity;
+    }
+
+    buildReport() {
+        const finalEquity = this.getEquity();
+        const wins = this.trades.filter(t => t.pnl > 0);
+
+        let peak = this.startingBalance;
+        let maxDrawdown = 0;
+        for (const point of this.equityCurve) {
+            peak = Math.max(peak, point.equity);
+            maxDrawdown = Math.max(maxDrawdown, 1 - point.equity / peak);
+        }
+
+        const bySymbol = {};
+        for (const trade of this.trades) {
+            const stats = bySymbol[trade.symbol] || (bySymbol[trade.symbol] = { trades: 0, wins: 0, pnl: 0 });
+            stats.trades++;
+            if (trade.pnl > 0) stats.wins++;
+            stats.pnl += trade.pnl;
+        }
+
+        return {
+            startingBalance: this.startingBalance,
+            finalEquity,
+            netPnL: finalEquity - this.startingBalance,
+            returnPercent: finalEquity / this.startingBalance - 1,
+            totalFees: this.trades.reduce((sum, t) => sum + t.fees, 0),
+            realizedPnL: this.trades.reduce((sum, t) => sum + t.pnl, 0),
+            tradesCount: this.trades.length,
+            wins: wins.length,
+            losses: this.trades.length - wins.length,
+            winRate: this.trades.length ? wins.length / this.trades.length : 0,
+            maxDrawdown,
+            openPositions: Object.values(this.positions),
+            bySymbol,
+            trades: this.trades,
+            equityCurve: this.equityCurve,
+        };
+    }
+}
+
+export default Backtester;
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import { join } from 'path';
+
+export const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Historical Kline Loader
+ * Reads Binance klines from local CSV/JSON files into the same candle shape
+ * returned by binance.getCandles()
+ */
+
+/**
+ * Binance Vision dumps switched to microsecond timestamps in 2025
+ */
+function toMillis(timestamp) {
+    const value = Number(timestamp);
+    return value > 1e14 ? Math.floor(value / 1000) : value;
+}
+
+/**
+ * Normalize one kline: raw REST/CSV array or an object from getCandles()
+ */
+export function normalizeKline(row) {
+    if (Array.isArray(row)) {
+        return {
+            openTime: toMillis(row[0]),
+            open: parseFloat(row[1]),
+            high: parseFloat(row[2]),
+            low: parseFloat(row[3]),
+            close: parseFloat(row[4]),
+            volume: parseFloat(row[5]),
+            closeTime: toMillis(row[6]),
+            quoteVolume: parseFloat(row[7] ?? 0),
+        };
+    }
+
+    return {
+        openTime: toMillis(row.openTime),
+        open: parseFloat(row.open),
+        high: parseFloat(row.high),
+        low: parseFloat(row.low),
+        close: parseFloat(row.close),
+        volume: parseFloat(row.volume),
+        closeTime: toMillis(row.closeTime),
+        quoteVolume: parseFloat(row.quoteVolume ?? 0),
+    };
+}
+
+/**
+ * Parse a kline CSV (with or without a header row)
+ */
+export function parseCsv(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map(line => line.split(','))
+        .filter(cols => !isNaN(parseFloat(cols[0]))) // Skip header rows
+        .map(normalizeKline);
+}
+
+/**
+ * Parse a JSON kline file (array of arrays or array of candle objects)
+ */
+export function parseJson(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+        throw new Error('JSON kline file must contain an array');
+    }
+    return data.map(normalizeKline);
+}
+
+/**
+ * Load all 1h candles for a symbol from a directory.
+ * Every file starting with the symbol name is used, so monthly
+ * dumps like BTCUSDT-1h-2024-01.csv can sit side by side.
+ */
+export function loadCandles(dataDir, symbol) {
+    if (!fs.existsSync(dataDir)) {
+        throw new Error(`Backtest data directory not found: ${dataDir}`);
+    }
+
+    const files = fs.readdirSync(dataDir)
+        .filter(f => f.startsWith(symbol) && (f.endsWith('.csv') || f.endsWith('.json')))
+        .sort();
+
+    if (files.length === 0) {
+        throw new Error(`No kline files found for ${symbol} in ${dataDir}`);
+    }
+
+    const byOpenTime = new Map();
+    for (const file of files) {
+        const text = fs.readFileSync(join(dataDir, file), 'utf8');
+        const candles = file.endsWith('.json') ? parseJson(text) : parseCsv(text);
+        for (const candle of candles) {
+            byOpenTime.set(candle.openTime, candle);
+        }
+    }
+
+    return [...byOpenTime.values()].sort((a, b) => a.openTime - b.openTime);
+}
+
+/**
+ * Roll candles up into a larger interval (e.g. 1h -> 4h).
+ * The last bucket may be incomplete, just like the live 4h candle.
+ */
+export function aggregateCandles(candles, intervalMs) {
+    const buckets = [];
+    let current = null;
+
+    for (const c of candles) {
+        const bucketStart = Math.floor(c.openTime / intervalMs) * intervalMs;
+
+        if (!current || current.openTime !== bucketStart) {
+            current = {
+                openTime: bucketStart,
+                open: c.open,
+                high: c.high,
+                low: c.low,
+                close: c.close,
+                volume: c.volume,
+                closeTime: bucketStart + intervalMs - 1,
+                quoteVolume: c.quoteVolume,
+            };
+            buckets.push(current);
+            continue;
+        }
+
+        current.high = Math.max(current.high, c.high);
+        current.low = Math.min(current.low, c.low);
+        current.close = c.close;
+        current.volume += c.volume;
+        current.quoteVolume += c.quoteVolume;
+    }
+
+    return buckets;
+}
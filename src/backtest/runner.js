@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * BACKTEST RUNNER
+ *
+ * Replays local 1h klines through the live entry/exit rules.
+ * Files are looked up as <SYMBOL>*.csv / <SYMBOL>*.json inside the data
+ * directory (Binance Vision monthly dumps work as-is).
+ *
+ * Usage:
+ *   npm run backtest -- --data data/backtest --pairs BTCUSDT,SOLUSDT
+ *   npm run backtest -- --from 2024-01-01 --to 2024-07-01 --confidence 80 --out equity.csv
+ *   npm run backtest -- --strategy bollinger --pairs SOLUSDT
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import chalk from 'chalk';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { Backtester } from './backtester.js';
+import { loadCandles } from './loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CHART_WIDTH = 60;
+const CHART_HEIGHT = 12;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function printUsage() {
+    console.log(chalk.yellow(`Usage: npm run backtest -- [options]
+
+  --data <dir>          Kline directory (default: data/backtest)
+  --pairs <list>        Comma-separated symbols (default: TRADING_PAIRS)
+  --balance <usdt>      Starting equity (default: PAPER_STARTING_BALANCE)
+  --fee <rate>          Fee per fill, 0.001 = 0.1% (default: TRADING_FEE_RATE)
+  --confidence <0-100>  Assumed LLM confidence for sizing (default: MIN_CONFIDENCE_TO_TRADE)
+  --target-gain <pct>   Assumed LLM target gain (default: DEFAULT_TAKE_PROFIT)
+  --strategy <name>     Entry strategy for all pairs (default: STRATEGY / PAIR_STRATEGIES)
+  --from <date>         Start date (YYYY-MM-DD)
+  --to <date>           End date (YYYY-MM-DD)
+  --out <file>          Write the full equity curve as CSV`));
+}
+
+/**
+ * Render the equity curve as a small ASCII chart
+ */
+function renderEquityChart(equityCurve) {
+    if (equityCurve.length < 2) return '';
+
+    const step = Math.max(1, Math.ceil(equityCurve.length / CHART_WIDTH));
+    const points = [];
+    for (let i = 0; i < equityCurve.length; i += step) {
+        points.push(equityCurve[i].equity);
+    }
+
+    const min = Math.min(...points);
+    const max = Math.max(...points);
+    const range = max - min || 1;
+
+    const rows = [];
+    for (let row = CHART_HEIGHT - 1; row >= 0; row--) {
+        const level = min + (range * row) / (CHART_HEIGHT - 1);
+        const line = points.map(p => (Math.round(((p - min) / range) * (CHART_HEIGHT - 1)) === row ? '•' : ' ')).join('');
+        rows.push(`${level.toFixed(2).padStart(10)} │${line}`);
+    }
+    rows.push(`${' '.repeat(10)} └${'─'.repeat(points.length)}`);
+    return rows.join('\n');
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+function printReport(report, { from, to }) {
+    const pnlColor = report.netPnL >= 0 ? chalk.green : chalk.red;
+
+    console.log(chalk.blue('\n--- Backtest Report ---'));
+    console.log(`Period:          ${from} → ${to}`);
+    console.log(`Starting equity: ${report.startingBalance.toFixed(2)} USDT`);
+    console.log(`Final equity:    ${report.finalEquity.toFixed(2)} USDT`);
+    console.log(`Net PnL:         ${pnlColor(`${report.netPnL.toFixed(2)} USDT (${formatPercent(report.returnPercent)})`)}`);
+    console.log(`Realized PnL:    ${report.realizedPnL.toFixed(2)} USDT (after ${report.totalFees.toFixed(2)} USDT fees)`);
+    console.log(`Trades:          ${report.tradesCount} (${report.wins} wins / ${report.losses} losses)`);
+    console.log(`Win rate:        ${formatPercent(report.winRate)}`);
+    console.log(`Max drawdown:    ${chalk.red(formatPercent(report.maxDrawdown))}`);
+
+    if (report.openPositions.length > 0) {
+        console.log(`Still open:      ${report.openPositions.map(p => p.symbol).join(', ')}`);
+    }
+
+    const symbols = Object.entries(report.bySymbol);
+    if (symbols.length > 0) {
+        console.log(chalk.blue('\nPer pair:'));
+        for (const [symbol, stats] of symbols) {
+            console.log(`  ${symbol.padEnd(10)} ${String(stats.trades).padStart(4)} trades  ${formatPercent(stats.wins / stats.trades).padStart(7)} win  ${stats.pnl.toFixed(2).padStart(10)} USDT`);
+        }
+    }
+
+    console.log(chalk.blue('\nEquity curve:'));
+    console.log(renderEquityChart(report.equityCurve));
+    console.log(chalk.blue('-----------------------\n'));
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        printUsage();
+        return;
+    }
+
+    // Keep simulated breakers and trades out of the live log files
+    logger.silent = true;
+
+    const dataDir = resolve(args.data || join(__dirname, '../../data/backtest'));
+    const pairs = args.pairs ? String(args.pairs).split(',') : config.trading.pairs;
+    const fromTime = args.from ? Date.parse(args.from) : -Infinity;
+    const toTime = args.to ? Date.parse(args.to) : Infinity;
+
+    const candlesBySymbol = {};
+    for (const pair of pairs) {
+        candlesBySymbol[pair] = loadCandles(dataDir, pair)
+            .filter(c => c.openTime >= fromTime && c.openTime < toTime);
+        console.log(chalk.gray(`Loaded ${candlesBySymbol[pair].length} candles for ${pair}`));
+    }
+
+    const backtester = new Backtester({
+        startingBalance: args.balance ? parseFloat(args.balance) : undefined,
+        feeRate: args.fee ? parseFloat(args.fee) : undefined,
+        confidence: args.confidence ? parseFloat(args.confidence) : undefined,
+        targetGain: args['target-gain'] ? parseFloat(args['target-gain']) : undefined,
+        strategy: args.strategy || undefined,
+    });
+
+    const report = backtester.run(candlesBySymbol);
+    const curve = report.equityCurve;
+    printReport(report, {
+        from: curve.length ? new Date(curve[0].time).toISOString().split('T')[0] : '-',
+        to: curve.length ? new Date(curve[curve.length - 1].time).toISOString().split('T')[0] : '-',
+    });
+
+    if (args.out) {
+        const lines = ['time,equity', ...curve.map(p => `${new Date(p.time).toISOString()},${p.equity.toFixed(4)}`)];
+        fs.writeFileSync(args.out, lines.join('\n'));
+        console.log(chalk.gray(`Equity curve written to ${args.out}`));
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(chalk.red(`Backtest failed: ${error.message}`));
+    process.exit(1);
+}
@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import cron from 'node-cron';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,8 +24,69 @@ export const config = {
   // LLM Provider
   llm: {
     provider: process.env.LLM_PROVIDER || 'gemini',
+    fallback: process.env.LLM_FALLBACK !== 'false',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
     geminiKey: process.env.GEMINI_API_KEY || '',
+    geminiModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
     openaiKey: process.env.OPENAI_API_KEY || '',
+    openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    openaiSearchModel: process.env.OPENAI_SEARCH_MODEL || '',
+  },
+
+  // Multi-model consensus (see src/signal/consensus.js)
+  consensus: {
+    // "provider[:model][/prompt][=weight]" voters, e.g.
+    // gemini:gemini-2.0-flash,openai:gpt-4o-mini,gemini/skeptic=0.5 (empty: one analysis through LLM_PROVIDER)
+    voters: (process.env.CONSENSUS_VOTERS || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean)
+      .map((spec) => {
+        const [, provider = '', model = '', prompt = 'default', weight = '1'] = spec.match(/^([^:/=]+)(?::([^/=]+))?(?:\/([^=]+))?(?:=(.+))?$/) || [];
+        return { spec, provider, model, prompt, weight: parseFloat(weight) };
+      }),
+    // majority: mean confidence of the winners; min-confidence: lowest confidence of the winners;
+    // weighted: weight x confidence averaged over every voter, dissenters count as 0
+    method: process.env.CONSENSUS_METHOD || 'majority',
+    // Share of the total voter weight that must back an action (failed voters count against it)
+    quorum: parseFloat(process.env.CONSENSUS_QUORUM) || 0.66,
+  },
+
+  // News Sources (see src/signal/news)
+  news: {
+    // rss | api | files | search (LLM web search: no links, can't be audited)
+    sources: (process.env.NEWS_SOURCES || 'rss').split(',').map(s => s.trim()).filter(Boolean),
+    rssFeeds: (process.env.NEWS_RSS_FEEDS || 'https://www.coindesk.com/arc/outboundfeeds/rss/,https://cointelegraph.com/rss')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    // JSON API; {symbol}/{asset} are replaced per pair, e.g. ...&currencies={asset}
+    apiUrl: process.env.NEWS_API_URL || '',
+    apiItemsPath: process.env.NEWS_API_ITEMS_PATH || 'results',
+    // "field:path" pairs mapping the API's posts to news items (CryptoPanic by default)
+    apiFields: {
+      title: 'title',
+      url: 'url',
+      publishedAt: 'published_at',
+      source: 'source.title',
+      summary: 'description',
+      ...Object.fromEntries(
+        (process.env.NEWS_API_FIELDS || '').split(',').filter(Boolean).map(entry => entry.split(':').map(s => s.trim()))
+      ),
+    },
+    // File or directory of .json / .txt news
+    path: process.env.NEWS_PATH || join(__dirname, '../../data/news'),
+    // Extra names per pair for matching feed items, e.g. SOLUSDT:solana|sol network
+    keywords: Object.fromEntries(
+      (process.env.NEWS_KEYWORDS || '').split(',').filter(Boolean).map((entry) => {
+        const [symbol, names = ''] = entry.split(':');
+        return [symbol.trim(), names.split('|').map(n => n.trim()).filter(Boolean)];
+      })
+    ),
+    maxItems: parseInt(process.env.NEWS_MAX_ITEMS) || 5,
+    lookbackHours: parseFloat(process.env.NEWS_LOOKBACK_HOURS) || 24,
+    // Never trade on a story older than this (publish time, or first seen when unknown)
+    maxAgeHours: parseFloat(process.env.NEWS_MAX_AGE_HOURS) || 6,
+    timeoutMs: parseInt(process.env.NEWS_TIMEOUT_MS) || 10000,
   },
 
   // Discord
@@ -41,6 +103,32 @@ export const config = {
     pairs: (process.env.TRADING_PAIRS || 'BTCUSDT,ETHUSDT').split(','),
     coreCoins: (process.env.CORE_COINS || 'BTCUSDT,ETHUSDT').split(','),
     scanInterval: parseInt(process.env.SCAN_INTERVAL_MS) || 1800000,
+    feeRate: parseFloat(process.env.TRADING_FEE_RATE) || 0.001,
+    protectionCheckInterval: parseInt(process.env.PROTECTION_CHECK_INTERVAL_MS) || 600000,
+  },
+
+  // Entry Strategies (see src/strategy)
+  strategy: {
+    default: process.env.STRATEGY || 'rsi-momentum',
+    // PAIR_STRATEGIES=SOLUSDT:ema-cross,AVAXUSDT:bollinger
+    pairs: Object.fromEntries(
+      (process.env.PAIR_STRATEGIES || '').split(',').filter(Boolean).map(entry => entry.split(':').map(s => s.trim()))
+    ),
+  },
+
+  // Websocket Streams (live prices, balances and order updates)
+  stream: {
+    enabled: process.env.STREAM_ENABLED !== 'false',
+    priceMaxAgeMs: parseInt(process.env.STREAM_PRICE_MAX_AGE_MS) || 15000,
+    staleAfterMs: parseInt(process.env.STREAM_STALE_AFTER_MS) || 120000,
+    resyncIntervalMs: parseInt(process.env.STREAM_RESYNC_INTERVAL_MS) || 900000,
+  },
+
+  // REST Rate Limits
+  rateLimit: {
+    weightLimit: parseInt(process.env.RATE_LIMIT_WEIGHT) || 6000,
+    weightHeadroom: parseFloat(process.env.RATE_LIMIT_HEADROOM) || 0.8,
+    priceTtlMs: parseInt(process.env.PRICE_CACHE_TTL_MS) || 5000,
   },
 
   // Allocation (60/40 default)
@@ -49,6 +137,53 @@ export const config = {
     satellite: parseFloat(process.env.SATELLITE_ALLOCATION) || 0.40,
   },
 
+  // Core Rebalancing (see src/engine/rebalance.js)
+  rebalance: {
+    // threshold: trade coins outside their band on every heartbeat
+    // schedule: every REBALANCE_INTERVAL_HOURS, back to target; off: never
+    mode: process.env.REBALANCE_MODE || 'threshold',
+    intervalHours: parseFloat(process.env.REBALANCE_INTERVAL_HOURS) || 24,
+    // "SYMBOL:weight" pairs inside the core bucket, e.g. BTCUSDT:0.7,ETHUSDT:0.3 (default: equal weights)
+    weights: Object.fromEntries(
+      (process.env.CORE_WEIGHTS || '')
+        .split(',')
+        .map(s => s.trim().split(':'))
+        .filter(([symbol, weight]) => symbol && weight)
+        .map(([symbol, weight]) => [symbol, parseFloat(weight)])
+    ),
+    // Tolerated drift of a coin from its target value (0.1 = ±10%)
+    band: parseFloat(process.env.REBALANCE_BAND) || 0.10,
+    // Sell overweight coins too, not just top up underweight ones
+    trim: process.env.REBALANCE_TRIM === 'true',
+    // Plan and announce the orders without placing them
+    dryRun: process.env.REBALANCE_DRY_RUN === 'true',
+  },
+
+  // Dollar-Cost Averaging into the core coins (see src/engine/dca.js)
+  dca: {
+    enabled: process.env.DCA_ENABLED === 'true',
+    // Cron expression, server time (default: Mondays 09:00)
+    schedule: process.env.DCA_SCHEDULE || '0 9 * * 1',
+    // USDT per run, split across CORE_COINS by CORE_WEIGHTS
+    amountUsdt: parseFloat(process.env.DCA_AMOUNT_USDT) || 50,
+    // Buy more when Fear & Greed is at or below the threshold (1 = never)
+    fearThreshold: parseInt(process.env.DCA_FEAR_THRESHOLD) || 25,
+    fearMultiplier: parseFloat(process.env.DCA_FEAR_MULTIPLIER) || 2,
+  },
+
+  // Bearish Signals (SELL / BEARISH news on coins we hold, see src/engine/signals.js)
+  signalExit: {
+    // exit: sell the whole position | reduce: sell SIGNAL_REDUCE_SHARE of it | off
+    mode: process.env.SIGNAL_EXIT_MODE || 'exit',
+    minConfidence: parseInt(process.env.SIGNAL_EXIT_MIN_CONFIDENCE) || 70,
+    reduceShare: parseFloat(process.env.SIGNAL_REDUCE_SHARE) || 0.5,
+    // reduce mode: sell everything anyway at or above this confidence
+    fullExitConfidence: parseInt(process.env.SIGNAL_FULL_EXIT_CONFIDENCE) || 85,
+    // Core coins: cut the coin's target weight by this share for SIGNAL_CORE_TILT_HOURS (0 = leave core alone)
+    coreTilt: parseFloat(process.env.SIGNAL_CORE_TILT) || 0,
+    coreTiltHours: parseFloat(process.env.SIGNAL_CORE_TILT_HOURS) || 72,
+  },
+
   // Risk Management
   risk: {
     maxRiskPerTrade: parseFloat(process.env.MAX_RISK_PER_TRADE) || 0.01,
@@ -57,6 +192,13 @@ export const config = {
     maxDrawdown: parseFloat(process.env.MAX_DRAWDOWN) || 0.15,
     defaultStopLoss: parseFloat(process.env.DEFAULT_STOP_LOSS) || 0.02,
     defaultTakeProfit: parseFloat(process.env.DEFAULT_TAKE_PROFIT) || 0.04,
+    // fixed: DEFAULT_STOP_LOSS/TAKE_PROFIT and size as a share of equity
+    // atr: stop at ATR_STOP_MULTIPLIER x ATR, size so a stop-out loses MAX_RISK_PER_TRADE
+    mode: process.env.RISK_MODE === 'atr' ? 'atr' : 'fixed',
+    atrStopMultiplier: parseFloat(process.env.ATR_STOP_MULTIPLIER) || 2,
+    minStopLoss: parseFloat(process.env.MIN_STOP_LOSS) || 0.01,
+    maxStopLoss: parseFloat(process.env.MAX_STOP_LOSS) || 0.08,
+    rewardRiskRatio: parseFloat(process.env.REWARD_RISK_RATIO) || 2,
     maxTradesPerDay: parseInt(process.env.MAX_TRADES_PER_DAY) || 10,
     minOrderSizeUsdt: parseFloat(process.env.MIN_ORDER_SIZE_USDT) || 10,
     maxOpenSatelliteTrades: parseInt(process.env.MAX_OPEN_SATELLITE_TRADES) || 2,
@@ -64,6 +206,84 @@ export const config = {
     minSentiment: process.env.MIN_MARKET_SENTIMENT !== undefined ? parseInt(process.env.MIN_MARKET_SENTIMENT) : 20,
   },
 
+  // Liquidity Guard (order book check before every entry)
+  liquidity: {
+    enabled: process.env.LIQUIDITY_GUARD !== 'false',
+    maxSpread: parseFloat(process.env.LIQUIDITY_MAX_SPREAD) || 0.003,
+    maxSlippage: parseFloat(process.env.LIQUIDITY_MAX_SLIPPAGE) || 0.005,
+    // resize: shrink the order to what the book absorbs within maxSlippage; refuse: skip it
+    action: process.env.LIQUIDITY_ACTION === 'refuse' ? 'refuse' : 'resize',
+    // Book levels fetched (up to 100 costs the same request weight)
+    depthLevels: parseInt(process.env.ORDER_BOOK_DEPTH) || 100,
+  },
+
+  // Entry Execution (see src/engine/entry.js)
+  entry: {
+    // market | limit | post-only
+    mode: process.env.ENTRY_MODE || 'market',
+    // Where limit entries are priced: best bid or mid of the spread
+    priceAt: process.env.ENTRY_PRICE || 'bid',
+    maxReprices: process.env.ENTRY_MAX_REPRICES !== undefined ? parseInt(process.env.ENTRY_MAX_REPRICES) : 3,
+    // Stop chasing once the price is this far above the first quote
+    maxSlippage: parseFloat(process.env.ENTRY_MAX_SLIPPAGE) || 0.003,
+    // Cancel whatever didn't fill after this long (all attempts together)
+    timeoutMs: parseInt(process.env.ENTRY_TIMEOUT_MS) || 60000,
+    pollMs: parseInt(process.env.ENTRY_POLL_MS) || 2000,
+  },
+
+  // Scaled Exits (see src/engine/exits.js)
+  exits: {
+    // "share:gain" rungs, e.g. 0.5:0.03,0.5:0.06 sells half at +3% and half at +6%.
+    // Empty = one OCO for the whole position at the take profit.
+    ladder: (process.env.EXIT_LADDER || '')
+      .split(',')
+      .map(rung => rung.split(':').map(Number))
+      .filter(([share, gain]) => share > 0 && gain > 0)
+      .map(([share, gain]) => ({ share, gain }))
+      .sort((a, b) => a.gain - b.gain),
+    // Move the stop of the remaining rungs to break-even once the first target fills
+    breakevenAfterTarget: process.env.BREAKEVEN_AFTER_TARGET !== 'false',
+    // Profit locked by that break-even stop (covers the round-trip fees)
+    breakevenLock: parseFloat(process.env.BREAKEVEN_LOCK) || 0.002,
+  },
+
+  // Trailing Stops (see src/engine/trailing.js)
+  trailing: {
+    // percent | atr | breakeven | off
+    mode: process.env.TRAILING_MODE || 'breakeven',
+    // percent/atr: start trailing once the high is this far above the entry
+    activation: parseFloat(process.env.TRAIL_ACTIVATION) || 0.02,
+    percent: parseFloat(process.env.TRAIL_PERCENT) || 0.02,
+    atrMultiplier: parseFloat(process.env.TRAIL_ATR_MULTIPLIER) || 2.5,
+    // breakeven: "gain:lock" pairs, e.g. at +2% lock +0.2% (fees), at +4% lock +2%
+    steps: (process.env.TRAIL_STEPS || '0.02:0.002,0.04:0.02')
+      .split(',')
+      .map(step => step.split(':').map(Number))
+      .filter(([gain, lock]) => Number.isFinite(gain) && Number.isFinite(lock))
+      .map(([gain, lock]) => ({ gain, lock }))
+      .sort((a, b) => a.gain - b.gain),
+    // Don't cancel/re-place the OCO for stop moves smaller than this
+    minStep: parseFloat(process.env.TRAIL_MIN_STEP) || 0.002,
+  },
+
+  // Portfolio Limits (satellite exposure as a share of total equity)
+  portfolio: {
+    maxExposure: parseFloat(process.env.PORTFOLIO_MAX_EXPOSURE) || 0.4,
+    // Per sector; pairs without a sector form their own group (per-coin limit)
+    maxSectorExposure: parseFloat(process.env.PORTFOLIO_MAX_SECTOR_EXPOSURE) || 0.2,
+    // "SYMBOL:sector" pairs, e.g. SOLUSDT:l1,AVAXUSDT:l1,DOGEUSDT:meme
+    sectors: Object.fromEntries(
+      (process.env.SECTORS || '')
+        .split(',')
+        .map(s => s.trim().split(':'))
+        .filter(([symbol, sector]) => symbol && sector)
+    ),
+    // Holdings whose 1h returns correlate at least this much with a candidate count as the same bet
+    correlationThreshold: parseFloat(process.env.CORRELATION_THRESHOLD) || 0.8,
+    correlationLookback: parseInt(process.env.CORRELATION_LOOKBACK_HOURS) || 168,
+    maxCorrelatedExposure: parseFloat(process.env.PORTFOLIO_MAX_CORRELATED_EXPOSURE) || 0.25,
+  },
+
   // LLM Confidence Thresholds
   confidence: {
     minToTrade: parseInt(process.env.MIN_CONFIDENCE_TO_TRADE) || 60,
@@ -75,6 +295,12 @@ export const config = {
     minVolumeUsdt: parseFloat(process.env.MIN_VOLUME_USDT) || 100000,
     rsiOversold: parseFloat(process.env.RSI_OVERSOLD) || 30,
     rsiOverbought: parseFloat(process.env.RSI_OVERBOUGHT) || 70,
+    atrPeriod: parseInt(process.env.ATR_PERIOD) || 14,
+    maxAtrPct: parseFloat(process.env.MAX_ATR_PCT) || 0.04,
+    emaTrendPeriod: parseInt(process.env.EMA_TREND_PERIOD) || 50,
+    volumeSpikeMax: parseFloat(process.env.VOLUME_SPIKE_MAX) || 5,
+    // Filters every pair must pass before a strategy runs (see src/strategy/filters.js)
+    filters: (process.env.TECH_FILTERS ?? 'volume,atr,volume-spike').split(',').map(s => s.trim()).filter(Boolean),
   },
 
   // Paper Trading
@@ -90,6 +316,14 @@ export const config = {
   },
 };
 
+function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Validate critical configuration
  */
@@ -102,8 +336,71 @@ export function validateConfig() {
   if (!config.binance.apiSecret && !config.paper.enabled) {
     errors.push('BINANCE_API_SECRET is required for live trading');
   }
-  if (!config.llm.geminiKey && !config.llm.openaiKey) {
-    errors.push('At least one LLM API key is required (GEMINI_API_KEY or OPENAI_API_KEY)');
+  if (!['gemini', 'openai'].includes(config.llm.provider)) {
+    errors.push(`LLM_PROVIDER must be 'gemini' or 'openai' (got '${config.llm.provider}')`);
+  }
+  const hasLocalModelServer = !config.llm.openaiBaseUrl.startsWith('https://api.openai.com');
+  if (!config.llm.geminiKey && !config.llm.openaiKey && !hasLocalModelServer) {
+    errors.push('At least one LLM API key is required (GEMINI_API_KEY or OPENAI_API_KEY), or an OPENAI_BASE_URL for a local model server');
+  }
+  for (const voter of config.consensus.voters) {
+    if (!['gemini', 'openai'].includes(voter.provider)) {
+      errors.push(`CONSENSUS_VOTERS entry '${voter.spec}' must start with gemini or openai`);
+    }
+    if (!['default', 'skeptic', 'technical'].includes(voter.prompt)) {
+      errors.push(`CONSENSUS_VOTERS entry '${voter.spec}' has an unknown prompt (use default, skeptic or technical)`);
+    }
+    if (!(voter.weight > 0)) {
+      errors.push(`CONSENSUS_VOTERS entry '${voter.spec}' must have a weight > 0`);
+    }
+  }
+  if (!['majority', 'min-confidence', 'weighted'].includes(config.consensus.method)) {
+    errors.push(`CONSENSUS_METHOD must be 'majority', 'min-confidence' or 'weighted' (got '${config.consensus.method}')`);
+  }
+  if (!(config.consensus.quorum > 0 && config.consensus.quorum <= 1)) {
+    errors.push('CONSENSUS_QUORUM must be between 0 and 1');
+  }
+  if (!['market', 'limit', 'post-only'].includes(config.entry.mode)) {
+    errors.push(`ENTRY_MODE must be 'market', 'limit' or 'post-only' (got '${config.entry.mode}')`);
+  }
+  if (!['bid', 'mid'].includes(config.entry.priceAt)) {
+    errors.push(`ENTRY_PRICE must be 'bid' or 'mid' (got '${config.entry.priceAt}')`);
+  }
+  if (config.dca.enabled && !cron.validate(config.dca.schedule)) {
+    errors.push(`DCA_SCHEDULE is not a valid cron expression (got '${config.dca.schedule}')`);
+  }
+  const newsSources = ['rss', 'api', 'files', 'search'];
+  for (const source of config.news.sources) {
+    if (!newsSources.includes(source)) {
+      errors.push(`Unknown news source in NEWS_SOURCES: ${source} (use ${newsSources.join(', ')})`);
+    }
+  }
+  if (config.news.sources.includes('rss')) {
+    for (const url of config.news.rssFeeds) {
+      if (!isHttpUrl(url)) {
+        errors.push(`NEWS_RSS_FEEDS entry is not an http(s) URL: ${url}`);
+      }
+    }
+  }
+  if (config.news.sources.includes('api') && !config.news.apiUrl) {
+    errors.push('NEWS_SOURCES includes api but NEWS_API_URL is not set');
+  }
+  if (!['exit', 'reduce', 'off'].includes(config.signalExit.mode)) {
+    errors.push(`SIGNAL_EXIT_MODE must be 'exit', 'reduce' or 'off' (got '${config.signalExit.mode}')`);
+  }
+  if (config.signalExit.coreTilt < 0 || config.signalExit.coreTilt > 1) {
+    errors.push('SIGNAL_CORE_TILT must be between 0 and 1');
+  }
+  if (!['threshold', 'schedule', 'off'].includes(config.rebalance.mode)) {
+    errors.push(`REBALANCE_MODE must be 'threshold', 'schedule' or 'off' (got '${config.rebalance.mode}')`);
+  }
+  for (const [symbol, weight] of Object.entries(config.rebalance.weights)) {
+    if (!config.trading.coreCoins.includes(symbol)) {
+      errors.push(`CORE_WEIGHTS lists ${symbol}, which is not in CORE_COINS`);
+    }
+    if (!(weight >= 0)) {
+      errors.push(`CORE_WEIGHTS weight for ${symbol} must be a number >= 0`);
+    }
   }
   if (config.allocation.core + config.allocation.satellite !== 1.0) {
     errors.push('Core + Satellite allocation must equal 1.0 (100%)');
@@ -0,0 +1,123 @@
+import cron from 'node-cron';
+import { binance } from '../exchange/binance.js';
+import { ledger } from './ledger.js';
+import { getCoreHoldings } from './rebalance.js';
+import { discord } from '../integration/discord.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * USDT to invest this run: DCA_AMOUNT_USDT, times DCA_FEAR_MULTIPLIER when
+ * Fear & Greed is at or below DCA_FEAR_THRESHOLD (buy more when others panic)
+ */
+export function getDcaAmount(sentiment, settings = config.dca) {
+    const fearful = sentiment !== null && sentiment <= settings.fearThreshold;
+    return settings.amountUsdt * (fearful ? settings.fearMultiplier : 1);
+}
+
+/**
+ * DCA Scheduler
+ * Puts a fixed amount of new money into the core coins on a cron schedule
+ * (DCA_SCHEDULE), split by the core target weights. Every buy is recorded
+ * in the ledger as a DCA purchase and announced on Discord.
+ */
+export class DcaScheduler {
+    /**
+     * @param {Object} [deps]
+     * @param {Object} [deps.exchange] - Exchange wrapper (binance)
+     * @param {Object} [deps.positions] - Position ledger
+     * @param {Function} [deps.notify] - (message) => void, Discord by default
+     */
+    constructor({ exchange = binance, positions = ledger, notify = message => discord.sendAlert(message) } = {}) {
+        this.exchange = exchange;
+        this.positions = positions;
+        this.notify = notify;
+        this.task = null;
+    }
+
+    /**
+     * Schedule the runs (no-op unless DCA_ENABLED)
+     * @param {Object} [options]
+     * @param {Function} [options.getSentiment] - () => Promise<number> Fear & Greed (0-100)
+     */
+    start({ getSentiment = async () => null } = {}) {
+        if (!config.dca.enabled || this.task) return;
+
+        this.task = cron.schedule(config.dca.schedule, async () => {
+            try {
+                await this.run(await getSentiment());
+            } catch (error) {
+                logger.error('DCA run failed', { error: error.message });
+                this.notify(`⚠️ DCA run failed: ${error.message}`);
+            }
+        });
+        logger.info('DCA scheduled', { schedule: config.dca.schedule, amountUsdt: config.dca.amountUsdt });
+    }
+
+    stop() {
+        this.task?.stop();
+        this.task = null;
+    }
+
+    /**
+     * Buy the core coins once
+     * @param {number|null} sentiment - Fear & Greed index, null when unknown
+     * @returns {Promise<{amount: number, purchases: Array}>}
+     */
+    async run(sentiment = null) {
+        await this.exchange.updateBalances({ force: true });
+        const { holdings, cash } = await getCoreHoldings(this.exchange, { positions: this.positions });
+
+        const planned = getDcaAmount(sentiment);
+        let amount = planned;
+        const available = (cash[config.trading.baseCurrency] || 0) / (1 + config.trading.feeRate);
+        if (available < amount) {
+            logger.warn('Not enough cash for the full DCA amount', { amount, available });
+            amount = available;
+        }
+
+        const purchases = [];
+        for (const holding of holdings) {
+            const value = amount * holding.weight;
+            if (value <= 0) continue;
+            if (holding.quoteAsset !== config.trading.baseCurrency) {
+                logger.warn('DCA skips core pairs not quoted in the base currency', { symbol: holding.symbol });
+                continue;
+            }
+            if (value < holding.minTradeValue) {
+                logger.info('DCA buy below the minimum trade size, skipped', { symbol: holding.symbol, value, minTradeValue: holding.minTradeValue });
+                continue;
+            }
+
+            try {
+                const order = await this.exchange.marketBuy(holding.symbol, value / holding.price);
+                const quantity = parseFloat(order.executedQty);
+                if (quantity <= 0) continue;
+
+                purchases.push(this.positions.recordPurchase({
+                    symbol: holding.symbol,
+                    price: parseFloat(order.cummulativeQuoteQty) / quantity,
+                    quantity,
+                    fee: await this.exchange.getOrderFees(holding.symbol, order.orderId).catch(() => 0),
+                    orderId: order.orderId,
+                    reason: 'DCA',
+                    meta: { sentiment },
+                }));
+            } catch (error) {
+                logger.error('DCA buy failed', { symbol: holding.symbol, value, error: error.message });
+                this.notify(`⚠️ DCA buy of ${holding.symbol} failed (${error.message})`);
+            }
+        }
+
+        if (purchases.length > 0) {
+            const boosted = planned > config.dca.amountUsdt ? ` (Fear & Greed ${sentiment}, boosted)` : '';
+            const lines = purchases.map(p => `${p.symbol}: ${p.quantity} @ ${p.price.toFixed(4)} (${p.cost.toFixed(2)} USDT)`);
+            this.notify(`🪙 **DCA**: invested ${purchases.reduce((sum, p) => sum + p.cost, 0).toFixed(2)} USDT${boosted}\n${lines.join('\n')}`);
+        }
+        logger.info('DCA run finished', { sentiment, planned, amount, bought: purchases.map(p => p.symbol) });
+        return { amount, purchases };
+    }
+}
+
+export const dcaScheduler = new DcaScheduler();
+export default dcaScheduler;
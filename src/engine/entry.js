@@ -0,0 +1,161 @@
+import { binance } from '../exchange/binance.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+
+/**
+ * Client order id of a chase attempt. The first attempt uses the journal's
+ * own id, re-prices append their number so every attempt can be found again.
+ */
+export function attemptClientOrderId(clientOrderId, attempt) {
+    return attempt === 0 ? clientOrderId : `${clientOrderId}_${attempt}`;
+}
+
+/**
+ * Sum the fills of several orders into one result shaped like a market order
+ * response. orderId is the first order that filled (the ledger's entry order).
+ */
+export function combineFills(symbol, orders) {
+    const filled = orders.filter(o => parseFloat(o.executedQty) > 0);
+    const executedQty = filled.reduce((sum, o) => sum + parseFloat(o.executedQty), 0);
+    const quoteQty = filled.reduce((sum, o) => sum + parseFloat(o.cummulativeQuoteQty), 0);
+
+    return {
+        symbol,
+        orderId: filled[0]?.orderId ?? orders[0]?.orderId ?? null,
+        orderIds: filled.map(o => o.orderId),
+        executedQty: executedQty.toString(),
+        cummulativeQuoteQty: quoteQty.toString(),
+        status: executedQty > 0 ? 'FILLED' : 'CANCELED',
+    };
+}
+
+/**
+ * Entry Executor
+ * Buys for satellite entries. ENTRY_MODE=market sends a market order; limit
+ * and post-only rest an order at the best bid (or mid), re-price it while the
+ * market stays within ENTRY_MAX_SLIPPAGE of the first quote, and cancel the
+ * rest after ENTRY_TIMEOUT_MS. Partial fills are kept.
+ */
+export class EntryExecutor {
+    /**
+     * @param {Object} [deps]
+     * @param {Object} [deps.exchange] - Exchange wrapper (binance)
+     * @param {Function} [deps.wait] - (ms) => Promise, replaced in tests
+     */
+    constructor({ exchange = binance, wait = ms => new Promise(resolve => setTimeout(resolve, ms)) } = {}) {
+        this.exchange = exchange;
+        this.wait = wait;
+    }
+
+    /**
+     * Buy a quantity with the configured entry mode
+     * @returns {Promise<Object>} Order-like result: orderId, orderIds, executedQty, cummulativeQuoteQty
+     */
+    async buy(symbol, quantity, { clientOrderId } = {}) {
+        if (config.entry.mode === 'market') {
+            return this.exchange.marketBuy(symbol, quantity, { clientOrderId });
+        }
+        return this.chase(symbol, quantity, clientOrderId);
+    }
+
+    async chase(symbol, quantity, clientOrderId) {
+        const { mode, maxReprices, maxSlippage, timeoutMs } = config.entry;
+        const postOnly = mode === 'post-only';
+        const deadline = Date.now() + timeoutMs;
+        const attemptMs = timeoutMs / (maxReprices + 1);
+        const info = this.exchange.getSymbolInfo(symbol);
+        const orders = [];
+        let ceiling = null;
+
+        for (let attempt = 0; attempt <= maxReprices && Date.now() < deadline; attempt++) {
+            const bought = orders.reduce((sum, o) => sum + parseFloat(o.executedQty), 0);
+            const remaining = this.exchange.roundQuantity(symbol, quantity - bought);
+            const price = await this.quote(symbol, postOnly);
+            ceiling ??= price * (1 + maxSlippage);
+
+            if (remaining <= 0 || remaining < (info?.minQty || 0) || remaining * price < (info?.minNotional || 0)) break;
+            if (price > ceiling) {
+                logger.warn('Entry price ran past the slippage budget, not chasing further', { symbol, price, ceiling, bought });
+                break;
+            }
+
+            let order;
+            try {
+                order = await this.exchange.limitBuy(symbol, remaining, price, {
+                    postOnly,
+                    clientOrderId: attemptClientOrderId(clientOrderId, attempt),
+                });
+            } catch (error) {
+                // The book moved onto our price between the quote and the order: quote again
+                if (postOnly && /immediately match/i.test(error.message)) continue;
+                throw error;
+            }
+
+            orders.push(await this.waitForFill(symbol, order, Math.min(deadline, Date.now() + attemptMs)));
+            if (orders[orders.length - 1].status === 'FILLED') break;
+            logger.info('Entry order not filled, re-pricing', { symbol, attempt, price, executedQty: orders[orders.length - 1].executedQty });
+        }
+
+        const result = combineFills(symbol, orders);
+        logger.info(`${mode} entry finished`, { symbol, quantity, executedQty: result.executedQty, attempts: orders.length });
+        return result;
+    }
+
+    /**
+     * Best bid, or mid of the spread. A maker order has to rest below the ask.
+     */
+    async quote(symbol, postOnly) {
+        const { bids, asks } = await this.exchange.getOrderBook(symbol, 5);
+        const bid = bids[0]?.price;
+        const ask = asks[0]?.price;
+        if (!bid || !ask) {
+            throw new Error(`Empty order book for ${symbol}`);
+        }
+
+        const price = this.exchange.roundPrice(symbol, config.entry.priceAt === 'mid' ? (bid + ask) / 2 : bid);
+        return postOnly && price >= ask ? bid : price;
+    }
+
+    /**
+     * Poll until the order filled or its time is up, then cancel what's left
+     */
+    async waitForFill(symbol, order, until) {
+        let current = order;
+        while (OPEN_STATUSES.includes(current.status) && Date.now() < until) {
+            await this.wait(Math.max(0, Math.min(config.entry.pollMs, until - Date.now())));
+            await this.exchange.getPrice(symbol); // Feeds paper fills when no stream is running
+            current = await this.exchange.getOrder(symbol, order.orderId);
+        }
+        return OPEN_STATUSES.includes(current.status) ? this.cancel(symbol, current) : current;
+    }
+
+    async cancel(symbol, order) {
+        try {
+            await this.exchange.cancelOrder(symbol, order.orderId);
+        } catch (error) {
+            // Filled between the last poll and the cancel
+            logger.debug('Entry order cancel failed', { symbol, orderId: order.orderId, error: error.message });
+        }
+        return this.exchange.getOrder(symbol, order.orderId);
+    }
+
+    /**
+     * Everything an interrupted entry bought, across all its attempts.
+     * Attempts still resting are cancelled first, so the result is final.
+     * @returns {Promise<Object|null>} null when no attempt reached the exchange
+     */
+    async findEntry(symbol, clientOrderId) {
+        const orders = [];
+        for (let attempt = 0; attempt <= config.entry.maxReprices; attempt++) {
+            const order = await this.exchange.findOrder(symbol, attemptClientOrderId(clientOrderId, attempt));
+            if (!order) continue;
+            orders.push(OPEN_STATUSES.includes(order.status) ? await this.cancel(symbol, order) : order);
+        }
+        return orders.length ? combineFills(symbol, orders) : null;
+    }
+}
+
+export const entryExecutor = new EntryExecutor();
+export default entryExecutor;
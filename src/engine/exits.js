@@ -0,0 +1,149 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * Exit Ladders
+ * A position can be protected by several OCOs, one per take-profit rung,
+ * all sharing the same stop-loss. These helpers size the rungs against the
+ * exchange filters and place or cancel them as one unit.
+ */
+
+/**
+ * Turn rung shares into tradable quantities.
+ * Rounding leftovers go to the last rung, so the rungs add up to the whole
+ * quantity. A rung below minQty/minNotional (checked at the stop price, the
+ * cheaper leg) is merged into its neighbour instead of being dropped.
+ * @param {Object} exchange - Exchange wrapper (roundQuantity, getSymbolInfo)
+ * @param {string} symbol
+ * @param {number} quantity - Total quantity to protect
+ * @param {number} stopLoss
+ * @param {Array<{share: number, takeProfit: number}>} targets
+ * @returns {Array<{quantity: number, takeProfit: number}>}
+ */
+export function sizeExitLadder(exchange, symbol, quantity, stopLoss, targets) {
+    const info = exchange.getSymbolInfo(symbol);
+    const tooSmall = qty => qty <= 0 || qty < (info?.minQty || 0) || qty * stopLoss < (info?.minNotional || 0);
+    const totalShare = targets.reduce((sum, t) => sum + t.share, 0);
+
+    let rungs = [];
+    let allocated = 0;
+    targets.forEach((target, i) => {
+        const qty = i === targets.length - 1
+            ? exchange.roundQuantity(symbol, quantity - allocated)
+            : exchange.roundQuantity(symbol, quantity * target.share / totalShare);
+        allocated += qty;
+        rungs.push({ quantity: qty, takeProfit: target.takeProfit });
+    });
+
+    // Fold undersized rungs forward (the last one backward) until every rung can be traded
+    for (let i = 0; i < rungs.length && rungs.length > 1;) {
+        if (!tooSmall(rungs[i].quantity)) {
+            i++;
+            continue;
+        }
+        const into = i < rungs.length - 1 ? i + 1 : i - 1;
+        rungs[into].quantity = exchange.roundQuantity(symbol, rungs[into].quantity + rungs[i].quantity);
+        rungs = rungs.filter((_, j) => j !== i);
+        i = 0;
+    }
+
+    if (rungs.length !== targets.length) {
+        logger.info('Exit ladder merged to fit exchange filters', { symbol, quantity, rungs: rungs.length, planned: targets.length });
+    }
+    return rungs;
+}
+
+/**
+ * Place one OCO per rung. If a rung fails the rungs already placed are
+ * cancelled again, so the caller can treat the ladder as all-or-nothing.
+ * @returns {Promise<Array<{oco: Object, quantity: number, takeProfit: number}>>}
+ */
+export async function placeExitLadder(exchange, symbol, rungs, stopLoss) {
+    const placed = [];
+    try {
+        for (const rung of rungs) {
+            const oco = await exchange.ocoSell(symbol, rung.quantity, rung.takeProfit, stopLoss);
+            placed.push({ oco, ...rung });
+        }
+        return placed;
+    } catch (error) {
+        await cancelOcos(exchange, symbol, placed.map(p => p.oco.orderListId));
+        throw error;
+    }
+}
+
+/**
+ * Best-effort cancel of OCO order lists (errors are logged, not thrown)
+ */
+export async function cancelOcos(exchange, symbol, orderListIds) {
+    for (const orderListId of orderListIds) {
+        try {
+            await exchange.cancelOrderList(symbol, orderListId);
+        } catch (error) {
+            logger.error('Failed to cancel exit ladder rung', { symbol, orderListId, error: error.message });
+        }
+    }
+}
+
+/**
+ * Cancel a position's active OCOs and book what they filled before the
+ * cancel went through. Stops at the first cancel that fails: the rungs
+ * cancelled so far are still retired and settled, and the error comes back
+ * with them so the caller can put their stop back before giving up.
+ * @param {Object} exchange - Exchange wrapper
+ * @param {Object} positions - Position ledger
+ * @param {Object} position - Open ledger position
+ * @param {Array<Object>} protections - Its ACTIVE protections
+ * @returns {Promise<{cancelled: Array<Object>, events: Array, error: Error|null}>}
+ */
+export async function cancelProtections(exchange, positions, position, protections) {
+    const { symbol } = position;
+    const cancelled = [];
+    let error = null;
+
+    for (const protection of protections) {
+        try {
+            if (protection.orderListId !== null && protection.orderListId !== -1) {
+                await exchange.cancelOrderList(symbol, protection.orderListId);
+            } else {
+                await exchange.cancelOrder(symbol, protection.stopOrderId);
+            }
+        } catch (cancelError) {
+            logger.error('Failed to cancel exit ladder rung', { symbol, orderListId: protection.orderListId, cancelled: cancelled.length, error: cancelError.message });
+            error = cancelError;
+            break;
+        }
+        positions.retireProtection(symbol, protection.orderListId);
+        cancelled.push(protection);
+    }
+
+    // The OCOs may have filled before the cancel: book that first
+    const events = [];
+    for (const protection of cancelled) {
+        events.push(...await positions.settleProtection(position, protection, exchange));
+    }
+    return { cancelled, events, error };
+}
+
+/**
+ * Put cancelled OCOs back on the coins they no longer cover: same take
+ * profits, the lowest of their stops. Throws if the exchange rejects it.
+ * @param {Object} [options]
+ * @param {number} [options.stopLoss] - Stop to use instead
+ * @returns {Promise<number>} Quantity protected
+ */
+export async function restoreProtections(exchange, positions, position, protections, { stopLoss = Math.min(...protections.map(p => p.stopLoss)) } = {}) {
+    const { symbol } = position;
+    const info = exchange.getSymbolInfo(symbol);
+    const asset = info?.baseAsset || symbol.replace(config.trading.baseCurrency, '');
+    await exchange.updateBalances({ force: true });
+    // Coins still under an OCO are locked, so the free balance is what lost its cover
+    const quantity = exchange.roundQuantity(symbol, Math.min(position.remainingQty, exchange.balances[asset]?.free || 0));
+
+    const targets = protections.map(p => ({ share: p.quantity, takeProfit: p.takeProfit }));
+    const rungs = sizeExitLadder(exchange, symbol, quantity, stopLoss, targets);
+    for (const { oco, ...rung } of await placeExitLadder(exchange, symbol, rungs, stopLoss)) {
+        positions.addProtection(position.id, oco, { ...rung, stopLoss, reason: protections[0].reason });
+    }
+    return quantity;
+}
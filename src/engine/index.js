@@ -1,10 +1,21 @@
 import { binance } from '../exchange/binance.js';
+import { marketStream } from '../exchange/stream.js';
 import { sentimentAnalyzer } from '../signal/sentiment.js';
-import { riskManager } from './risk.js';
+import { riskManager, candleReturns, correlation } from './risk.js';
+import { ledger } from './ledger.js';
+import { protectionReconciler } from './reconciler.js';
+import { trailingStops } from './trailing.js';
+import { TradeProtector } from './protect.js';
+import { entryExecutor } from './entry.js';
+import { coreRebalancer } from './rebalance.js';
+import { dcaScheduler } from './dca.js';
+import { signalExits, isBearishSignal, getSignalExitShare, describeSignal } from './signals.js';
+import { journal } from './journal.js';
 import { discord } from '../integration/discord.js';
 import { logger, logTrade } from '../utils/logger.js';
 import { config } from '../config/index.js';
-import { RSI } from 'technicalindicators';
+import { getStrategyForPair } from '../strategy/index.js';
+import { getActiveFilters, runFilters, describeFilterResults, mergeTimeframes } from '../strategy/filters.js';
 
 /**
  * Main Trading Engine
@@ -14,6 +25,10 @@ class TradingEngine {
     constructor() {
         this.isRunning = false;
         this.lastCheckTime = 0;
+        this.positionSync = Promise.resolve();
+        this.ordersInFlight = new Set(); // Symbols whose protective OCO is being (re)placed
+        this.lastProtectionCheck = 0;
+        this.tradeProtector = new TradeProtector({ reportExit: (position, exit) => this.reportExit(position, exit) });
     }
 
     async start() {
@@ -22,11 +37,22 @@ class TradingEngine {
 
         logger.info('Starting Trading Engine...');
 
+        // React to fills and connection changes as the websocket streams push them
+        this.attachStream(marketStream);
+
+        // A crash between a buy and its OCO leaves coins without a stop: fix that first
+        await this.syncPositions();
+        await this.resumeTrades();
+        await this.checkProtection();
+
         // Core loop
         this.runLoop();
 
         // Schedule periodic heartbeat and daily rebalancing
         setInterval(() => this.heartbeat(), 60000); // Every minute
+
+        // New money into the core coins (DCA_ENABLED)
+        dcaScheduler.start({ getSentiment: () => this.getMarketSentiment() });
     }
 
     async runLoop() {
@@ -43,13 +69,81 @@ class TradingEngine {
         }
     }
 
+    attachStream(stream) {
+        stream.on('order', (order) => this.onOrderUpdate(order));
+
+        stream.on('disconnected', ({ stream: name }) => {
+            discord.sendAlert(`📡 ${name === 'user' ? 'User data' : 'Ticker'} stream disconnected. Falling back to REST polling until it reconnects.`);
+        });
+
+        stream.on('connected', ({ stream: name, reconnect }) => {
+            if (reconnect) {
+                discord.sendAlert(`📡 ${name === 'user' ? 'User data' : 'Ticker'} stream reconnected.`);
+            }
+        });
+    }
+
+    /**
+     * Order update pushed by the stream: book protective fills right away
+     * instead of waiting for the next heartbeat
+     */
+    onOrderUpdate(order) {
+        if (order.side !== 'SELL' || order.status === 'NEW') return;
+        if (ledger.getOpenPositions(order.symbol).length === 0) return;
+
+        this.syncPositions();
+    }
+
+    /**
+     * Book TP/SL fills into the position ledger and announce them.
+     * Stream events and the heartbeat both call this, so passes are queued.
+     */
+    syncPositions() {
+        this.positionSync = this.positionSync.then(async () => {
+            this.bookExits(await ledger.reconcile());
+        }).catch((error) => {
+            logger.error('Failed to sync positions', { error: error.message });
+        });
+        return this.positionSync;
+    }
+
+    bookExits(exits) {
+        for (const { position, exit } of exits) {
+            this.reportExit(position, exit);
+            if (position.status === 'CLOSED') {
+                journal.closePosition(position.id, position.exitReason);
+            } else if (exit.reason === 'TP' && config.exits.breakevenAfterTarget) {
+                // First rung of a ladder filled: move the rest to break-even now, not on the next heartbeat
+                this.manageTrailingStops();
+            }
+        }
+    }
+
+    /**
+     * Re-protect satellite holdings that have no stop-loss
+     */
+    async checkProtection() {
+        this.lastProtectionCheck = Date.now();
+        try {
+            // Holdings already below their stop are sold, not re-protected
+            const { events } = await protectionReconciler.run({ skip: this.ordersInFlight });
+            this.bookExits(events);
+        } catch (error) {
+            logger.error('Protection reconciliation failed', { error: error.message });
+        }
+    }
+
     async tick() {
         logger.debug('Trading engine tick started');
+        sentimentAnalyzer.newScan();
 
         // 1. Update Portfolio Stats
         const totalValue = await binance.getTotalValueUsdt();
         riskManager.updateBalance(totalValue);
 
+        // Bearish news on coins we hold: get out before the stop does it for us (even when halted)
+        await this.checkBearishSignals(totalValue);
+
         if (!riskManager.canTrade()) {
             logger.warn('Trading is currently halted by risk manager');
             return;
@@ -86,151 +180,390 @@ class TradingEngine {
             // Already trading this? Skip.
             if (activeSatellitePairs.has(pair)) continue;
 
-            await this.processPair(pair);
-
-            // Re-check limit during the loop to avoid over-ordering
-            const currentOpen = await binance.getOpenOrders();
-            const currentPairs = new Set(currentOpen.map(o => o.symbol).filter(s => !config.trading.coreCoins.includes(s)));
-            if (currentPairs.size >= config.risk.maxOpenSatelliteTrades) break;
+            // Track new entries locally instead of re-fetching open orders after every pair
+            if (await this.processPair(pair)) {
+                activeSatellitePairs.add(pair);
+            }
+            if (activeSatellitePairs.size >= config.risk.maxOpenSatelliteTrades) break;
         }
     }
 
     async processPair(pair) {
         try {
-            // 1. Technical Indicators check (Multi-Timeframe: 1h + 4h)
-            const candles1h = await binance.getCandles(pair, '1h', 50);
-            const candles4h = await binance.getCandles(pair, '4h', 30);
-
-            const rsi1h = RSI.calculate({ values: candles1h.map(c => c.close), period: 14 }).slice(-1)[0];
-            const rsi4h = RSI.calculate({ values: candles4h.map(c => c.close), period: 14 }).slice(-1)[0];
-
-            logger.debug(`Pair ${pair} analysis`, { rsi1h, rsi4h });
+            const strategy = getStrategyForPair(pair);
+            const filters = getActiveFilters();
 
-            // Trend alignment: Don't buy if the 4h trend is extremely overbought (>65)
-            if (rsi4h > 65) return;
-
-            const isOversold = rsi1h < config.technicals.rsiOversold;
-            const isMomentumUp = rsi1h > 45 && rsi1h < 60; // Sweet spot for momentum
-
-            // 2. Volatility Filter (Anti-Flash Crash)
-            const low = Math.min(...candles1h.slice(-3).map(c => c.low));
-            const high = Math.max(...candles1h.slice(-3).map(c => c.high));
-            const volatility = (high / low) - 1;
+            // One fetch per timeframe covers both the filters and the strategy
+            const candles = {};
+            for (const [interval, limit] of Object.entries(mergeTimeframes(strategy.timeframes, ...filters.map(f => f.timeframes)))) {
+                candles[interval] = await binance.getCandles(pair, interval, limit);
+            }
 
-            if (volatility > 0.05) {
-                logger.warn(`Skipping ${pair} due to high volatility`, { volatility: `${(volatility * 100).toFixed(2)}%` });
-                return;
+            // 1. Pair-level technical filters (volume, ATR, trend...)
+            const stats24h = filters.some(f => f.needs24h) ? await binance.get24hStats(pair) : null;
+            const filtered = runFilters(filters, { symbol: pair, candles, stats24h });
+            logger.info(`Filters for ${pair}: ${filtered.passed ? 'passed' : 'skipped'}`, describeFilterResults(filtered.results));
+            if (!filtered.passed) return false;
+
+            // 2. Entry rules of the strategy assigned to this pair, on the lookback it asked for
+            const strategyCandles = Object.fromEntries(
+                Object.entries(strategy.timeframes).map(([interval, limit]) => [interval, candles[interval].slice(-limit)])
+            );
+            const technicals = strategy.evaluate(strategyCandles, { symbol: pair });
+            logger.debug(`Pair ${pair} analysis`, { strategy: strategy.name, ...technicals.indicators });
+
+            if (technicals.veto) {
+                logger.warn(`Skipping ${pair} due to ${technicals.veto}`, { strategy: strategy.name, ...technicals.indicators });
+                return false;
             }
 
             // 3. ONLY if technicals show promise, check News/Sentiment
-            if (isOversold || isMomentumUp) {
-                const newsItems = await sentimentAnalyzer.getLatestNews(pair);
-
-                for (const news of newsItems) {
-                    const analysis = await sentimentAnalyzer.analyzeNews(news, pair);
+            if (technicals.signal) {
+                logger.info(`${strategy.name} signal on ${pair}`, { reason: technicals.reason });
+                // Already analyzed if the bearish check looked at this coin earlier in the tick
+                for (const { news, analysis } of await sentimentAnalyzer.analyzeFreshNews(pair)) {
                     const minConfidence = config.confidence.minToTrade;
 
                     if (analysis && analysis.suggested_action === 'BUY' && analysis.verdict === 'BULLISH' && analysis.confidence >= minConfidence) {
-                        await this.executeSatelliteTrade(pair, analysis);
-                        break; // One trade per pair per scan
+                        logger.info(`Bullish news on ${pair}`, { title: news.title, source: news.source, url: news.url, publishedAt: news.publishedAt });
+                        // Volatility at signal time sets the stop and size in atr mode (null = fixed)
+                        const atr = riskManager.getAtr(candles['1h']);
+                        return await this.executeSatelliteTrade(pair, analysis, { atr }); // One trade per pair per scan
                     }
                 }
             }
         } catch (error) {
             logger.error(`Failed to process pair ${pair}`, { error: error.message });
         }
+        return false;
     }
 
     /**
-     * Trailing Stop Logic
-     * If price moved up 2%, move SL to break-even. 
-     * If move up 4%, move SL to 2% profit.
+     * Act on SELL / BEARISH news about coins we hold: exit or reduce satellite
+     * positions, and tilt the core away from a coin (SIGNAL_CORE_TILT)
      */
-    async manageTrailingStops() {
-        try {
-            const openOrders = await binance.getOpenOrders();
-            // Find our OCO Stop-Loss orders
-            const stopOrders = openOrders.filter(o => o.type === 'STOP_LOSS_LIMIT' || o.type === 'STOP_LOSS');
-
-            for (const order of stopOrders) {
-                const currentPrice = await binance.getPrice(order.symbol);
-                const stopPrice = parseFloat(order.stopPrice);
-
-                // Logic: If price is 2% above stop price, move stop price up by 1%
-                // This is more aggressive to lock in small account gains
-                if (currentPrice > stopPrice * 1.02) {
-                    const newStopPrice = stopPrice * 1.01;
-                    logger.info(`Trailing stop triggered for ${order.symbol}`, { old: stopPrice, new: newStopPrice });
-
-                    // Cancel old OCO and set new one
-                    if (order.orderListId !== -1) {
-                        await binance.client.cancelOrderList({
-                            symbol: order.symbol,
-                            orderListId: order.orderListId
-                        });
-                    } else {
-                        await binance.cancelOrder(order.symbol, order.orderId);
-                    }
+    async checkBearishSignals(totalValue) {
+        const { mode, coreTilt } = config.signalExit;
+        const held = mode === 'off' ? [] : [...new Set(ledger.getOpenPositions().map(p => p.symbol))];
+        const core = coreTilt > 0 ? config.trading.coreCoins.filter(symbol => !held.includes(symbol)) : [];
+
+        for (const symbol of [...held, ...core]) {
+            if (this.ordersInFlight.has(symbol)) continue;
+            try {
+                const analysis = await this.findBearishSignal(symbol);
+                if (!analysis) continue;
 
-                    // We don't recalculate TP during trail, just move the SL
-                    // Need to find the original TP from the open order set
-                    const originalTP = openOrders.find(o => o.symbol === order.symbol && o.type === 'LIMIT_MAKER')?.price || currentPrice * 1.04;
+                if (core.includes(symbol)) {
+                    await this.tiltCore(symbol, analysis, totalValue);
+                } else {
+                    await this.exitOnSignal(symbol, analysis);
+                }
+            } catch (error) {
+                logger.error('Failed to act on bearish signal', { symbol, error: error.message });
+            }
+        }
+    }
 
-                    await binance.ocoSell(order.symbol, order.origQty, originalTP, newStopPrice);
+    /**
+     * First new story about a coin that reads as a confident SELL. Stories are
+     * only analyzed once, so one story never reduces a position twice; the
+     * entry check of the same tick sees them too (see analyzeFreshNews).
+     */
+    async findBearishSignal(symbol) {
+        for (const { news, analysis } of await sentimentAnalyzer.analyzeFreshNews(symbol)) {
+            if (isBearishSignal(analysis)) {
+                return { ...analysis, news };
+            }
+        }
+        return null;
+    }
 
-                    discord.sendAlert(`🛡️ Trailing Stop updated for ${order.symbol} to ${newStopPrice.toFixed(4)}`);
+    /**
+     * Sell (part of) every open position in a coin. Queued with syncPositions
+     * and the trailing stops, which touch the same OCOs.
+     */
+    exitOnSignal(symbol, analysis) {
+        const share = getSignalExitShare(analysis);
+        if (share <= 0) return this.positionSync;
+
+        this.ordersInFlight.add(symbol);
+        this.positionSync = this.positionSync.then(async () => {
+            for (const position of ledger.getOpenPositions(symbol)) {
+                // The news and its link go out with the SIGNAL exit's trade alert
+                const { events, sold } = await signalExits.exitPosition(position, share, { note: describeSignal(analysis) });
+                if (sold > 0) {
+                    const action = position.status === 'CLOSED' ? 'closed' : `reduced by ${(share * 100).toFixed(0)}%`;
+                    logger.warn(`Bearish signal: ${symbol} position ${action}`, { id: position.id, confidence: analysis.confidence, sold, reason: analysis.reasoning });
                 }
+                this.bookExits(events);
             }
-        } catch (error) {
-            logger.error('Error managing trailing stops', { error: error.message });
+        }).catch((error) => {
+            // Fills booked before the failure still get reported
+            this.bookExits(error.events || []);
+            logger.error('Signal exit failed', { symbol, error: error.message });
+            discord.sendAlert(`⚠️ Signal exit for ${symbol} failed: ${error.message}`);
+        }).finally(() => {
+            this.ordersInFlight.delete(symbol);
+        });
+        return this.positionSync;
+    }
+
+    /**
+     * Hold less of a core coin for SIGNAL_CORE_TILT_HOURS and trim it right away
+     */
+    async tiltCore(symbol, analysis, totalValue) {
+        const { coreTilt, coreTiltHours } = config.signalExit;
+        coreRebalancer.tilt(symbol, coreTilt, coreTiltHours);
+        discord.sendAlert(`📉 **${symbol}** core weight cut by ${(coreTilt * 100).toFixed(0)}% for ${coreTiltHours}h on bearish news (${analysis.confidence}% confidence): ${analysis.reasoning}`);
+
+        // A tilt is there to sell, whether or not routine rebalances trim
+        const result = await coreRebalancer.run(totalValue, { force: true, symbols: [symbol], trim: true });
+        for (const order of result?.executed || []) {
+            logTrade({
+                symbol,
+                side: order.side,
+                price: order.value / order.executedQty,
+                quantity: order.executedQty,
+                confidence: analysis.confidence,
+                reason: `SIGNAL (core tilt): ${analysis.reasoning}`
+            });
         }
     }
 
-    async executeSatelliteTrade(pair, analysis) {
+    /**
+     * Ratchet stops up behind winning positions (see TrailingStopManager).
+     * Queued with syncPositions, so a fill is never booked by both at once.
+     */
+    manageTrailingStops() {
+        this.positionSync = this.positionSync.then(async () => {
+            const { events } = await trailingStops.run({ inFlight: this.ordersInFlight });
+            this.bookExits(events);
+        }).catch((error) => {
+            logger.error('Error managing trailing stops', { error: error.message });
+        });
+        return this.positionSync;
+    }
+
+    async executeSatelliteTrade(pair, analysis, { atr = null } = {}) {
+        // Keep the protection check away from coins bought but not yet protected
+        this.ordersInFlight.add(pair);
         try {
             const totalValue = await binance.getTotalValueUsdt();
-            const tradeSizeUsdt = riskManager.calculatePositionSize(totalValue, analysis.confidence);
+            const currentPrice = await binance.getPrice(pair);
+            const stopPercent = riskManager.getStopPercent(currentPrice, atr);
+            let tradeSizeUsdt = riskManager.calculatePositionSize(totalValue, analysis.confidence, { stopPercent });
 
             if (tradeSizeUsdt <= 0) {
                 logger.info('Risk manager rejected trade size', { pair, confidence: analysis.confidence });
-                return;
+                return false;
+            }
+
+            // Don't stack the satellite book into one sector or one correlated bet
+            const limits = await this.checkPortfolioLimits(pair, tradeSizeUsdt, totalValue);
+            if (!limits.allowed) {
+                logger.warn(`Portfolio limit on ${pair}: ${limits.reason}`, { tradeSizeUsdt, exposure: limits.exposure });
+                discord.sendAlert(`🧺 **${pair}** entry skipped: ${limits.reason}`);
+                return false;
+            }
+
+            // Thin books and wide spreads eat the edge: shrink or skip the entry
+            if (config.liquidity.enabled) {
+                const impact = await binance.getMarketImpact(pair, tradeSizeUsdt, { maxSlippage: config.liquidity.maxSlippage });
+                const checked = riskManager.applyLiquidityLimits(tradeSizeUsdt, impact);
+                if (checked.reason) {
+                    logger.warn(`Liquidity guard on ${pair}: ${checked.reason}`, {
+                        spread: impact.spread,
+                        slippage: impact.slippage,
+                        requested: tradeSizeUsdt,
+                        allowed: checked.tradeSizeUsdt
+                    });
+                    discord.sendAlert(checked.tradeSizeUsdt > 0
+                        ? `💧 **${pair}** entry resized: ${checked.reason}`
+                        : `💧 **${pair}** entry skipped: ${checked.reason}`);
+                }
+                if (checked.tradeSizeUsdt <= 0) return false;
+                tradeSizeUsdt = checked.tradeSizeUsdt;
             }
 
-            const currentPrice = await binance.getPrice(pair);
             const quantity = tradeSizeUsdt / currentPrice;
+            logger.info('Position sized', { pair, mode: config.risk.mode, atr, stopPercent, tradeSizeUsdt: tradeSizeUsdt.toFixed(2) });
 
-            // Place market buy
-            const order = await binance.marketBuy(pair, quantity);
+            // Write-ahead: the intent is on disk before the order goes out
+            let entry = journal.begin({
+                symbol: pair,
+                quantity,
+                meta: { confidence: analysis.confidence, reason: analysis.reasoning, targetGain: analysis.target_gain ?? null, atr }
+            });
 
-            // Calculate SL and TP (Dynamic based on AI)
-            const { stopLoss, takeProfit } = riskManager.getExitPoints(currentPrice, 'BUY', analysis.target_gain);
+            // Buy with the configured entry mode (market, or a chased limit order)
+            let order;
+            try {
+                order = await entryExecutor.buy(pair, quantity, { clientOrderId: entry.clientOrderId });
+            } catch (error) {
+                // The request may still have reached Binance (e.g. a timeout): only the exchange knows
+                order = await entryExecutor.findEntry(pair, entry.clientOrderId).catch(() => null);
+                if (!order || parseFloat(order.executedQty) <= 0) {
+                    journal.transition(entry.id, 'ABORTED', { error: error.message });
+                    throw error;
+                }
+                logger.warn('BUY reported an error but was executed', { pair, clientOrderId: entry.clientOrderId });
+            }
 
-            // Place OCO order for Exit
-            await binance.ocoSell(pair, order.executedQty, takeProfit, stopLoss);
+            if (parseFloat(order.executedQty) <= 0) {
+                logger.info('Entry order expired without a fill', { pair, mode: config.entry.mode });
+                journal.transition(entry.id, 'ABORTED', { error: 'Entry order not filled' });
+                return false;
+            }
 
-            // Record trade
+            entry = await this.recordBuy(entry, order);
             riskManager.recordTrade();
+
+            const protection = await this.tradeProtector.protect(entry);
+            if (!protection) return false;
+
             logTrade({
                 symbol: pair,
                 side: 'BUY',
-                price: currentPrice,
+                price: entry.avgPrice,
                 quantity: order.executedQty,
                 confidence: analysis.confidence,
                 reason: analysis.reasoning,
-                tp: takeProfit,
-                sl: stopLoss
+                tp: protection.takeProfit,
+                sl: protection.stopLoss
             });
 
             discord.sendTradeAlert({
                 symbol: pair,
                 side: 'BUY',
-                price: currentPrice,
+                price: entry.avgPrice,
                 quantity: order.executedQty,
                 reason: analysis.reasoning
             });
 
+            return true;
         } catch (error) {
             logger.error('Failed to execute satellite trade', { pair, error: error.message });
+            return false;
+        } finally {
+            this.ordersInFlight.delete(pair);
+        }
+    }
+
+    /**
+     * Exposure check for a planned entry against the open satellite positions
+     * (valued at market) and how their recent 1h returns track the candidate's
+     */
+    async checkPortfolioLimits(pair, tradeSizeUsdt, totalValue) {
+        const lookback = config.portfolio.correlationLookback + 1;
+        const holdings = [];
+        for (const position of ledger.getOpenPositions()) {
+            holdings.push({ symbol: position.symbol, value: position.remainingQty * await binance.getPrice(position.symbol) });
+        }
+
+        const correlations = {};
+        const others = [...new Set(holdings.map(h => h.symbol))].filter(symbol => symbol !== pair);
+        if (others.length > 0) {
+            const candidate = candleReturns(await binance.getCandles(pair, '1h', lookback));
+            for (const symbol of others) {
+                correlations[symbol] = correlation(candidate, candleReturns(await binance.getCandles(symbol, '1h', lookback)));
+            }
+            logger.debug('Return correlations', { pair, correlations });
+        }
+
+        return riskManager.checkPortfolioLimits({ symbol: pair, tradeSizeUsdt, totalValue, holdings, correlations });
+    }
+
+    /**
+     * Book an executed buy in the ledger and move its journal entry to BOUGHT
+     */
+    async recordBuy(entry, order) {
+        const executedQty = parseFloat(order.executedQty);
+        const avgPrice = parseFloat(order.cummulativeQuoteQty) / executedQty;
+
+        // Already booked if we crashed right after opening the position
+        const position = ledger.findByEntryOrder(entry.symbol, order.orderId) || ledger.openPosition({
+            symbol: entry.symbol,
+            entryPrice: avgPrice,
+            quantity: executedQty,
+            entryFee: await this.getEntryFees(entry.symbol, order),
+            entryOrderId: order.orderId,
+            meta: { confidence: entry.meta.confidence, reason: entry.meta.reason }
+        });
+
+        return journal.transition(entry.id, 'BOUGHT', {
+            buyOrderId: order.orderId,
+            executedQty,
+            avgPrice,
+            positionId: position.id
+        });
+    }
+
+    /**
+     * Fees of an entry, which may have filled over several chased limit orders
+     */
+    async getEntryFees(symbol, order) {
+        let fees = 0;
+        for (const orderId of order.orderIds ?? [order.orderId]) {
+            fees += await binance.getOrderFees(symbol, orderId);
+        }
+        return fees;
+    }
+
+    /**
+     * Finish trades a crash interrupted, based on what the exchange says happened
+     */
+    async resumeTrades() {
+        for (let entry of journal.getPending()) {
+            this.ordersInFlight.add(entry.symbol);
+            try {
+                logger.warn('Resuming interrupted trade', { id: entry.id, symbol: entry.symbol, state: entry.state });
+
+                if (entry.state === 'INTENDED') {
+                    const order = await entryExecutor.findEntry(entry.symbol, entry.clientOrderId);
+                    if (!order || parseFloat(order.executedQty) <= 0) {
+                        journal.transition(entry.id, 'ABORTED', { error: 'Buy order never executed' });
+                        continue;
+                    }
+                    entry = await this.recordBuy(entry, order);
+                    discord.sendAlert(`♻️ Recovered a ${entry.symbol} buy that executed right before a restart.`);
+                }
+
+                if (entry.state === 'BOUGHT') {
+                    // The OCOs may have gone out just before the crash. A partly
+                    // placed ladder is adopted as is, the protection check that
+                    // follows on boot covers whatever it leaves unprotected.
+                    const openOrders = await binance.getOpenOrders(entry.symbol);
+                    const stopLegs = openOrders.filter(o => o.side === 'SELL' && o.type.startsWith('STOP_LOSS') && o.orderListId !== -1);
+                    if (stopLegs.length > 0) {
+                        const targets = [];
+                        for (const stopLeg of stopLegs) {
+                            const legs = openOrders.filter(o => o.orderListId === stopLeg.orderListId);
+                            const limitLeg = legs.find(o => o.type === 'LIMIT_MAKER');
+                            const exits = { takeProfit: parseFloat(limitLeg?.price), stopLoss: parseFloat(stopLeg.stopPrice) };
+                            const quantity = parseFloat(stopLeg.origQty);
+                            ledger.addProtection(entry.positionId, { orderListId: stopLeg.orderListId, orderReports: legs }, { quantity, ...exits });
+                            targets.push({ quantity, takeProfit: exits.takeProfit });
+                        }
+                        journal.transition(entry.id, 'PROTECTED', {
+                            orderListId: stopLegs[0].orderListId,
+                            takeProfit: Math.max(...targets.map(t => t.takeProfit)),
+                            stopLoss: parseFloat(stopLegs[0].stopPrice),
+                            targets
+                        });
+                    } else if (await this.tradeProtector.protect(entry)) {
+                        discord.sendAlert(`♻️ Placed the missing OCO for ${entry.symbol} after a restart.`);
+                    }
+                    continue;
+                }
+
+                if (entry.state === 'PROTECTED' && ledger.getPosition(entry.positionId)?.status === 'CLOSED') {
+                    journal.transition(entry.id, 'CLOSED', { closeReason: ledger.getPosition(entry.positionId).exitReason });
+                }
+            } catch (error) {
+                logger.error('Failed to resume trade', { id: entry.id, symbol: entry.symbol, error: error.message });
+            } finally {
+                this.ordersInFlight.delete(entry.symbol);
+            }
         }
     }
 
@@ -239,9 +572,16 @@ class TradingEngine {
             const totalValue = await binance.getTotalValueUsdt();
             riskManager.updateBalance(totalValue);
 
-            // Maintain the 60% Core (BTC/ETH) split
+            // Keep the core bucket on its target weights
             await this.checkMaintainCore(totalValue);
 
+            // Book any TP/SL fills the stream didn't already report
+            await this.syncPositions();
+
+            if (Date.now() - this.lastProtectionCheck > config.trading.protectionCheckInterval) {
+                await this.checkProtection();
+            }
+
             // Dynamic Trailing Stops Check
             await this.manageTrailingStops();
 
@@ -262,6 +602,36 @@ class TradingEngine {
         }
     }
 
+    /**
+     * Log and announce a position exit recorded by the ledger
+     */
+    reportExit(position, exit) {
+        logTrade({
+            symbol: position.symbol,
+            side: 'SELL',
+            price: exit.price,
+            quantity: exit.quantity,
+            reason: exit.reason,
+            note: exit.note,
+            fee: exit.fee,
+            pnl: exit.pnl,
+            positionId: position.id,
+            closed: position.status === 'CLOSED'
+        });
+
+        const pnlLabel = `${exit.pnl >= 0 ? '+' : ''}${exit.pnl.toFixed(2)} USDT`;
+        const summary = position.status === 'CLOSED'
+            ? `${exit.reason} | PnL ${pnlLabel} (${(position.realizedPnlPct * 100).toFixed(2)}%) after ${(position.holdingMs / 3600000).toFixed(1)}h`
+            : `${exit.reason} (partial) | PnL ${pnlLabel}`;
+        discord.sendTradeAlert({
+            symbol: position.symbol,
+            side: 'SELL',
+            price: exit.price,
+            quantity: exit.quantity,
+            reason: exit.note ? `${summary}\n${exit.note}` : summary
+        });
+    }
+
     /**
      * Fetches current market fear/greed (0-100)
      */
@@ -279,12 +649,16 @@ class TradingEngine {
     async sendDailyRecap(totalValue) {
         const pnl = riskManager.dailyStats.dailyPnL * 100;
         const pnlColor = pnl >= 0 ? '🟢' : '🔴';
+        const closed = ledger.getStats({ since: Date.now() - 86400000 });
 
         const message = `
 📊 **DAILY PERFORMANCE RECAP**
 ${pnlColor} **PnL:** ${pnl.toFixed(2)}%
 💰 **Total Balance:** ${totalValue.toFixed(2)} USDT
 📉 **Trades Today:** ${riskManager.dailyStats.tradesCount}
+✅ **Closed (24h):** ${closed.trades} (${closed.wins}W / ${closed.losses}L) | Realized ${closed.realizedPnl.toFixed(2)} USDT after ${closed.fees.toFixed(2)} USDT fees
+📂 **Open Positions:** ${ledger.getOpenPositions().map(p => p.symbol).join(', ') || 'None'}
+⛰️ **Drawdown:** ${(riskManager.getDrawdown() * 100).toFixed(2)}% from peak
 🛡️ **Status:** ${riskManager.canTrade() ? 'Operational' : 'Halted (Risk Breaker)'}
 
 *Compounding is the 8th wonder of the world. Let's keep growing!* 🦅
@@ -294,37 +668,11 @@ ${pnlColor} **PnL:** ${pnl.toFixed(2)}%
     }
 
     /**
-     * Ensures that 60% of the total portfolio is held in Core coins (BTC/ETH)
+     * Keeps the core bucket at its target weights (see CoreRebalancer)
      */
     async checkMaintainCore(totalValue) {
         try {
-            const targetCoreValue = totalValue * config.allocation.core;
-            const coreCoins = config.trading.coreCoins; // ['BTCUSDT', 'ETHUSDT']
-
-            // Check current core value
-            let currentCoreValue = 0;
-            for (const pair of coreCoins) {
-                const asset = pair.replace('USDT', '');
-                const balance = binance.balances[asset]?.total || 0;
-                const price = await binance.getPrice(pair);
-                currentCoreValue += balance * price;
-            }
-
-            // If Core is less than 55% (5% buffer to avoid fee churn), buy more
-            if (currentCoreValue < totalValue * (config.allocation.core - 0.05)) {
-                const deficit = targetCoreValue - currentCoreValue;
-                logger.info('Core allocation below target. Rebalancing...', { deficit });
-
-                // Buy BTC with half the deficit, ETH with half
-                const buyAmount = deficit / coreCoins.length;
-                for (const pair of coreCoins) {
-                    if (buyAmount >= config.risk.minOrderSizeUsdt) {
-                        const price = await binance.getPrice(pair);
-                        await binance.marketBuy(pair, buyAmount / price);
-                        discord.sendAlert(`⚖️ Core Rebalance: Bought ${buyAmount.toFixed(2)} USDT of ${pair}`);
-                    }
-                }
-            }
+            await coreRebalancer.run(totalValue);
         } catch (error) {
             logger.error('Failed to maintain core allocation', { error: error.message });
         }
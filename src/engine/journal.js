@@ -0,0 +1,160 @@
+import { logger } from '../utils/logger.js';
+import { randomBytes } from 'crypto';
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DATA_DIR = join(__dirname, '../../data');
+
+export const JOURNAL_PATH = join(DATA_DIR, 'trade_journal.json');
+
+// Allowed moves of the trade state machine. ABORTED: the buy never executed,
+// or was sold straight back because it couldn't be protected (closeReason ROLLBACK).
+const TRANSITIONS = {
+    INTENDED: ['BOUGHT', 'ABORTED'],
+    BOUGHT: ['BOUGHT', 'PROTECTED', 'CLOSED', 'ABORTED'],
+    PROTECTED: ['CLOSED'],
+    CLOSED: [],
+    ABORTED: [],
+};
+
+const FINISHED_STATES = ['CLOSED', 'ABORTED'];
+const MAX_FINISHED = 200;
+
+/**
+ * Binance accepts client order ids matching ^[a-zA-Z0-9-_]{1,36}$
+ */
+export function newClientOrderId() {
+    return `sentinel_${Date.now().toString(36)}_${randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Trade Journal
+ * Write-ahead log of satellite trades. Every step is persisted before and
+ * after its order goes out (INTENDED -> BOUGHT -> PROTECTED -> CLOSED), so a
+ * restart knows exactly which trades were interrupted and where.
+ */
+export class TradeJournal {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.statePath] - JSON file to persist to (null = memory only)
+     */
+    constructor({ statePath = null } = {}) {
+        this.statePath = statePath;
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+        const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        this.entries = saved.entries || [];
+    }
+
+    /**
+     * Write to a temp file and rename, so a crash mid-write never leaves a torn journal
+     */
+    save() {
+        if (!this.statePath) return;
+
+        const dir = dirname(this.statePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const tmpPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ entries: this.entries }, null, 2));
+        fs.renameSync(tmpPath, this.statePath);
+    }
+
+    /**
+     * Record the intent to buy, before the order is sent
+     */
+    begin({ symbol, quantity, meta = {} }) {
+        const now = Date.now();
+        const entry = {
+            id: `${symbol}-${now}`,
+            symbol,
+            state: 'INTENDED',
+            clientOrderId: newClientOrderId(),
+            quantity,
+            meta,
+            positionId: null,
+            buyOrderId: null,
+            executedQty: null,
+            avgPrice: null,
+            orderListId: null,
+            takeProfit: null,
+            stopLoss: null,
+            targets: null,
+            closeReason: null,
+            error: null,
+            history: [{ state: 'INTENDED', time: now }],
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Move a trade to its next state, merging in what the step produced
+     */
+    transition(id, state, patch = {}) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`Unknown journal entry ${id}`);
+        }
+        if (!TRANSITIONS[entry.state].includes(state)) {
+            throw new Error(`Invalid trade transition ${entry.state} -> ${state} for ${id}`);
+        }
+
+        const now = Date.now();
+        Object.assign(entry, patch, { state, updatedAt: now });
+        if (entry.history[entry.history.length - 1].state !== state) {
+            entry.history.push({ state, time: now });
+        }
+
+        logger.debug('Trade journal transition', { id, state });
+        this.prune();
+        this.save();
+        return entry;
+    }
+
+    get(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+
+    /**
+     * Trades that haven't reached a final state
+     */
+    getPending() {
+        return this.entries.filter(e => !FINISHED_STATES.includes(e.state));
+    }
+
+    /**
+     * Close the journaled trade behind a ledger position once it has fully exited
+     */
+    closePosition(positionId, reason) {
+        const entry = this.entries.find(e => e.positionId === positionId && !FINISHED_STATES.includes(e.state));
+        if (!entry) return null;
+        return this.transition(entry.id, 'CLOSED', { closeReason: reason });
+    }
+
+    /**
+     * Keep the file small: only the most recent finished trades are kept
+     */
+    prune() {
+        const finished = this.entries.filter(e => FINISHED_STATES.includes(e.state));
+        if (finished.length <= MAX_FINISHED) return;
+
+        const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED));
+        this.entries = this.entries.filter(e => !drop.has(e));
+    }
+}
+
+export const journal = new TradeJournal({ statePath: JOURNAL_PATH });
+export default journal;
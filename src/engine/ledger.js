@@ -0,0 +1,360 @@
+import { binance } from '../exchange/binance.js';
+import { logger } from '../utils/logger.js';
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DATA_DIR = join(__dirname, '../../data');
+
+export const LEDGER_PATH = join(DATA_DIR, 'positions.json');
+
+const DONE_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
+
+/**
+ * Split an OCO response into its stop and limit legs
+ */
+export function protectionFromOco(oco) {
+    const reports = oco.orderReports || [];
+    const stopLeg = reports.find(o => o.type.startsWith('STOP_LOSS'));
+    const limitLeg = reports.find(o => o.type === 'LIMIT_MAKER' || o.type === 'LIMIT');
+
+    return {
+        orderListId: oco.orderListId,
+        stopOrderId: stopLeg?.orderId ?? null,
+        limitOrderId: limitLeg?.orderId ?? null,
+    };
+}
+
+/**
+ * Position Ledger
+ * Persistent record of every satellite position: entry, protective orders,
+ * exits, fees and realized PnL. Open positions are reconciled against the
+ * exchange (live order history or simulated paper fills). Core buys (DCA)
+ * are kept alongside as plain purchases: they're held, not protected.
+ */
+export class PositionLedger {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.statePath] - JSON file to persist to (null = memory only)
+     */
+    constructor({ statePath = null } = {}) {
+        this.statePath = statePath;
+        this.positions = [];
+        this.purchases = [];
+        this.load();
+    }
+
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+        const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        this.positions = saved.positions || [];
+        this.purchases = saved.purchases || [];
+    }
+
+    save() {
+        if (!this.statePath) return;
+
+        const dir = dirname(this.statePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.statePath, JSON.stringify({ positions: this.positions, purchases: this.purchases }, null, 2));
+    }
+
+    /**
+     * Record a new position after the entry order filled
+     */
+    openPosition({ symbol, entryPrice, quantity, entryFee = 0, entryOrderId = null, entryTime = Date.now(), meta = {} }) {
+        const position = {
+            id: `${symbol}-${entryTime}`,
+            symbol,
+            status: 'OPEN',
+            entryPrice,
+            quantity,
+            remainingQty: quantity,
+            entryFee,
+            entryOrderId,
+            entryTime,
+            protection: [],
+            exits: [],
+            highestPrice: entryPrice,
+            exitPrice: null,
+            exitTime: null,
+            exitReason: null,
+            exitFee: 0,
+            realizedPnl: 0,
+            realizedPnlPct: null,
+            holdingMs: null,
+            meta,
+        };
+
+        this.positions.push(position);
+        this.save();
+        return position;
+    }
+
+    /**
+     * Attach a protective OCO to a position
+     * @param {string} reason - ENTRY for the initial OCO, TRAIL when a trailing stop replaced it,
+     *   RECOVERY when reconciliation re-protected an unprotected holding
+     */
+    addProtection(positionId, oco, { quantity, takeProfit, stopLoss, reason = 'ENTRY' }) {
+        const position = this.getPosition(positionId);
+        if (!position) return null;
+
+        const protection = {
+            ...protectionFromOco(oco),
+            quantity,
+            takeProfit,
+            stopLoss,
+            reason,
+            status: 'ACTIVE',
+            placedAt: Date.now(),
+        };
+        position.protection.push(protection);
+        this.save();
+        return protection;
+    }
+
+    /**
+     * Mark an OCO as intentionally cancelled (e.g. before re-placing it)
+     * so reconciliation doesn't mistake it for a manual close
+     */
+    retireProtection(symbol, orderListId) {
+        for (const position of this.getOpenPositions(symbol)) {
+            const protection = position.protection.find(p => p.orderListId === orderListId && p.status === 'ACTIVE');
+            if (protection) {
+                protection.status = 'REPLACED';
+                this.save();
+                return position;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Raise the high-water mark used by the trailing stop. Never lowers it.
+     * @returns {number} The highest price seen since entry
+     */
+    updateHighestPrice(positionId, price) {
+        const position = this.getPosition(positionId);
+        if (!position) return price;
+
+        const highest = position.highestPrice ?? position.entryPrice;
+        if (price > highest) {
+            position.highestPrice = price;
+            this.save();
+        }
+        return position.highestPrice ?? highest;
+    }
+
+    getActiveProtection(positionId) {
+        return this.getPosition(positionId)?.protection.find(p => p.status === 'ACTIVE') || null;
+    }
+
+    getPosition(positionId) {
+        return this.positions.find(p => p.id === positionId) || null;
+    }
+
+    findByEntryOrder(symbol, orderId) {
+        return this.positions.find(p => p.symbol === symbol && p.entryOrderId === orderId) || null;
+    }
+
+    getOpenPositions(symbol = null) {
+        return this.positions.filter(p => p.status === 'OPEN' && (!symbol || p.symbol === symbol));
+    }
+
+    getClosedPositions({ since = 0 } = {}) {
+        return this.positions.filter(p => p.status === 'CLOSED' && p.exitTime >= since);
+    }
+
+    /**
+     * Record a (partial) exit. The position closes once nothing remains.
+     * @param {string} reason - TP, SL, TRAIL, MANUAL, SIGNAL (sold on bearish news)
+     *   or ROLLBACK (sold because the OCO failed)
+     * @param {string} [note] - What triggered it, for the trade alert (e.g. the news behind a SIGNAL)
+     */
+    recordExit(positionId, { price, quantity, fee = 0, reason, note = null, orderId = null, time = Date.now() }) {
+        const position = this.getPosition(positionId);
+        if (!position || position.status !== 'OPEN') return null;
+
+        const qty = Math.min(quantity, position.remainingQty);
+        const entryFeeShare = position.entryFee * (qty / position.quantity);
+        const pnl = qty * (price - position.entryPrice) - fee - entryFeeShare;
+
+        position.exits.push({ orderId, price, quantity: qty, fee, reason, ...(note && { note }), time, pnl });
+        position.remainingQty -= qty;
+        position.exitFee += fee;
+        position.realizedPnl += pnl;
+
+        // Dust left after rounding counts as closed
+        if (position.remainingQty <= position.quantity * 1e-6) {
+            const exitedQty = position.exits.reduce((sum, e) => sum + e.quantity, 0);
+            position.remainingQty = 0;
+            position.status = 'CLOSED';
+            position.exitPrice = position.exits.reduce((sum, e) => sum + e.price * e.quantity, 0) / exitedQty;
+            position.exitTime = time;
+            position.exitReason = reason;
+            position.holdingMs = time - position.entryTime;
+            position.realizedPnlPct = position.realizedPnl / (position.entryPrice * position.quantity);
+            position.protection.forEach(p => {
+                if (p.status === 'ACTIVE') p.status = 'CLOSED';
+            });
+        }
+
+        this.save();
+        return position;
+    }
+
+    /**
+     * Check protective orders against the exchange and book any fills.
+     * @returns {Promise<Array>} Exits recorded during this pass ({ position, exit })
+     */
+    async reconcile(exchange = binance) {
+        const events = [];
+
+        for (const position of this.getOpenPositions()) {
+            try {
+                for (const protection of position.protection.filter(p => p.status === 'ACTIVE')) {
+                    events.push(...await this.settleProtection(position, protection, exchange));
+                }
+
+                // Protection gone without a fill and the coins are gone too: closed by hand
+                const stillProtected = position.protection.some(p => p.status === 'ACTIVE');
+                if (position.status === 'OPEN' && !stillProtected && position.protection.length > 0) {
+                    const event = await this.detectManualClose(position, exchange);
+                    if (event) events.push(event);
+                }
+            } catch (error) {
+                logger.error('Failed to reconcile position', { symbol: position.symbol, id: position.id, error: error.message });
+            }
+        }
+
+        events.forEach(({ position, exit }) => {
+            logger.info('Position exit recorded', {
+                symbol: position.symbol,
+                reason: exit.reason,
+                price: exit.price,
+                quantity: exit.quantity,
+                pnl: exit.pnl,
+                status: position.status,
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Book whatever the legs of one OCO executed. Finished ACTIVE protections
+     * become FILLED or CANCELED; a REPLACED one keeps its status, so partial
+     * fills of an OCO cancelled on purpose still reach the ledger.
+     * @returns {Promise<Array>} Exits recorded ({ position, exit })
+     */
+    async settleProtection(position, protection, exchange = binance) {
+        const events = [];
+        const legs = [];
+        for (const [leg, orderId] of [['limit', protection.limitOrderId], ['stop', protection.stopOrderId]]) {
+            if (orderId !== null) {
+                legs.push({ leg, order: await exchange.getOrder(position.symbol, orderId) });
+            }
+        }
+
+        for (const { leg, order } of legs) {
+            // Only book finished orders, and never the same fill twice
+            if (!DONE_STATUSES.includes(order.status)) continue;
+            const booked = position.exits
+                .filter(e => e.orderId === order.orderId)
+                .reduce((sum, e) => sum + e.quantity, 0);
+            const executedQty = parseFloat(order.executedQty) - booked;
+            if (executedQty <= 0) continue;
+
+            const reason = leg === 'limit' ? 'TP' : protection.reason === 'TRAIL' ? 'TRAIL' : 'SL';
+            const fee = await exchange.getOrderFees(position.symbol, order.orderId);
+            const price = parseFloat(order.cummulativeQuoteQty) / parseFloat(order.executedQty);
+
+            const updated = this.recordExit(position.id, {
+                price,
+                quantity: executedQty,
+                fee,
+                reason,
+                orderId: order.orderId,
+                time: order.updateTime || Date.now(),
+            });
+            if (!updated) continue;
+            events.push({ position: updated, exit: updated.exits[updated.exits.length - 1] });
+        }
+
+        if (protection.status === 'ACTIVE' && legs.every(({ order }) => DONE_STATUSES.includes(order.status))) {
+            const filled = legs.some(({ order }) => parseFloat(order.executedQty) > 0);
+            protection.status = filled ? 'FILLED' : 'CANCELED';
+            this.save();
+        }
+        return events;
+    }
+
+    async detectManualClose(position, exchange) {
+        await exchange.updateBalances();
+        const asset = position.symbol.replace('USDT', '');
+        const held = exchange.balances[asset]?.total || 0;
+
+        if (held >= position.remainingQty * 0.5) return null;
+
+        const price = await exchange.getPrice(position.symbol);
+        const updated = this.recordExit(position.id, {
+            price,
+            quantity: position.remainingQty,
+            reason: 'MANUAL',
+        });
+        return { position: updated, exit: updated.exits[updated.exits.length - 1] };
+    }
+
+    /**
+     * Record a core buy that isn't a satellite position
+     * @param {string} reason - DCA
+     */
+    recordPurchase({ symbol, price, quantity, fee = 0, orderId = null, reason, time = Date.now(), meta = {} }) {
+        const purchase = {
+            id: `${symbol}-${reason}-${time}`,
+            symbol,
+            price,
+            quantity,
+            cost: price * quantity,
+            fee,
+            orderId,
+            reason,
+            time,
+            meta,
+        };
+
+        this.purchases.push(purchase);
+        this.save();
+        return purchase;
+    }
+
+    getPurchases({ since = 0, reason = null } = {}) {
+        return this.purchases.filter(p => p.time >= since && (!reason || p.reason === reason));
+    }
+
+    /**
+     * Aggregate realized results for closed positions
+     */
+    getStats({ since = 0 } = {}) {
+        const closed = this.getClosedPositions({ since });
+        const wins = closed.filter(p => p.realizedPnl > 0);
+
+        return {
+            trades: closed.length,
+            wins: wins.length,
+            losses: closed.length - wins.length,
+            winRate: closed.length ? wins.length / closed.length : 0,
+            realizedPnl: closed.reduce((sum, p) => sum + p.realizedPnl, 0),
+            fees: closed.reduce((sum, p) => sum + p.entryFee + p.exitFee, 0),
+            avgHoldingMs: closed.length ? closed.reduce((sum, p) => sum + p.holdingMs, 0) / closed.length : 0,
+        };
+    }
+}
+
+export const ledger = new PositionLedger({ statePath: LEDGER_PATH });
+export default ledger;
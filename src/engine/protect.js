@@ -0,0 +1,100 @@
+import { binance } from '../exchange/binance.js';
+import { riskManager } from './risk.js';
+import { ledger } from './ledger.js';
+import { journal } from './journal.js';
+import { sizeExitLadder, placeExitLadder } from './exits.js';
+import { discord } from '../integration/discord.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * Trade Protector
+ * Puts the stop-loss and take-profit ladder on a fresh buy. Anything that
+ * goes wrong before the OCOs are on the book (price fetch, exit sizing,
+ * order placement) sells the coins straight back: a satellite buy is never
+ * left without a stop.
+ */
+export class TradeProtector {
+    /**
+     * @param {Object} [deps]
+     * @param {Object} [deps.exchange] - Exchange wrapper (binance)
+     * @param {Object} [deps.positions] - Position ledger
+     * @param {Object} [deps.trades] - Trade journal
+     * @param {Object} [deps.risk] - Risk manager (exit ladder)
+     * @param {Function} [deps.notify] - (message) => void, Discord by default
+     * @param {Function} [deps.reportExit] - (position, exit) => void, called for a rollback sale
+     */
+    constructor({
+        exchange = binance,
+        positions = ledger,
+        trades = journal,
+        risk = riskManager,
+        notify = message => discord.sendAlert(message),
+        reportExit = () => {},
+    } = {}) {
+        this.exchange = exchange;
+        this.positions = positions;
+        this.trades = trades;
+        this.risk = risk;
+        this.notify = notify;
+        this.reportExit = reportExit;
+    }
+
+    /**
+     * @param {Object} entry - Journal entry in state BOUGHT
+     * @returns {Promise<Object|null>} { takeProfit, stopLoss, targets }, or null when rolled back
+     */
+    async protect(entry) {
+        try {
+            const currentPrice = await this.exchange.getPrice(entry.symbol);
+            const { stopLoss, targets } = this.risk.getExitLadder(entry.avgPrice, currentPrice, entry.meta.targetGain, { atr: entry.meta.atr ?? null });
+
+            const rungs = sizeExitLadder(this.exchange, entry.symbol, entry.executedQty, stopLoss, targets);
+            const placed = await placeExitLadder(this.exchange, entry.symbol, rungs, stopLoss);
+            for (const { oco, quantity, takeProfit } of placed) {
+                this.positions.addProtection(entry.positionId, oco, { quantity, takeProfit, stopLoss });
+            }
+
+            const takeProfit = rungs[rungs.length - 1].takeProfit;
+            this.trades.transition(entry.id, 'PROTECTED', {
+                orderListId: placed[0].oco.orderListId,
+                takeProfit,
+                stopLoss,
+                targets: rungs
+            });
+            return { takeProfit, stopLoss, targets: rungs };
+        } catch (error) {
+            logger.error('OCO placement failed, selling the position back', { symbol: entry.symbol, error: error.message });
+            await this.rollback(entry, error);
+            return null;
+        }
+    }
+
+    async rollback(entry, cause) {
+        const asset = entry.symbol.replace(config.trading.baseCurrency, '');
+        try {
+            // Fees charged in the base asset leave slightly less than was bought
+            await this.exchange.updateBalances();
+            const available = this.exchange.balances[asset]?.free || 0;
+            const order = await this.exchange.marketSell(entry.symbol, Math.min(entry.executedQty, available));
+
+            const position = this.positions.recordExit(entry.positionId, {
+                price: parseFloat(order.cummulativeQuoteQty) / parseFloat(order.executedQty),
+                quantity: entry.executedQty,
+                fee: await this.exchange.getOrderFees(entry.symbol, order.orderId),
+                reason: 'ROLLBACK',
+                orderId: order.orderId
+            });
+            this.trades.transition(entry.id, 'ABORTED', { closeReason: 'ROLLBACK', error: cause.message });
+
+            this.notify(`⚠️ Could not place the OCO for ${entry.symbol} (${cause.message}). Position sold back at market.`);
+            if (position) {
+                this.reportExit(position, position.exits[position.exits.length - 1]);
+            }
+        } catch (error) {
+            this.trades.transition(entry.id, 'BOUGHT', { error: `${cause.message}; rollback sell failed: ${error.message}` });
+            logger.error('Rollback sell failed, position is UNPROTECTED', { symbol: entry.symbol, error: error.message });
+            this.notify(`🚨 **${entry.symbol} IS UNPROTECTED**: OCO failed (${cause.message}) and the market sell failed too (${error.message}). Check it manually!`);
+        }
+    }
+}
@@ -0,0 +1,296 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { binance } from '../exchange/binance.js';
+import { ledger } from './ledger.js';
+import { discord } from '../integration/discord.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DATA_DIR = join(__dirname, '../../data');
+
+export const REBALANCE_STATE_PATH = join(DATA_DIR, 'rebalance_state.json');
+
+/**
+ * Target weight of every core coin inside the core bucket (CORE_WEIGHTS,
+ * equal weights when unset), normalized to add up to 1
+ */
+export function getCoreWeights(coreCoins = config.trading.coreCoins, weights = config.rebalance.weights) {
+    const raw = coreCoins.map(symbol => [symbol, Object.keys(weights).length ? weights[symbol] || 0 : 1]);
+    const total = raw.reduce((sum, [, weight]) => sum + weight, 0);
+    return Object.fromEntries(raw.map(([symbol, weight]) => [symbol, total > 0 ? weight / total : 0]));
+}
+
+/**
+ * Core holdings and free cash, valued in the base currency. Prices of pairs
+ * quoted in something else (ETHBTC) are converted through the quote asset.
+ * Coins held by open satellite positions in a core pair are left out: they
+ * belong to their OCOs, not to the core bucket.
+ * @param {Object} exchange - Exchange wrapper (balances, getPrice, getSymbolInfo)
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.tilts] - Weight multiplier per symbol (defensive tilts)
+ * @param {Object} [options.positions] - Position ledger with the open satellite positions
+ * @returns {Promise<{holdings: Array<Object>, cash: Object<string, number>}>}
+ */
+export async function getCoreHoldings(exchange, { tilts = {}, positions = ledger } = {}) {
+    const { baseCurrency, feeRate } = config.trading;
+    const weights = getCoreWeights();
+    const holdings = [];
+    const cash = {};
+
+    for (const symbol of config.trading.coreCoins) {
+        const info = exchange.getSymbolInfo(symbol);
+        const quoteAsset = info?.quoteAsset || baseCurrency;
+        const asset = info?.baseAsset || symbol.replace(quoteAsset, '');
+        const quotePrice = quoteAsset === baseCurrency ? 1 : await exchange.getPrice(`${quoteAsset}${baseCurrency}`);
+        const price = await exchange.getPrice(symbol) * quotePrice;
+        const balance = exchange.balances[asset] || {};
+        const satellite = positions.getOpenPositions(symbol).reduce((sum, p) => sum + p.remainingQty, 0);
+        const coreQty = Math.max(0, (balance.total || 0) - satellite);
+
+        cash[quoteAsset] ??= (exchange.balances[quoteAsset]?.free || 0) * quotePrice;
+        holdings.push({
+            symbol,
+            asset,
+            quoteAsset,
+            price,
+            weight: weights[symbol] * (tilts[symbol] ?? 1),
+            value: coreQty * price,
+            sellable: Math.min(balance.free || 0, coreQty) * price,
+            // The order has to clear minNotional with the fee taken off, and be worth a trade at all
+            minTradeValue: Math.max(config.risk.minOrderSizeUsdt, (info?.minNotional || 0) * quotePrice) / (1 - feeRate),
+        });
+    }
+    return { holdings, cash };
+}
+
+/**
+ * Orders that bring the core coins back to their targets. All values are in
+ * the base currency.
+ * @param {Object} params
+ * @param {number} params.totalValue - Portfolio equity
+ * @param {Array<Object>} params.holdings - One per core coin: symbol, quoteAsset, weight, value,
+ *   sellable (value of the free balance) and minTradeValue (smallest order worth placing)
+ * @param {Object<string, number>} params.cash - Free value per quote asset, available for buys
+ * @param {boolean} [params.force] - Trade every coin back to target, not only those outside the band
+ * @returns {{coreValue: number, targetValue: number, orders: Array, skipped: Array}}
+ */
+export function planRebalance({ totalValue, holdings, cash, force = false, coreShare = config.allocation.core, settings = config.rebalance }) {
+    const plan = {
+        coreValue: holdings.reduce((sum, h) => sum + h.value, 0),
+        targetValue: totalValue * coreShare,
+        orders: [],
+        skipped: [],
+    };
+    const budget = { ...cash };
+    const candidates = [];
+
+    for (const holding of holdings) {
+        const target = plan.targetValue * holding.weight;
+        const drift = target > 0 ? holding.value / target - 1 : (holding.value > 0 ? 1 : 0);
+        if (!force && Math.abs(drift) <= settings.band) continue;
+
+        const side = holding.value < target ? 'BUY' : 'SELL';
+        const skip = reason => plan.skipped.push({ symbol: holding.symbol, side, drift, reason });
+        if (side === 'SELL' && !settings.trim) {
+            skip('trimming disabled');
+            continue;
+        }
+        candidates.push({ holding, side, target, drift, value: Math.abs(target - holding.value), skip });
+    }
+
+    // Sells first: their proceeds pay for the buys. Buys in order of how far behind they are.
+    candidates.sort((a, b) => (a.side === b.side ? a.drift - b.drift : a.side === 'SELL' ? -1 : 1));
+
+    for (const { holding, side, target, drift, skip, ...order } of candidates) {
+        const quote = holding.quoteAsset;
+        let value = order.value;
+        if (side === 'SELL') {
+            value = Math.min(value, holding.sellable);
+        } else {
+            value = Math.min(value, (budget[quote] || 0) / (1 + config.trading.feeRate));
+        }
+
+        if (value < holding.minTradeValue) {
+            skip(`${value.toFixed(2)} is below the minimum trade of ${holding.minTradeValue.toFixed(2)}`);
+            continue;
+        }
+
+        budget[quote] = (budget[quote] || 0) + (side === 'SELL' ? value * (1 - config.trading.feeRate) : -value * (1 + config.trading.feeRate));
+        plan.orders.push({ symbol: holding.symbol, side, value, current: holding.value, target, drift });
+    }
+
+    return plan;
+}
+
+/**
+ * One line per order for logs and Discord, e.g. "BUY 120.00 of ETHUSDT (-18.5% off target)"
+ */
+export function describeRebalance(plan) {
+    const lines = plan.orders.map(o => `${o.side} ${o.value.toFixed(2)} of ${o.symbol} (${o.drift >= 0 ? '+' : ''}${(o.drift * 100).toFixed(1)}% off target)`);
+    for (const s of plan.skipped) {
+        lines.push(`skip ${s.side} ${s.symbol}: ${s.reason}`);
+    }
+    return lines;
+}
+
+/**
+ * Core Rebalancer
+ * Keeps the core bucket at CORE_ALLOCATION of equity, split across CORE_COINS
+ * by CORE_WEIGHTS. Coins drifting further than REBALANCE_BAND from their
+ * target are topped up or trimmed (REBALANCE_MODE=threshold), or everything
+ * is set back to target on a fixed interval (schedule). Orders too small to
+ * clear the exchange minimum after fees are skipped, and REBALANCE_DRY_RUN
+ * only announces the plan. A defensive tilt lowers one coin's weight for a
+ * while; the freed share is held as cash, not moved to the other coins.
+ * Tilts are saved, so a restart doesn't buy back what bearish news just cut.
+ */
+export class CoreRebalancer {
+    /**
+     * @param {Object} [deps]
+     * @param {Object} [deps.exchange] - Exchange wrapper (binance)
+     * @param {Object} [deps.positions] - Position ledger (satellite coins aren't core holdings)
+     * @param {Function} [deps.notify] - (message) => void, Discord by default
+     * @param {string|null} [deps.statePath] - JSON file the tilts are saved to (null = memory only)
+     */
+    constructor({ exchange = binance, positions = ledger, notify = message => discord.sendAlert(message), statePath = null } = {}) {
+        this.exchange = exchange;
+        this.positions = positions;
+        this.notify = notify;
+        this.statePath = statePath;
+        this.lastRun = 0;
+        this.tilts = {}; // symbol -> { factor, until }
+        this.load();
+    }
+
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+        const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        this.tilts = saved.tilts || {};
+    }
+
+    /**
+     * Write to a temp file and rename, so a crash mid-write never leaves a torn file
+     */
+    save() {
+        if (!this.statePath) return;
+
+        const dir = dirname(this.statePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const tmpPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ tilts: this.tilts }, null, 2));
+        fs.renameSync(tmpPath, this.statePath);
+    }
+
+    /**
+     * Hold less of a coin for a while, e.g. after bearish news
+     * @param {string} symbol - Core pair
+     * @param {number} cut - Share of its target weight to drop (0.25 = hold 75% of target)
+     * @param {number} hours - How long the tilt lasts
+     */
+    tilt(symbol, cut, hours) {
+        this.tilts[symbol] = { factor: 1 - cut, until: Date.now() + hours * 3600000 };
+        this.save();
+        logger.info('Core defensive tilt', { symbol, cut, until: new Date(this.tilts[symbol].until).toISOString() });
+    }
+
+    /**
+     * Weight multipliers of the tilts still running
+     */
+    getTilts(now = Date.now()) {
+        const expired = Object.keys(this.tilts).filter(symbol => this.tilts[symbol].until <= now);
+        if (expired.length > 0) {
+            expired.forEach(symbol => delete this.tilts[symbol]);
+            this.save();
+        }
+        return Object.fromEntries(Object.entries(this.tilts).map(([symbol, tilt]) => [symbol, tilt.factor]));
+    }
+
+    /**
+     * Whether the configured mode wants a rebalance now
+     */
+    isDue(now = Date.now()) {
+        const { mode, intervalHours } = config.rebalance;
+        if (mode === 'off') return false;
+        if (mode === 'schedule') return now - this.lastRun >= intervalHours * 3600000;
+        return true;
+    }
+
+    async getHoldings() {
+        return getCoreHoldings(this.exchange, { tilts: this.getTilts(), positions: this.positions });
+    }
+
+    /**
+     * Orders a rebalance would place now (nothing is traded)
+     */
+    async preview(totalValue, { force = config.rebalance.mode === 'schedule', symbols = null, trim = config.rebalance.trim } = {}) {
+        await this.exchange.updateBalances();
+        const { holdings, cash } = await this.getHoldings();
+        const plan = planRebalance({ totalValue, holdings, cash, force, settings: { ...config.rebalance, trim } });
+        if (symbols) {
+            plan.orders = plan.orders.filter(o => symbols.includes(o.symbol));
+            plan.skipped = plan.skipped.filter(o => symbols.includes(o.symbol));
+        }
+        return { ...plan, holdings };
+    }
+
+    /**
+     * Rebalance if due
+     * @param {number} totalValue - Portfolio equity
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Ignore the schedule and the bands
+     * @param {boolean} [options.dryRun] - Announce the plan without trading
+     * @param {Array<string>|null} [options.symbols] - Only trade these coins
+     * @param {boolean} [options.trim] - Sell overweight coins (REBALANCE_TRIM by default)
+     * @returns {Promise<Object|null>} The plan with the executed orders, null when not due
+     */
+    async run(totalValue, { force = false, dryRun = config.rebalance.dryRun, symbols = null, trim = config.rebalance.trim } = {}) {
+        if (!force && !this.isDue()) return null;
+        if (!symbols) this.lastRun = Date.now();
+
+        const plan = await this.preview(totalValue, { force: force || config.rebalance.mode === 'schedule', symbols, trim });
+        if (plan.orders.length === 0) {
+            if (plan.skipped.length > 0) logger.debug('Core rebalance skipped', { skipped: plan.skipped });
+            return plan;
+        }
+
+        const summary = describeRebalance(plan);
+        logger.info(`Core rebalance${dryRun ? ' (dry run)' : ''}`, {
+            coreValue: plan.coreValue.toFixed(2),
+            targetValue: plan.targetValue.toFixed(2),
+            orders: summary,
+        });
+        if (dryRun) {
+            this.notify(`⚖️ **Core Rebalance (dry run)**: core ${plan.coreValue.toFixed(2)} / target ${plan.targetValue.toFixed(2)} USDT\n${summary.join('\n')}`);
+            return plan;
+        }
+
+        const executed = [];
+        for (const order of plan.orders) {
+            const holding = plan.holdings.find(h => h.symbol === order.symbol);
+            try {
+                const quantity = order.value / holding.price;
+                const result = order.side === 'BUY'
+                    ? await this.exchange.marketBuy(order.symbol, quantity)
+                    : await this.exchange.marketSell(order.symbol, quantity);
+                executed.push({ ...order, orderId: result.orderId, executedQty: parseFloat(result.executedQty) });
+            } catch (error) {
+                logger.error('Core rebalance order failed', { symbol: order.symbol, side: order.side, error: error.message });
+                this.notify(`⚠️ Core Rebalance: ${order.side} ${order.symbol} failed (${error.message})`);
+            }
+        }
+
+        if (executed.length > 0) {
+            const lines = executed.map(o => `${o.side === 'BUY' ? 'Bought' : 'Sold'} ${o.value.toFixed(2)} USDT of ${o.symbol}`);
+            this.notify(`⚖️ **Core Rebalance**: core ${plan.coreValue.toFixed(2)} / target ${plan.targetValue.toFixed(2)} USDT\n${lines.join('\n')}`);
+        }
+        return { ...plan, executed };
+    }
+}
+
+export const coreRebalancer = new CoreRebalancer({ statePath: REBALANCE_STATE_PATH });
+export default coreRebalancer;
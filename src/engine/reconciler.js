@@ -0,0 +1,160 @@
+import { binance } from '../exchange/binance.js';
+import { ledger } from './ledger.js';
+import { riskManager } from './risk.js';
+import { discord } from '../integration/discord.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * Protection Reconciler
+ * Makes sure every satellite holding sits under a stop-loss. Balances are
+ * compared with open stop orders on boot and periodically: unprotected coins
+ * get a fresh OCO priced from their ledger entry or recent buy fills, and
+ * anything we can't explain is reported instead of touched. Coins already
+ * below the stop their cost basis calls for are sold at market: a stop
+ * moved down to today's price would only widen the loss.
+ */
+export class ProtectionReconciler {
+    /**
+     * @param {Object} [deps]
+     * @param {Object} [deps.exchange] - Exchange wrapper (binance)
+     * @param {Object} [deps.positions] - Position ledger
+     * @param {Object} [deps.risk] - Risk manager used for exit points
+     * @param {Function} [deps.notify] - (message) => void, Discord by default
+     */
+    constructor({ exchange = binance, positions = ledger, risk = riskManager, notify = message => discord.sendAlert(message) } = {}) {
+        this.exchange = exchange;
+        this.positions = positions;
+        this.risk = risk;
+        this.notify = notify;
+    }
+
+    /**
+     * Check every satellite pair once
+     * @param {Object} [options]
+     * @param {Set<string>} [options.skip] - Symbols with an entry in flight (bought, OCO not placed yet)
+     * @returns {Promise<{restored: Array, exited: Array, unexplained: Array, events: Array}>}
+     *   events: exits booked for holdings sold below their stop ({ position, exit })
+     */
+    async run({ skip = new Set() } = {}) {
+        const report = { restored: [], exited: [], unexplained: [], events: [] };
+
+        await this.exchange.updateBalances();
+        const openOrders = await this.exchange.getOpenOrders();
+
+        for (const symbol of config.trading.pairs) {
+            if (config.trading.coreCoins.includes(symbol) || skip.has(symbol)) continue;
+
+            try {
+                const result = await this.checkSymbol(symbol, openOrders);
+                if (result) report[result.status].push(result);
+                if (result?.event) report.events.push(result.event);
+            } catch (error) {
+                logger.error('Protection check failed', { symbol, error: error.message });
+                this.notify(`🚨 Could not protect ${symbol}: ${error.message}. Check it manually!`);
+            }
+        }
+
+        logger.info('Protection reconciliation finished', {
+            restored: report.restored.map(r => r.symbol),
+            exited: report.exited.map(r => r.symbol),
+            unexplained: report.unexplained.map(r => r.symbol),
+        });
+        return report;
+    }
+
+    async checkSymbol(symbol, openOrders) {
+        const info = this.exchange.getSymbolInfo(symbol);
+        const asset = info?.baseAsset || symbol.replace(config.trading.baseCurrency, '');
+        const held = this.exchange.balances[asset]?.total || 0;
+        if (held <= 0) return null;
+
+        const stopQty = openOrders
+            .filter(o => o.symbol === symbol && o.side === 'SELL' && o.type.startsWith('STOP_LOSS'))
+            .reduce((sum, o) => sum + parseFloat(o.origQty) - parseFloat(o.executedQty), 0);
+        const quantity = this.exchange.roundQuantity(symbol, held - stopQty);
+        if (quantity <= 0) return null;
+
+        // Dust that can't carry an order anyway
+        const price = await this.exchange.getPrice(symbol);
+        if (quantity < (info?.minQty || 0) || quantity * price < (info?.minNotional || 0)) {
+            logger.debug('Ignoring unprotected dust', { symbol, quantity });
+            return null;
+        }
+
+        let position = this.positions.getOpenPositions(symbol).slice(-1)[0];
+        let source = 'ledger';
+
+        if (!position) {
+            const basis = await this.exchange.getCostBasis(symbol, quantity);
+            if (!basis || basis.quantity < quantity * 0.5) {
+                logger.warn('Unexplained holding without stop-loss', { symbol, quantity, price });
+                this.notify(`⚠️ **Unexplained holding:** ${quantity} ${asset} (~${(quantity * price).toFixed(2)} ${config.trading.baseCurrency}) has no stop-loss and no matching buy fills. Not touching it, please check.`);
+                return { status: 'unexplained', symbol, quantity, price };
+            }
+
+            position = this.positions.openPosition({
+                symbol,
+                entryPrice: basis.price,
+                quantity,
+                entryFee: basis.fee,
+                entryOrderId: basis.orderId,
+                entryTime: basis.time,
+                meta: { reason: 'Adopted by protection reconciliation' },
+            });
+            source = 'recent fills';
+        }
+
+        // Same volatility stop a fresh entry would get (atr mode), fixed percentages otherwise
+        const atr = config.risk.mode === 'atr'
+            ? this.risk.getAtr(await this.exchange.getCandles(symbol, '1h', config.technicals.atrPeriod + 1))
+            : null;
+        const entryStop = this.risk.getExitPoints(position.entryPrice, 'BUY', null, { atr }).stopLoss;
+        if (price <= entryStop) {
+            return this.sellBelowStop({ symbol, asset, quantity, price, position, source, stopLoss: entryStop });
+        }
+        const { stopLoss, takeProfit } = this.risk.getProtectiveExits(position.entryPrice, price, null, { atr });
+
+        const oco = await this.exchange.ocoSell(symbol, quantity, takeProfit, stopLoss);
+        this.positions.addProtection(position.id, oco, { quantity, takeProfit, stopLoss, reason: 'RECOVERY' });
+
+        logger.warn('Restored missing protection', { symbol, quantity, entryPrice: position.entryPrice, source, takeProfit, stopLoss });
+        this.notify(`🩹 **Protection restored** for ${symbol}: ${quantity} ${asset} had no stop-loss. OCO placed TP ${takeProfit.toFixed(4)} / SL ${stopLoss.toFixed(4)} (cost basis ${position.entryPrice.toFixed(4)} from ${source}).`);
+
+        return { status: 'restored', symbol, quantity, price, source, positionId: position.id, takeProfit, stopLoss };
+    }
+
+    /**
+     * Sell an unprotected holding that already fell through its stop, booked as SL
+     */
+    async sellBelowStop({ symbol, asset, quantity, price, position, source, stopLoss }) {
+        const order = await this.exchange.marketSell(symbol, quantity);
+        const executedQty = parseFloat(order.executedQty);
+        const exitPrice = parseFloat(order.cummulativeQuoteQty) / executedQty;
+
+        const updated = this.positions.recordExit(position.id, {
+            price: exitPrice,
+            quantity: executedQty,
+            fee: await this.exchange.getOrderFees(symbol, order.orderId),
+            reason: 'SL',
+            orderId: order.orderId,
+        });
+
+        logger.warn('Unprotected holding below its stop, sold at market', { symbol, quantity: executedQty, entryPrice: position.entryPrice, source, stopLoss, price: exitPrice });
+        this.notify(`📉 **${symbol}** had no stop-loss and is already below it (SL ${stopLoss.toFixed(4)}, cost basis ${position.entryPrice.toFixed(4)} from ${source}): sold ${executedQty} ${asset} at market (${exitPrice.toFixed(4)}).`);
+
+        return {
+            status: 'exited',
+            symbol,
+            quantity: executedQty,
+            price: exitPrice,
+            source,
+            positionId: position.id,
+            stopLoss,
+            event: updated ? { position: updated, exit: updated.exits[updated.exits.length - 1] } : null,
+        };
+    }
+}
+
+export const protectionReconciler = new ProtectionReconciler();
+export default protectionReconciler;
@@ -1,3 +1,4 @@
+import { ATR } from 'technicalindicators';
 import { config } from '../config/index.js';
 import { logger, logBreaker } from '../utils/logger.js';
 import fs from 'fs';
@@ -8,23 +9,83 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const DATA_DIR = join(__dirname, '../../data');
 
+/**
+ * Latest Average True Range of a candle series (null without enough history)
+ */
+export function calculateAtr(candles, period = config.technicals.atrPeriod) {
+    if (!candles || candles.length <= period) return null;
+
+    const atr = ATR.calculate({
+        high: candles.map(c => c.high),
+        low: candles.map(c => c.low),
+        close: candles.map(c => c.close),
+        period
+    }).slice(-1)[0];
+    return atr > 0 ? atr : null;
+}
+
+/**
+ * Simple returns between consecutive candle closes
+ */
+export function candleReturns(candles) {
+    return candles.slice(1).map((c, i) => c.close / candles[i].close - 1);
+}
+
+/**
+ * Pearson correlation of two return series, aligned on their most recent values.
+ * 0 when there's too little data or one series doesn't move.
+ */
+export function correlation(a, b) {
+    const n = Math.min(a.length, b.length);
+    if (n < 3) return 0;
+
+    const x = a.slice(-n);
+    const y = b.slice(-n);
+    const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+    const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let i = 0; i < n; i++) {
+        cov += (x[i] - meanX) * (y[i] - meanY);
+        varX += (x[i] - meanX) ** 2;
+        varY += (y[i] - meanY) ** 2;
+    }
+    return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : 0;
+}
+
 /**
  * Risk Manager
  * Manages capital allocation, position sizing, and stop-losses
  */
-class RiskManager {
-    constructor() {
-        this.dailyStats = {
-            date: new Date().toISOString().split('T')[0],
-            initialBalance: 0,
-            currentBalance: 0,
-            tradesCount: 0,
-            dailyPnL: 0,
-            isHalted: false
+export class RiskManager {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Load/save stats under data/ (disabled for backtests)
+     * @param {Function} [options.clock] - Returns the current time in ms (simulated in backtests)
+     */
+    constructor({ persist = true, clock = () => Date.now() } = {}) {
+        this.persist = persist;
+        this.clock = clock;
+        this.dailyStats = this.createDailyStats(this.today());
+
+        // Survives day rollovers, unlike dailyStats
+        this.riskState = {
+            peakEquity: 0,
+            peakAt: null,
+            drawdownHalted: false,
+            drawdownHaltedAt: null
         };
 
-        this.ensureDataDir();
-        this.loadStats();
+        if (this.persist) {
+            this.ensureDataDir();
+            this.loadStats();
+            this.loadRiskState();
+            if (this.riskState.drawdownHalted) {
+                this.dailyStats.isHalted = true;
+            }
+        }
     }
 
     ensureDataDir() {
@@ -33,9 +94,24 @@ class RiskManager {
         }
     }
 
+    today() {
+        return new Date(this.clock()).toISOString().split('T')[0];
+    }
+
+    createDailyStats(date) {
+        return {
+            date,
+            initialBalance: 0, // Will be set on first heartbeat
+            currentBalance: 0,
+            tradesCount: 0,
+            dailyPnL: 0,
+            isHalted: false
+        };
+    }
+
     loadStats() {
         const filePath = join(DATA_DIR, 'daily_stats.json');
-        const today = new Date().toISOString().split('T')[0];
+        const today = this.today();
 
         if (fs.existsSync(filePath)) {
             const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -46,36 +122,71 @@ class RiskManager {
         }
 
         // Reset for new day
-        this.dailyStats = {
-            date: today,
-            initialBalance: 0, // Will be set on first heartbeat
-            currentBalance: 0,
-            tradesCount: 0,
-            dailyPnL: 0,
-            isHalted: false
-        };
+        this.dailyStats = this.createDailyStats(today);
         this.saveStats();
     }
 
     saveStats() {
+        if (!this.persist) return;
         const filePath = join(DATA_DIR, 'daily_stats.json');
         fs.writeFileSync(filePath, JSON.stringify(this.dailyStats, null, 2));
     }
 
+    loadRiskState() {
+        const filePath = join(DATA_DIR, 'risk_state.json');
+        if (fs.existsSync(filePath)) {
+            this.riskState = { ...this.riskState, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        }
+    }
+
+    saveRiskState() {
+        if (!this.persist) return;
+        const filePath = join(DATA_DIR, 'risk_state.json');
+        fs.writeFileSync(filePath, JSON.stringify(this.riskState, null, 2));
+    }
+
+    /**
+     * Start fresh daily stats when the date changes while running
+     */
+    rolloverDay() {
+        const today = this.today();
+        if (this.dailyStats.date !== today) {
+            logger.info('New trading day, resetting daily stats', { previous: this.dailyStats.date, today });
+            this.dailyStats = this.createDailyStats(today);
+        }
+    }
+
     /**
      * Update daily stats with new balance info
      */
     updateBalance(totalValue) {
+        this.rolloverDay();
+
         if (this.dailyStats.initialBalance === 0) {
             this.dailyStats.initialBalance = totalValue;
         }
         this.dailyStats.currentBalance = totalValue;
         this.dailyStats.dailyPnL = (totalValue / this.dailyStats.initialBalance) - 1;
 
+        // Track the all-time high for the drawdown breaker
+        if (totalValue > this.riskState.peakEquity) {
+            this.riskState.peakEquity = totalValue;
+            this.riskState.peakAt = new Date(this.clock()).toISOString();
+            this.saveRiskState();
+        }
+
         this.checkBreakers();
         this.saveStats();
     }
 
+    /**
+     * Current drawdown from the all-time equity peak (0.15 = 15% below peak)
+     */
+    getDrawdown() {
+        if (this.riskState.peakEquity <= 0) return 0;
+        return Math.max(0, 1 - this.dailyStats.currentBalance / this.riskState.peakEquity);
+    }
+
     /**
      * Check if any risk breakers have been triggered
      */
@@ -114,12 +225,54 @@ class RiskManager {
                 });
             }
         }
+
+        // 4. Max Drawdown from all-time equity peak (sticky until an admin reset)
+        if (!this.riskState.drawdownHalted && this.dailyStats.currentBalance > 0 && this.getDrawdown() >= config.risk.maxDrawdown) {
+            this.riskState.drawdownHalted = true;
+            this.riskState.drawdownHaltedAt = new Date(this.clock()).toISOString();
+            this.saveRiskState();
+            logBreaker({
+                reason: 'Max drawdown from equity peak reached',
+                drawdown: this.getDrawdown(),
+                limit: config.risk.maxDrawdown,
+                peak: this.riskState.peakEquity,
+                balance: this.dailyStats.currentBalance
+            });
+        }
+        if (this.riskState.drawdownHalted) {
+            this.dailyStats.isHalted = true;
+        }
+    }
+
+    /**
+     * Latest ATR of the given candles, used for volatility-based stops.
+     * null in fixed mode or when there isn't enough history (fixed fallback).
+     */
+    getAtr(candles, period = config.technicals.atrPeriod) {
+        if (config.risk.mode !== 'atr') return null;
+        return calculateAtr(candles, period);
     }
 
     /**
-     * Calculate how much to risk on a trade based on LLM confidence
+     * Stop distance as a share of the entry price: ATR_STOP_MULTIPLIER x ATR
+     * (clamped) in atr mode, DEFAULT_STOP_LOSS otherwise
      */
-    calculatePositionSize(totalCapital, confidenceScore) {
+    getStopPercent(entryPrice, atr = null) {
+        if (config.risk.mode !== 'atr' || !atr || !entryPrice) {
+            return config.risk.defaultStopLoss;
+        }
+        const stopPercent = (atr * config.risk.atrStopMultiplier) / entryPrice;
+        return Math.min(Math.max(stopPercent, config.risk.minStopLoss), config.risk.maxStopLoss);
+    }
+
+    /**
+     * Calculate how much to risk on a trade based on LLM confidence.
+     * With a stop distance (atr mode) the size is what loses MAX_RISK_PER_TRADE
+     * of equity if the stop is hit; otherwise it is that share of equity itself.
+     * @param {Object} [options]
+     * @param {number|null} [options.stopPercent] - Distance to the stop-loss (0.03 = 3%)
+     */
+    calculatePositionSize(totalCapital, confidenceScore, { stopPercent = null } = {}) {
         if (this.dailyStats.isHalted) return 0;
 
         // Confidence must be above minimum threshold
@@ -138,7 +291,9 @@ class RiskManager {
             riskFactor *= 1.5;
         }
 
-        let tradeValue = totalCapital * riskFactor;
+        let tradeValue = config.risk.mode === 'atr' && stopPercent
+            ? (totalCapital * riskFactor) / stopPercent
+            : totalCapital * riskFactor;
 
         // SMALL ACCOUNT ADJUSTMENT: 
         // If tradeValue is less than Binance minimum ($10), and we have enough room in satellite,
@@ -177,16 +332,94 @@ class RiskManager {
         return tradeValue;
     }
 
+    /**
+     * Sector of a pair (SECTORS); unlisted pairs are a group of their own
+     */
+    getSector(symbol) {
+        return config.portfolio.sectors[symbol] || symbol.replace(config.trading.baseCurrency, '');
+    }
+
+    /**
+     * Block an entry that would over-concentrate the satellite book: total
+     * exposure, exposure per sector, and exposure to coins that move together
+     * (three correlated alts are one big bet, not three small ones)
+     * @param {Object} params
+     * @param {string} params.symbol - Candidate pair
+     * @param {number} params.tradeSizeUsdt - Planned entry size
+     * @param {number} params.totalValue - Portfolio equity
+     * @param {Array<{symbol: string, value: number}>} params.holdings - Open satellite positions at market value
+     * @param {Object<string, number>} [params.correlations] - Return correlation of each held symbol with the candidate
+     * @returns {{allowed: boolean, reason: string|null, exposure: {total: number, sector: number, correlated: number}}}
+     */
+    checkPortfolioLimits({ symbol, tradeSizeUsdt, totalValue, holdings, correlations = {} }) {
+        const limits = config.portfolio;
+        const pct = value => `${(value * 100).toFixed(1)}%`;
+        const share = holdingsValue => (holdingsValue + tradeSizeUsdt) / totalValue;
+        const sum = list => list.reduce((total, h) => total + h.value, 0);
+
+        const sector = this.getSector(symbol);
+        const correlated = holdings.filter(h => h.symbol === symbol || (correlations[h.symbol] ?? 0) >= limits.correlationThreshold);
+        const exposure = {
+            total: share(sum(holdings)),
+            sector: share(sum(holdings.filter(h => this.getSector(h.symbol) === sector))),
+            correlated: share(sum(correlated)),
+        };
+
+        let reason = null;
+        if (exposure.total > limits.maxExposure) {
+            reason = `satellite exposure would reach ${pct(exposure.total)} (max ${pct(limits.maxExposure)})`;
+        } else if (exposure.sector > limits.maxSectorExposure) {
+            reason = `${sector} exposure would reach ${pct(exposure.sector)} (max ${pct(limits.maxSectorExposure)})`;
+        } else if (exposure.correlated > limits.maxCorrelatedExposure) {
+            const peers = correlated.map(h => h.symbol).join(', ');
+            reason = `correlated exposure with ${peers} would reach ${pct(exposure.correlated)} (max ${pct(limits.maxCorrelatedExposure)})`;
+        }
+
+        return { allowed: reason === null, reason, exposure };
+    }
+
+    /**
+     * Refuse or shrink an entry the order book can't absorb (see estimateMarketImpact).
+     * A wide spread can't be fixed by trading less, so it always refuses.
+     * @returns {{tradeSizeUsdt: number, reason: string|null}} 0 = refused, reason null = untouched
+     */
+    applyLiquidityLimits(tradeSizeUsdt, impact) {
+        const { maxSpread, maxSlippage, action } = config.liquidity;
+        const pct = value => `${(value * 100).toFixed(2)}%`;
+
+        if (impact.spread > maxSpread) {
+            return { tradeSizeUsdt: 0, reason: `spread ${pct(impact.spread)} > ${pct(maxSpread)}` };
+        }
+        if (!impact.depthExhausted && impact.slippage <= maxSlippage) {
+            return { tradeSizeUsdt, reason: null };
+        }
+
+        const problem = impact.depthExhausted
+            ? 'order book too thin for the order'
+            : `expected slippage ${pct(impact.slippage)} > ${pct(maxSlippage)}`;
+        const absorbable = Math.floor((impact.maxQuoteWithinSlippage ?? 0) * 100) / 100;
+        if (action === 'resize' && absorbable >= config.risk.minOrderSizeUsdt) {
+            const resized = Math.min(absorbable, tradeSizeUsdt);
+            return { tradeSizeUsdt: resized, reason: `${problem}, resized ${tradeSizeUsdt.toFixed(2)} -> ${resized.toFixed(2)} USDT` };
+        }
+        return { tradeSizeUsdt: 0, reason: problem };
+    }
+
     /**
      * Get Stop Loss and Take Profit prices
+     * @param {Object} [options]
+     * @param {number|null} [options.atr] - ATR at entry (atr mode): stop from volatility, TP at REWARD_RISK_RATIO x stop
      */
-    getExitPoints(entryPrice, side = 'BUY', targetGain = null) {
-        const slPercent = config.risk.defaultStopLoss;
-        let tpPercent = config.risk.defaultTakeProfit;
+    getExitPoints(entryPrice, side = 'BUY', targetGain = null, { atr = null } = {}) {
+        const volatilityStop = config.risk.mode === 'atr' && atr;
+        const slPercent = this.getStopPercent(entryPrice, atr);
+        let tpPercent = volatilityStop ? slPercent * config.risk.rewardRiskRatio : config.risk.defaultTakeProfit;
 
-        // Use AI suggested target if valid, otherwise use default
+        // Use AI suggested target if valid, otherwise use default.
+        // A volatility stop can be wide: never target less than it risks.
         if (targetGain && typeof targetGain === 'number') {
-            tpPercent = Math.min(Math.max(targetGain / 100, 0.02), 0.15);
+            const minTarget = volatilityStop ? Math.max(0.02, slPercent) : 0.02;
+            tpPercent = Math.min(Math.max(targetGain / 100, minTarget), Math.max(0.15, minTarget));
             logger.debug('Using AI suggested take profit', { tpPercent });
         }
 
@@ -203,6 +436,49 @@ class RiskManager {
         }
     }
 
+    /**
+     * Exit points for protecting a holding after the fact: from the entry price,
+     * unless the price already ran past one of them (the OCO would be rejected)
+     */
+    getProtectiveExits(entryPrice, currentPrice, targetGain = null, options = {}) {
+        const exits = this.getExitPoints(entryPrice, 'BUY', targetGain, options);
+        if (currentPrice <= exits.stopLoss || currentPrice >= exits.takeProfit) {
+            return this.getExitPoints(currentPrice, 'BUY', targetGain, options);
+        }
+        return exits;
+    }
+
+    /**
+     * Protective exits as a ladder of take-profit rungs sharing one stop
+     * (EXIT_LADDER). Without a ladder it's the single take profit.
+     * Like getProtectiveExits, everything is re-anchored on the current price
+     * when it already ran past the stop or the first rung.
+     * @returns {{stopLoss: number, targets: Array<{share: number, takeProfit: number}>}}
+     */
+    getExitLadder(entryPrice, currentPrice, targetGain = null, options = {}) {
+        const ladder = config.exits.ladder;
+        if (ladder.length === 0) {
+            const { stopLoss, takeProfit } = this.getProtectiveExits(entryPrice, currentPrice, targetGain, options);
+            return { stopLoss, targets: [{ share: 1, takeProfit }] };
+        }
+
+        const { stopLoss } = this.getExitPoints(entryPrice, 'BUY', null, options);
+        const anchor = currentPrice <= stopLoss || currentPrice >= entryPrice * (1 + ladder[0].gain) ? currentPrice : entryPrice;
+
+        // The LLM target can only push the last rung further out
+        const lastGain = targetGain && typeof targetGain === 'number'
+            ? Math.max(ladder[ladder.length - 1].gain, Math.min(targetGain / 100, 0.15))
+            : ladder[ladder.length - 1].gain;
+
+        return {
+            stopLoss: anchor === entryPrice ? stopLoss : this.getExitPoints(anchor, 'BUY', null, options).stopLoss,
+            targets: ladder.map((rung, i) => ({
+                share: rung.share,
+                takeProfit: anchor * (1 + (i === ladder.length - 1 ? lastGain : rung.gain))
+            }))
+        };
+    }
+
     recordTrade() {
         this.dailyStats.tradesCount++;
         this.checkBreakers();
@@ -210,13 +486,35 @@ class RiskManager {
     }
 
     canTrade() {
-        return !this.dailyStats.isHalted;
+        return !this.dailyStats.isHalted && !this.riskState.drawdownHalted;
     }
 
+    /**
+     * Clear the daily breakers. The drawdown breaker needs resetDrawdownBreaker().
+     */
     resetBreaker() {
         this.dailyStats.isHalted = false;
         this.saveStats();
     }
+
+    /**
+     * Admin reset of the drawdown breaker. The peak is re-based to the
+     * current equity, otherwise the breaker would trip again immediately.
+     */
+    resetDrawdownBreaker() {
+        const previousPeak = this.riskState.peakEquity;
+        this.riskState.peakEquity = this.dailyStats.currentBalance;
+        this.riskState.peakAt = new Date(this.clock()).toISOString();
+        this.riskState.drawdownHalted = false;
+        this.riskState.drawdownHaltedAt = null;
+        this.saveRiskState();
+
+        this.dailyStats.isHalted = false;
+        this.checkBreakers();
+        this.saveStats();
+
+        logger.warn('Drawdown breaker reset by admin', { previousPeak, newPeak: this.riskState.peakEquity });
+    }
 }
 
 export const riskManager = new RiskManager();
@@ -0,0 +1,139 @@
+import { binance } from '../exchange/binance.js';
+import { ledger } from './ledger.js';
+import { cancelProtections, restoreProtections } from './exits.js';
+import { discord } from '../integration/discord.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * A SELL / BEARISH analysis confident enough to act on
+ */
+export function isBearishSignal(analysis, minConfidence = config.signalExit.minConfidence) {
+    return Boolean(analysis)
+        && analysis.suggested_action === 'SELL'
+        && analysis.verdict === 'BEARISH'
+        && analysis.confidence >= minConfidence;
+}
+
+/**
+ * Share of a position to sell on a bearish signal: everything in exit mode;
+ * SIGNAL_REDUCE_SHARE in reduce mode, or everything above SIGNAL_FULL_EXIT_CONFIDENCE
+ */
+export function getSignalExitShare(analysis, settings = config.signalExit) {
+    if (settings.mode === 'off') return 0;
+    if (settings.mode === 'exit' || analysis.confidence >= settings.fullExitConfidence) return 1;
+    return settings.reduceShare;
+}
+
+/**
+ * What a SIGNAL exit's trade alert says about the news behind it
+ */
+export function describeSignal(analysis) {
+    const link = analysis.news?.url ? `\n<${analysis.news.url}>` : '';
+    return `Bearish news (${analysis.confidence}% confidence): ${analysis.reasoning}${link}`;
+}
+
+/**
+ * Signal Exit Manager
+ * Closes or reduces a satellite position before its OCO would: the OCOs are
+ * cancelled (booking anything they filled meanwhile), the coins sold at
+ * market and the exit recorded as SIGNAL. A reduced position gets its stop
+ * and take profits back for what's left.
+ */
+export class SignalExitManager {
+    /**
+     * @param {Object} [deps]
+     * @param {Object} [deps.exchange] - Exchange wrapper (binance)
+     * @param {Object} [deps.positions] - Position ledger
+     * @param {Function} [deps.notify] - (message) => void, Discord by default
+     */
+    constructor({ exchange = binance, positions = ledger, notify = message => discord.sendAlert(message) } = {}) {
+        this.exchange = exchange;
+        this.positions = positions;
+        this.notify = notify;
+    }
+
+    /**
+     * Sell a share of an open position at market
+     * @param {Object} position - Open ledger position
+     * @param {number} share - 0-1 of the remaining quantity (1 = close)
+     * @param {Object} [options]
+     * @param {string} [options.note] - Recorded with the exit, see describeSignal
+     * @returns {Promise<{events: Array, sold: number}>} Exits booked (cancelled OCO fills and the sale)
+     */
+    async exitPosition(position, share, { note = null } = {}) {
+        const { symbol } = position;
+        const protections = position.protection.filter(p => p.status === 'ACTIVE');
+
+        const { cancelled, events, error } = await cancelProtections(this.exchange, this.positions, position, protections);
+        if (error) {
+            // Don't sell half-cancelled: cover the rungs that are gone again and give up
+            if (position.status === 'OPEN') await this.reprotect(position, cancelled);
+            throw Object.assign(error, { events });
+        }
+        if (position.status !== 'OPEN') return { events, sold: 0 };
+
+        const info = this.exchange.getSymbolInfo(symbol);
+        const asset = info?.baseAsset || symbol.replace(config.trading.baseCurrency, '');
+        await this.exchange.updateBalances({ force: true });
+        const held = Math.min(position.remainingQty, this.exchange.balances[asset]?.free || 0);
+        const price = await this.exchange.getPrice(symbol);
+
+        // Don't leave a remainder too small to protect or sell later
+        let quantity = this.exchange.roundQuantity(symbol, held * share);
+        const rest = held - quantity;
+        if (rest * price < (info?.minNotional || 0) || rest < (info?.minQty || 0)) {
+            quantity = this.exchange.roundQuantity(symbol, held);
+        }
+
+        if (quantity <= 0 || quantity * price < (info?.minNotional || 0)) {
+            logger.warn('Signal exit too small to sell, keeping the position', { symbol, quantity, held });
+            await this.reprotect(position, protections);
+            return { events, sold: 0 };
+        }
+
+        let order;
+        try {
+            order = await this.exchange.marketSell(symbol, quantity);
+        } catch (error) {
+            await this.reprotect(position, protections);
+            throw error;
+        }
+
+        const executedQty = parseFloat(order.executedQty);
+        const updated = this.positions.recordExit(position.id, {
+            price: parseFloat(order.cummulativeQuoteQty) / executedQty,
+            quantity: executedQty,
+            fee: await this.exchange.getOrderFees(symbol, order.orderId),
+            reason: 'SIGNAL',
+            note,
+            orderId: order.orderId,
+        });
+        if (updated) {
+            events.push({ position: updated, exit: updated.exits[updated.exits.length - 1] });
+        }
+
+        if (position.status === 'OPEN') {
+            await this.reprotect(position, protections);
+        }
+        return { events, sold: executedQty };
+    }
+
+    /**
+     * Put the cancelled stop and take profits back on what's left of a position
+     */
+    async reprotect(position, protections) {
+        if (protections.length === 0) return;
+
+        const { symbol } = position;
+        try {
+            await restoreProtections(this.exchange, this.positions, position, protections);
+        } catch (error) {
+            logger.error('Failed to re-protect after a signal exit', { symbol, remainingQty: position.remainingQty, error: error.message });
+            this.notify(`🚨 **${symbol} IS UNPROTECTED**: re-placing the OCO after a signal exit failed (${error.message}). The protection check will retry.`);
+        }
+    }
+}
+
+export const signalExits = new SignalExitManager();
+export default signalExits;
@@ -0,0 +1,198 @@
+import { binance } from '../exchange/binance.js';
+import { ledger } from './ledger.js';
+import { calculateAtr } from './risk.js';
+import { sizeExitLadder, placeExitLadder, cancelProtections, restoreProtections } from './exits.js';
+import { discord } from '../integration/discord.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * Where the stop should be for a position, from its entry and the highest
+ * price seen since. null while the trail isn't active yet.
+ * @param {Object} params
+ * @param {string} params.mode - percent | atr | breakeven | off
+ * @param {number} params.entryPrice
+ * @param {number} params.highestPrice
+ * @param {number|null} [params.atr] - Current 1h ATR (atr mode)
+ * @param {Object} [params.settings] - config.trailing
+ */
+export function computeTrailingStop({ mode, entryPrice, highestPrice, atr = null, settings = config.trailing }) {
+    const gain = highestPrice / entryPrice - 1;
+
+    if (mode === 'off') return null;
+    if (mode === 'breakeven') {
+        const step = settings.steps.filter(s => gain >= s.gain).slice(-1)[0];
+        return step ? entryPrice * (1 + step.lock) : null;
+    }
+
+    if (gain < settings.activation) return null;
+
+    if (mode === 'percent') {
+        return highestPrice * (1 - settings.percent);
+    }
+    if (mode === 'atr') {
+        return atr ? highestPrice - atr * settings.atrMultiplier : null;
+    }
+    throw new Error(`Unknown trailing stop mode: ${mode}`);
+}
+
+/**
+ * Trailing Stop Manager
+ * Raises the stop-loss of open satellite positions as price moves in their
+ * favour, and to break-even once the first rung of an exit ladder filled.
+ * The high-water mark lives in the ledger, stops only ever ratchet up, and
+ * every rung keeps its take-profit. Re-placing the OCOs books any partial
+ * fill of the cancelled ones and only protects what's left.
+ */
+export class TrailingStopManager {
+    /**
+     * @param {Object} [deps]
+     * @param {Object} [deps.exchange] - Exchange wrapper (binance)
+     * @param {Object} [deps.positions] - Position ledger
+     * @param {Function} [deps.notify] - (message) => void, Discord by default
+     */
+    constructor({ exchange = binance, positions = ledger, notify = message => discord.sendAlert(message) } = {}) {
+        this.exchange = exchange;
+        this.positions = positions;
+        this.notify = notify;
+    }
+
+    /**
+     * Check every open position once
+     * @param {Object} [options]
+     * @param {Set<string>} [options.inFlight] - Symbols other code is placing orders for; ours are added while re-placing
+     * @returns {Promise<{moved: Array, events: Array}>} Stops moved and exits booked from cancelled OCOs
+     */
+    async run({ inFlight = new Set() } = {}) {
+        const report = { moved: [], events: [] };
+        if (config.trailing.mode === 'off' && !config.exits.breakevenAfterTarget) return report;
+
+        for (const position of this.positions.getOpenPositions()) {
+            if (inFlight.has(position.symbol)) continue;
+
+            const protections = position.protection.filter(p => p.status === 'ACTIVE');
+            if (protections.length === 0) continue; // Unprotected holdings are the reconciler's job
+
+            inFlight.add(position.symbol);
+            try {
+                const result = await this.trailPosition(position, protections);
+                if (result) {
+                    report.events.push(...result.events);
+                    if (result.moved) report.moved.push(result.moved);
+                }
+            } catch (error) {
+                logger.error('Failed to trail stop', { symbol: position.symbol, id: position.id, error: error.message });
+                report.events.push(...(error.events || []));
+            } finally {
+                inFlight.delete(position.symbol);
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Stop the position should have now, or null to leave it
+     */
+    async getTargetStop(position, price) {
+        const { mode } = config.trailing;
+        const highestPrice = this.positions.updateHighestPrice(position.id, price);
+        const atr = mode === 'atr'
+            ? calculateAtr(await this.exchange.getCandles(position.symbol, '1h', config.technicals.atrPeriod * 2))
+            : null;
+
+        const targets = [computeTrailingStop({ mode, entryPrice: position.entryPrice, highestPrice, atr })];
+        if (config.exits.breakevenAfterTarget && position.exits.some(e => e.reason === 'TP')) {
+            targets.push(position.entryPrice * (1 + config.exits.breakevenLock));
+        }
+
+        const target = Math.max(...targets.filter(Boolean));
+        return { target: Number.isFinite(target) ? target : null, highestPrice };
+    }
+
+    async trailPosition(position, protections) {
+        const { symbol } = position;
+        const { minStep } = config.trailing;
+
+        const price = await this.exchange.getPrice(symbol);
+        const { target, highestPrice } = await this.getTargetStop(position, price);
+        if (!target) return null;
+
+        // Ratchet only, in steps worth an order round trip, and never at or
+        // above the market (the exchange rejects a stop that triggers immediately)
+        const previousStop = Math.min(...protections.map(p => p.stopLoss));
+        const lowestTakeProfit = Math.min(...protections.map(p => p.takeProfit));
+        const stopLoss = this.exchange.roundPrice(symbol, target);
+        if (stopLoss <= previousStop * (1 + minStep)) return null;
+        if (stopLoss >= price * (1 - minStep) || stopLoss >= lowestTakeProfit) {
+            logger.debug('Trailing stop target too close to the market', { symbol, stopLoss, price });
+            return null;
+        }
+
+        logger.info(`Trailing stop triggered for ${symbol}`, { mode: config.trailing.mode, old: previousStop, new: stopLoss, highestPrice, rungs: protections.length });
+
+        // Legs may have partly filled before the cancel: book that, protect the rest
+        const { cancelled, events, error } = await cancelProtections(this.exchange, this.positions, position, protections);
+        if (error) {
+            // Give the rungs already cancelled their previous stop back before giving up
+            if (position.status === 'OPEN' && cancelled.length > 0) {
+                try {
+                    await restoreProtections(this.exchange, this.positions, position, cancelled);
+                } catch (restoreError) {
+                    this.notify(`🚨 **${symbol} IS UNPROTECTED**: cancelling an OCO to trail failed (${error.message}) and restoring the ones already cancelled failed too (${restoreError.message}). Check it manually!`);
+                }
+            }
+            throw Object.assign(error, { events });
+        }
+        if (position.status !== 'OPEN') return { events };
+
+        const info = this.exchange.getSymbolInfo(symbol);
+        const asset = info?.baseAsset || symbol.replace(config.trading.baseCurrency, '');
+        await this.exchange.updateBalances({ force: true });
+        const quantity = this.exchange.roundQuantity(symbol, Math.min(position.remainingQty, this.exchange.balances[asset]?.free || 0));
+        if (quantity <= 0 || quantity * stopLoss < (info?.minNotional || 0)) {
+            logger.warn('Nothing left to protect after cancelling the OCO', { symbol, remainingQty: position.remainingQty, quantity });
+            return { events };
+        }
+
+        // Each rung keeps its take profit, weighted by what it still had to sell
+        const targets = protections
+            .map(p => ({ share: Math.max(0, p.quantity - this.filledQuantity(position, p)), takeProfit: p.takeProfit }))
+            .filter(t => t.share > 0);
+        const rungs = sizeExitLadder(this.exchange, symbol, quantity, stopLoss, targets.length ? targets : [{ share: 1, takeProfit: lowestTakeProfit }]);
+
+        try {
+            for (const { oco, ...rung } of await placeExitLadder(this.exchange, symbol, rungs, stopLoss)) {
+                this.positions.addProtection(position.id, oco, { ...rung, stopLoss, reason: 'TRAIL' });
+            }
+        } catch (error) {
+            // Put the previous stop back rather than leave the coins unprotected
+            logger.error('Trailing OCO rejected, restoring the previous stop', { symbol, error: error.message });
+            try {
+                for (const { oco, ...rung } of await placeExitLadder(this.exchange, symbol, rungs, previousStop)) {
+                    this.positions.addProtection(position.id, oco, { ...rung, stopLoss: previousStop, reason: protections[0].reason });
+                }
+            } catch (restoreError) {
+                this.notify(`🚨 **${symbol} IS UNPROTECTED**: trailing OCO failed (${error.message}) and restoring the previous stop failed too (${restoreError.message}). Check it manually!`);
+                throw Object.assign(restoreError, { events });
+            }
+            return { events };
+        }
+
+        const takeProfits = rungs.map(r => r.takeProfit.toFixed(4)).join(' / ');
+        this.notify(`🛡️ Trailing Stop updated for ${symbol} to ${stopLoss.toFixed(4)} (high ${highestPrice.toFixed(4)}, TP stays ${takeProfits})`);
+
+        return { events, moved: { symbol, positionId: position.id, from: previousStop, to: stopLoss, quantity, rungs: rungs.length } };
+    }
+
+    /**
+     * Quantity one OCO already sold, from the exits booked against its legs
+     */
+    filledQuantity(position, protection) {
+        return position.exits
+            .filter(e => e.orderId !== null && (e.orderId === protection.limitOrderId || e.orderId === protection.stopOrderId))
+            .reduce((sum, e) => sum + e.quantity, 0);
+    }
+}
+
+export const trailingStops = new TrailingStopManager();
+export default trailingStops;
@@ -2,19 +2,127 @@ import BinanceFactory from 'binance-api-node';
 const Binance = BinanceFactory.default || BinanceFactory;
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import { PaperExchange, PAPER_STATE_PATH } from './paper.js';
+
+const MINUTE_MS = 60000;
+
+// REST request weights, see https://developers.binance.com/docs/binance-spot-api-docs/rest-api
+export const REQUEST_WEIGHTS = {
+    exchangeInfo: 20,
+    accountInfo: 20,
+    prices: 4, // All symbols in one request
+    dailyStats: 2,
+    candles: 2,
+    book: 5, // Depth up to 100 levels
+    order: 1,
+    orderOco: 1,
+    cancelOrder: 1,
+    cancelOrderOco: 1,
+    getOrder: 4,
+    myTrades: 20,
+    openOrders: 6,
+    allOpenOrders: 80,
+};
+
+/**
+ * Classify a rate limit error: 429 (back off) or 418 (IP banned)
+ */
+export function rateLimitStatus(error) {
+    const status = error.response?.status;
+    if (status === 429 || status === 418) return status;
+    // JSON API errors carry no HTTP status, only Binance's TOO_MANY_REQUESTS code
+    if (error.code === -1003) return /banned until/i.test(error.message) ? 418 : 429;
+    return null;
+}
+
+/**
+ * Walk one side of the order book to estimate what a market order would cost
+ * @param {Object} book - { bids, asks } levels as numbers, best first
+ * @param {number} quoteAmount - Order size in quote currency
+ * @param {Object} [options]
+ * @param {string} [options.side] - BUY walks the asks, SELL the bids
+ * @param {number|null} [options.maxSlippage] - Also find the largest size within this slippage
+ * @returns {{bestBid: number, bestAsk: number, spread: number, avgPrice: number, slippage: number, depthExhausted: boolean, maxQuoteWithinSlippage: number|null}}
+ */
+export function estimateMarketImpact(book, quoteAmount, { side = 'BUY', maxSlippage = null } = {}) {
+    const isBuy = side === 'BUY';
+    const levels = isBuy ? book.asks : book.bids;
+    const bestBid = book.bids[0]?.price;
+    const bestAsk = book.asks[0]?.price;
+    if (!bestBid || !bestAsk) {
+        throw new Error('Order book is empty');
+    }
+    const best = isBuy ? bestAsk : bestBid;
+
+    let cost = 0;
+    let base = 0;
+    let remaining = quoteAmount;
+    for (const { price, quantity } of levels) {
+        const take = Math.min(remaining, price * quantity);
+        cost += take;
+        base += take / price;
+        remaining -= take;
+        if (remaining <= 0) break;
+    }
+    const avgPrice = base > 0 ? cost / base : best;
+
+    // Largest order whose average price stays within the slippage limit
+    let maxQuoteWithinSlippage = null;
+    if (maxSlippage !== null) {
+        const limit = isBuy ? best * (1 + maxSlippage) : best * (1 - maxSlippage);
+        let limitCost = 0;
+        let limitBase = 0;
+        for (const { price, quantity } of levels) {
+            if (isBuy ? price <= limit : price >= limit) {
+                limitCost += price * quantity;
+                limitBase += quantity;
+                continue;
+            }
+            // Part of this level still keeps the average at the limit
+            const part = isBuy
+                ? (limit * limitBase - limitCost) / (price - limit)
+                : (limitCost - limit * limitBase) / (limit - price);
+            limitCost += price * Math.min(Math.max(part, 0), quantity);
+            break;
+        }
+        maxQuoteWithinSlippage = limitCost;
+    }
+
+    return {
+        bestBid,
+        bestAsk,
+        spread: (bestAsk - bestBid) / ((bestAsk + bestBid) / 2),
+        avgPrice,
+        slippage: isBuy ? avgPrice / best - 1 : 1 - avgPrice / best,
+        depthExhausted: remaining > quoteAmount * 1e-9,
+        maxQuoteWithinSlippage,
+    };
+}
 
 /**
  * Binance Exchange Wrapper
  * Handles all interactions with Binance API
  * Supports both live and testnet modes
  */
-class BinanceExchange {
+export class BinanceExchange {
     constructor() {
         this.client = null;
         this.exchangeInfo = null;
         this.balances = {};
         this.openOrders = [];
         this.paperBalanceInitialized = false;
+        this.paper = new PaperExchange({ statePath: PAPER_STATE_PATH });
+
+        // Kept live by the websocket streams (see stream.js) while they're connected
+        this.prices = {};
+        this.streaming = { prices: false, account: false };
+
+        // Request scheduler state
+        this.requestQueue = Promise.resolve();
+        this.pricesRequest = null;
+        this.usedWeight = { window: 0, value: 0 };
+        this.backoffUntil = 0;
+        this.bannedUntil = 0;
     }
 
     /**
@@ -25,6 +133,10 @@ class BinanceExchange {
             const options = {
                 apiKey: config.binance.apiKey,
                 apiSecret: config.binance.apiSecret,
+                // Let the user data stream report (re)connects and keepalive failures
+                emitSocketOpens: true,
+                emitSocketErrors: true,
+                emitStreamErrors: true,
             };
 
             // Use testnet if configured
@@ -37,7 +149,7 @@ class BinanceExchange {
             this.client = Binance(options);
 
             // Fetch exchange info for symbol constraints
-            this.exchangeInfo = await this.client.exchangeInfo();
+            this.exchangeInfo = await this.call('exchangeInfo');
             logger.info('Binance client initialized', {
                 testnet: config.binance.testnet,
                 symbols: this.exchangeInfo.symbols.length,
@@ -53,35 +165,110 @@ class BinanceExchange {
         }
     }
 
+    /**
+     * Rate-limited REST call. Requests go out one at a time, and when the used
+     * weight Binance reports gets close to the limit we wait for the next minute.
+     */
+    call(method, payload, weight = REQUEST_WEIGHTS[method] ?? 1) {
+        const request = this.requestQueue.then(() => this.send(method, payload, weight));
+        this.requestQueue = request.catch(() => {});
+        return request;
+    }
+
+    async send(method, payload, weight, retried = false) {
+        if (this.bannedUntil > Date.now()) {
+            throw new Error(`Binance REST API banned until ${new Date(this.bannedUntil).toISOString()}`);
+        }
+        if (this.backoffUntil > Date.now()) {
+            await this.wait(this.backoffUntil - Date.now());
+        }
+
+        const budget = config.rateLimit.weightLimit * config.rateLimit.weightHeadroom;
+        const window = Math.floor(Date.now() / MINUTE_MS);
+        if (this.usedWeight.window === window && this.usedWeight.value + weight > budget) {
+            const waitMs = (window + 1) * MINUTE_MS - Date.now();
+            logger.warn('Request weight near limit, waiting for the next window', {
+                method,
+                usedWeight: this.usedWeight.value,
+                budget,
+                waitMs,
+            });
+            await this.wait(waitMs);
+        }
+
+        try {
+            const result = await this.client[method](payload);
+            this.trackWeight(weight);
+            return result;
+        } catch (error) {
+            this.trackWeight(weight);
+
+            const status = rateLimitStatus(error);
+            if (status === 418) {
+                const until = parseInt(error.message.match(/banned until (\d+)/i)?.[1]);
+                this.bannedUntil = Number.isFinite(until) ? until : Date.now() + 2 * MINUTE_MS;
+                logger.error('Binance IP ban, pausing REST requests', { method, until: new Date(this.bannedUntil).toISOString() });
+            } else if (status === 429) {
+                const retryAfter = parseInt(error.response?.headers?.get?.('retry-after'));
+                this.backoffUntil = Number.isFinite(retryAfter)
+                    ? Date.now() + retryAfter * 1000
+                    : (Math.floor(Date.now() / MINUTE_MS) + 1) * MINUTE_MS;
+                logger.warn('Binance rate limit hit, backing off', { method, until: new Date(this.backoffUntil).toISOString() });
+
+                if (!retried) {
+                    return this.send(method, payload, weight, true);
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Track the used weight of the current minute, preferring the
+     * x-mbx-used-weight-1m header over our own count
+     */
+    trackWeight(weight) {
+        const window = Math.floor(Date.now() / MINUTE_MS);
+        if (this.usedWeight.window !== window) {
+            this.usedWeight = { window, value: 0 };
+        }
+
+        const reported = parseInt(this.client.getInfo?.().spot?.usedWeight1m);
+        this.usedWeight.value = Number.isFinite(reported) ? reported : this.usedWeight.value + weight;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
     /**
      * Update account balances
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Hit the REST API even while the user stream is live
      */
-    async updateBalances() {
+    async updateBalances({ force = false } = {}) {
         // PAPER TRADING OVERRIDE
         if (config.paper.enabled) {
             if (!this.paperBalanceInitialized) {
-                this.balances = {
-                    'USDT': {
-                        free: config.paper.startingBalance,
-                        locked: 0,
-                        total: config.paper.startingBalance
-                    }
-                };
-
-                for (const pair of config.trading.pairs) {
-                    const asset = pair.replace('USDT', '');
-                    if (!this.balances[asset]) {
-                        this.balances[asset] = { free: 0, locked: 0, total: 0 };
-                    }
+                const assets = config.trading.pairs.map(pair => pair.replace('USDT', ''));
+                // Resume the saved paper portfolio so restarts don't wipe multi-week runs
+                if (!this.paper.load()) {
+                    this.paper.reset(config.paper.startingBalance, assets);
+                    logger.info('Initialized PAPER TRADING balance', { balance: config.paper.startingBalance });
                 }
+                assets.forEach(asset => this.paper.ensureAsset(asset));
                 this.paperBalanceInitialized = true;
-                logger.info('Initialized PAPER TRADING balance', { balance: config.paper.startingBalance });
             }
+            this.balances = this.paper.balances;
+            return this.balances;
+        }
+
+        if (this.streaming.account && !force) {
             return this.balances;
         }
 
         try {
-            const account = await this.client.accountInfo();
+            const account = await this.call('accountInfo');
             this.balances = {};
 
             for (const balance of account.balances) {
@@ -104,37 +291,149 @@ class BinanceExchange {
         }
     }
 
+    /**
+     * Wipe the paper portfolio back to PAPER_STARTING_BALANCE
+     */
+    resetPaper() {
+        if (!config.paper.enabled) {
+            throw new Error('Paper trading is not enabled');
+        }
+
+        const assets = config.trading.pairs.map(pair => pair.replace('USDT', ''));
+        this.paper.reset(config.paper.startingBalance, assets);
+        this.balances = this.paper.balances;
+        this.openOrders = [];
+        logger.warn('PAPER TRADING state reset', { balance: config.paper.startingBalance });
+    }
+
+    /**
+     * Apply balances pushed by the user data stream (only changed assets are sent)
+     */
+    applyBalances(balances) {
+        for (const balance of balances) {
+            const free = parseFloat(balance.free);
+            const locked = parseFloat(balance.locked);
+            if (free > 0 || locked > 0) {
+                this.balances[balance.asset] = { free, locked, total: free + locked };
+            } else {
+                delete this.balances[balance.asset];
+            }
+        }
+    }
+
+    /**
+     * Apply an order update pushed by the user data stream to the open orders cache
+     */
+    applyOrderUpdate(order) {
+        this.openOrders = this.openOrders.filter(o => !(o.symbol === order.symbol && o.orderId === order.orderId));
+        if (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') {
+            this.openOrders.push(order);
+        }
+    }
+
+    /**
+     * Record a price pushed by the ticker stream
+     * @returns {Array} Paper orders filled at this price (always empty when live)
+     */
+    applyPrice(symbol, price) {
+        this.prices[symbol] = { price, time: Date.now() };
+
+        // Every price we see drives the paper order book
+        return config.paper.enabled ? this.paper.processPrice(symbol, price) : [];
+    }
+
     /**
      * Get current price for a symbol
+     * Served from the stream or a short-lived cache of the last batch fetch
      */
     async getPrice(symbol) {
+        const cached = this.prices[symbol];
+        const maxAge = this.streaming.prices ? config.stream.priceMaxAgeMs : config.rateLimit.priceTtlMs;
+        if (cached && Date.now() - cached.time < maxAge) {
+            return cached.price;
+        }
+
         try {
-            const ticker = await this.client.prices({ symbol });
-            return parseFloat(ticker[symbol]);
+            await this.refreshPrices();
+            if (!this.prices[symbol]) {
+                throw new Error(`No price for ${symbol}`);
+            }
+            return this.prices[symbol].price;
         } catch (error) {
             logger.error('Failed to get price', { symbol, error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Fetch every ticker price in one request. Concurrent callers share it.
+     */
+    refreshPrices() {
+        if (!this.pricesRequest) {
+            this.pricesRequest = this.call('prices')
+                .then((tickers) => {
+                    const time = Date.now();
+                    for (const [symbol, price] of Object.entries(tickers)) {
+                        this.prices[symbol] = { price: parseFloat(price), time };
+                    }
+
+                    // Only symbols we trade or hold paper orders on drive the paper book
+                    if (config.paper.enabled) {
+                        const symbols = new Set([...config.trading.pairs, ...config.trading.coreCoins, ...this.paper.getOpenSymbols()]);
+                        for (const symbol of symbols) {
+                            if (this.prices[symbol]) this.paper.processPrice(symbol, this.prices[symbol].price);
+                        }
+                    }
+                })
+                .finally(() => {
+                    this.pricesRequest = null;
+                });
+        }
+        return this.pricesRequest;
+    }
+
     /**
      * Get 24h ticker stats
      */
     async get24hStats(symbol) {
         try {
-            return await this.client.dailyStats({ symbol });
+            return await this.call('dailyStats', { symbol });
         } catch (error) {
             logger.error('Failed to get 24h stats', { symbol, error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Best bids and asks (public data, also used in paper mode)
+     * @returns {Promise<{bids: Array<{price: number, quantity: number}>, asks: Array<{price: number, quantity: number}>}>}
+     */
+    async getOrderBook(symbol, limit = 5) {
+        try {
+            const book = await this.call('book', { symbol, limit });
+            const levels = side => side.map(l => ({ price: parseFloat(l.price), quantity: parseFloat(l.quantity) }));
+            return { bids: levels(book.bids), asks: levels(book.asks) };
+        } catch (error) {
+            logger.error('Failed to get order book', { symbol, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Expected spread and slippage of a market order of quoteAmount
+     * (see estimateMarketImpact), from the current order book
+     */
+    async getMarketImpact(symbol, quoteAmount, { side = 'BUY', maxSlippage = null } = {}) {
+        const book = await this.getOrderBook(symbol, config.liquidity.depthLevels);
+        return estimateMarketImpact(book, quoteAmount, { side, maxSlippage });
+    }
+
     /**
      * Get candlestick data
      */
     async getCandles(symbol, interval = '1h', limit = 100) {
         try {
-            const candles = await this.client.candles({ symbol, interval, limit });
+            const candles = await this.call('candles', { symbol, interval, limit });
             return candles.map(c => ({
                 openTime: c.openTime,
                 open: parseFloat(c.open),
@@ -204,42 +503,28 @@ class BinanceExchange {
 
     /**
      * Place a market buy order
+     * @param {Object} [options]
+     * @param {string} [options.clientOrderId] - Our own id, so the order can be found after a crash
      */
-    async marketBuy(symbol, quantity) {
+    async marketBuy(symbol, quantity, { clientOrderId } = {}) {
         try {
             const roundedQty = this.roundQuantity(symbol, quantity);
 
-            logger.info('Placing market BUY order', { symbol, quantity: roundedQty });
+            logger.info('Placing market BUY order', { symbol, quantity: roundedQty, clientOrderId });
 
             if (config.paper.enabled) {
                 const price = await this.getPrice(symbol);
-                const cost = roundedQty * price;
-
-                if (this.balances['USDT'].free < cost) {
-                    throw new Error(`Insufficient paper balance. Need ${cost}, have ${this.balances['USDT'].free}`);
-                }
-
-                this.balances['USDT'].free -= cost;
-                this.balances['USDT'].total -= cost;
-
-                const asset = symbol.replace('USDT', '');
-                this.balances[asset].free += roundedQty;
-                this.balances[asset].total += roundedQty;
-
-                logger.info('PAPER Market BUY filled', { symbol, price, quantity: roundedQty, cost });
-                return {
-                    orderId: 'paper-' + Date.now(),
-                    executedQty: roundedQty.toString(),
-                    cummulativeQuoteQty: cost.toString(),
-                    status: 'FILLED'
-                };
+                const order = this.paper.marketOrder(symbol, 'BUY', roundedQty, price, { clientOrderId });
+                logger.info('PAPER Market BUY filled', { symbol, price, quantity: roundedQty, cost: order.cummulativeQuoteQty });
+                return order;
             }
 
-            const order = await this.client.order({
+            const order = await this.call('order', {
                 symbol,
                 side: 'BUY',
                 type: 'MARKET',
                 quantity: roundedQty.toString(),
+                ...(clientOrderId && { newClientOrderId: clientOrderId }),
             });
 
             logger.info('Market BUY order filled', {
@@ -257,6 +542,49 @@ class BinanceExchange {
         }
     }
 
+    /**
+     * Place a limit buy order (entries)
+     * @param {Object} [options]
+     * @param {boolean} [options.postOnly] - LIMIT_MAKER: rejected instead of taking liquidity
+     * @param {string} [options.clientOrderId] - Our own id, so the order can be found after a crash
+     */
+    async limitBuy(symbol, quantity, price, { postOnly = false, clientOrderId } = {}) {
+        const type = postOnly ? 'LIMIT_MAKER' : 'LIMIT';
+        try {
+            const roundedQty = this.roundQuantity(symbol, quantity);
+            const roundedPrice = this.roundPrice(symbol, price);
+
+            logger.info(`Placing ${type} BUY order`, { symbol, quantity: roundedQty, price: roundedPrice, clientOrderId });
+
+            if (config.paper.enabled) {
+                await this.getPrice(symbol);
+                return this.paper.placeOrder({ symbol, side: 'BUY', type, quantity: roundedQty, price: roundedPrice, clientOrderId });
+            }
+
+            const order = await this.call('order', {
+                symbol,
+                side: 'BUY',
+                type,
+                quantity: roundedQty.toString(),
+                price: roundedPrice.toString(),
+                ...(!postOnly && { timeInForce: 'GTC' }),
+                ...(clientOrderId && { newClientOrderId: clientOrderId }),
+            });
+
+            logger.info(`${type} BUY order placed`, {
+                symbol,
+                orderId: order.orderId,
+                price: roundedPrice,
+                status: order.status,
+            });
+
+            return order;
+        } catch (error) {
+            logger.error(`${type} BUY failed`, { symbol, quantity, price, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Place a market sell order
      */
@@ -267,29 +595,13 @@ class BinanceExchange {
             logger.info('Placing market SELL order', { symbol, quantity: roundedQty });
 
             if (config.paper.enabled) {
-                const asset = symbol.replace('USDT', '');
-                if (this.balances[asset].free < roundedQty) {
-                    throw new Error(`Insufficient paper assets. Need ${roundedQty}, have ${this.balances[asset].free}`);
-                }
-
                 const price = await this.getPrice(symbol);
-                const revenue = roundedQty * price;
-
-                this.balances[asset].free -= roundedQty;
-                this.balances[asset].total -= roundedQty;
-                this.balances['USDT'].free += revenue;
-                this.balances['USDT'].total += revenue;
-
-                logger.info('PAPER Market SELL filled', { symbol, price, quantity: roundedQty, revenue });
-                return {
-                    orderId: 'paper-sell-' + Date.now(),
-                    executedQty: roundedQty.toString(),
-                    cummulativeQuoteQty: revenue.toString(),
-                    status: 'FILLED'
-                };
+                const order = this.paper.marketOrder(symbol, 'SELL', roundedQty, price);
+                logger.info('PAPER Market SELL filled', { symbol, price, quantity: roundedQty, revenue: order.cummulativeQuoteQty });
+                return order;
             }
 
-            const order = await this.client.order({
+            const order = await this.call('order', {
                 symbol,
                 side: 'SELL',
                 type: 'MARKET',
@@ -321,7 +633,12 @@ class BinanceExchange {
 
             logger.info('Placing LIMIT SELL order', { symbol, quantity: roundedQty, price: roundedPrice });
 
-            const order = await this.client.order({
+            if (config.paper.enabled) {
+                await this.getPrice(symbol);
+                return this.paper.placeOrder({ symbol, side: 'SELL', type: 'LIMIT', quantity: roundedQty, price: roundedPrice });
+            }
+
+            const order = await this.call('order', {
                 symbol,
                 side: 'SELL',
                 type: 'LIMIT',
@@ -356,7 +673,19 @@ class BinanceExchange {
 
             logger.info('Placing STOP-LOSS order', { symbol, quantity: roundedQty, stopPrice: roundedStopPrice });
 
-            const order = await this.client.order({
+            if (config.paper.enabled) {
+                await this.getPrice(symbol);
+                return this.paper.placeOrder({
+                    symbol,
+                    side: 'SELL',
+                    type: 'STOP_LOSS_LIMIT',
+                    quantity: roundedQty,
+                    price: roundedPrice,
+                    stopPrice: roundedStopPrice,
+                });
+            }
+
+            const order = await this.call('order', {
                 symbol,
                 side: 'SELL',
                 type: 'STOP_LOSS_LIMIT',
@@ -397,7 +726,19 @@ class BinanceExchange {
                 stopLoss: roundedSL,
             });
 
-            const order = await this.client.orderOco({
+            if (config.paper.enabled) {
+                await this.getPrice(symbol);
+                return this.paper.placeOco({
+                    symbol,
+                    side: 'SELL',
+                    quantity: roundedQty,
+                    price: roundedTP,
+                    stopPrice: roundedSL,
+                    stopLimitPrice: roundedSLLimit,
+                });
+            }
+
+            const order = await this.call('orderOco', {
                 symbol,
                 side: 'SELL',
                 quantity: roundedQty.toString(),
@@ -425,7 +766,9 @@ class BinanceExchange {
      */
     async cancelOrder(symbol, orderId) {
         try {
-            const result = await this.client.cancelOrder({ symbol, orderId });
+            const result = config.paper.enabled
+                ? this.paper.cancelOrder(symbol, orderId)
+                : await this.call('cancelOrder', { symbol, orderId });
             logger.info('Order cancelled', { symbol, orderId });
             return result;
         } catch (error) {
@@ -434,13 +777,147 @@ class BinanceExchange {
         }
     }
 
+    /**
+     * Cancel a whole order list (both legs of an OCO)
+     */
+    async cancelOrderList(symbol, orderListId) {
+        try {
+            const result = config.paper.enabled
+                ? this.paper.cancelOrderList(symbol, orderListId)
+                : await this.call('cancelOrderOco', { symbol, orderListId });
+            logger.info('Order list cancelled', { symbol, orderListId });
+            return result;
+        } catch (error) {
+            logger.error('Cancel order list failed', { symbol, orderListId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single order's current state
+     */
+    async getOrder(symbol, orderId) {
+        try {
+            if (config.paper.enabled) {
+                return this.paper.getOrder(symbol, orderId);
+            }
+            return await this.call('getOrder', { symbol, orderId });
+        } catch (error) {
+            logger.error('Failed to get order', { symbol, orderId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Find an order by the client order id we gave it
+     * @returns {Promise<Object|null>} null when the exchange never received it
+     */
+    async findOrder(symbol, clientOrderId) {
+        try {
+            if (config.paper.enabled) {
+                return this.paper.findOrder(symbol, clientOrderId);
+            }
+            return await this.call('getOrder', { symbol, origClientOrderId: clientOrderId });
+        } catch (error) {
+            // -2013: Order does not exist
+            if (error.code === -2013) return null;
+            logger.error('Failed to find order', { symbol, clientOrderId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Total commission paid on an order, converted to the quote asset
+     */
+    async getOrderFees(symbol, orderId) {
+        try {
+            const trades = config.paper.enabled
+                ? this.paper.fills.filter(f => f.symbol === symbol && f.orderId === Number(orderId))
+                : await this.call('myTrades', { symbol, orderId });
+
+            return trades.reduce((fee, trade) => fee + this.tradeFee(symbol, trade), 0);
+        } catch (error) {
+            logger.error('Failed to get order fees', { symbol, orderId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Commission of a single trade, converted to the quote asset
+     */
+    tradeFee(symbol, trade) {
+        const info = this.getSymbolInfo(symbol);
+        const quote = info?.quoteAsset || 'USDT';
+        const base = info?.baseAsset || symbol.replace(quote, '');
+        const commission = parseFloat(trade.commission);
+        const price = parseFloat(trade.price);
+
+        if (trade.commissionAsset === quote) {
+            return commission;
+        }
+        if (trade.commissionAsset === base) {
+            return commission * price;
+        }
+        // Paid in a third asset (e.g. BNB): estimate from the configured rate
+        return parseFloat(trade.qty) * price * config.trading.feeRate;
+    }
+
+    /**
+     * Cost basis of a holding from the most recent buy fills covering quantity
+     * @returns {Promise<{price: number, quantity: number, fee: number, orderId: number, time: number}|null>}
+     */
+    async getCostBasis(symbol, quantity) {
+        try {
+            const trades = config.paper.enabled
+                ? this.paper.fills.filter(f => f.symbol === symbol)
+                : await this.call('myTrades', { symbol, limit: 100 });
+
+            const buys = trades
+                .filter(t => t.isBuyer ?? t.side === 'BUY')
+                .sort((a, b) => b.time - a.time);
+
+            let covered = 0;
+            let cost = 0;
+            let fee = 0;
+            let oldest = null;
+            for (const trade of buys) {
+                if (covered >= quantity) break;
+                const qty = Math.min(parseFloat(trade.qty), quantity - covered);
+                covered += qty;
+                cost += qty * parseFloat(trade.price);
+                fee += this.tradeFee(symbol, trade) * (qty / parseFloat(trade.qty));
+                oldest = trade;
+            }
+
+            if (!oldest) return null;
+            return { price: cost / covered, quantity: covered, fee, orderId: buys[0].orderId, time: oldest.time };
+        } catch (error) {
+            logger.error('Failed to get cost basis', { symbol, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Get open orders
      */
     async getOpenOrders(symbol = null) {
         try {
+            if (config.paper.enabled) {
+                // Refresh prices so resting paper orders get a chance to fill first
+                const symbols = symbol ? [symbol] : this.paper.getOpenSymbols();
+                for (const s of symbols) {
+                    await this.getPrice(s);
+                }
+                this.openOrders = this.paper.getOpenOrders(symbol);
+                return this.openOrders;
+            }
+
+            if (this.streaming.account) {
+                return this.openOrders.filter(o => !symbol || o.symbol === symbol);
+            }
+
             const params = symbol ? { symbol } : {};
-            this.openOrders = await this.client.openOrders(params);
+            this.openOrders = await this.call('openOrders', params, symbol ? REQUEST_WEIGHTS.openOrders : REQUEST_WEIGHTS.allOpenOrders);
             return this.openOrders;
         } catch (error) {
             logger.error('Failed to get open orders', { error: error.message });
@@ -454,8 +931,16 @@ class BinanceExchange {
     async cancelAllOrders(symbol) {
         try {
             const openOrders = await this.getOpenOrders(symbol);
+            const cancelledLists = new Set();
             for (const order of openOrders) {
-                await this.cancelOrder(symbol, order.orderId);
+                // Both OCO legs are listed, but one cancel removes the whole list
+                if (order.orderListId !== -1) {
+                    if (cancelledLists.has(order.orderListId)) continue;
+                    await this.cancelOrderList(symbol, order.orderListId);
+                    cancelledLists.add(order.orderListId);
+                } else {
+                    await this.cancelOrder(symbol, order.orderId);
+                }
             }
             logger.info('All orders cancelled', { symbol, count: openOrders.length });
             return openOrders.length;
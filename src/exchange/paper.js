@@ -0,0 +1,545 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DATA_DIR = join(__dirname, '../../data');
+
+export const PAPER_STATE_PATH = join(DATA_DIR, 'paper_state.json');
+
+const MAX_FINISHED = 200;
+
+/**
+ * Paper Exchange
+ * In-memory order book simulator used by BinanceExchange in paper mode.
+ * Holds simulated balances and resting orders, fills them when price
+ * crosses, and returns objects shaped like Binance's REST responses.
+ */
+export class PaperExchange {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.statePath] - JSON file to persist the portfolio to (null = memory only)
+     */
+    constructor({ statePath = null } = {}) {
+        this.statePath = statePath;
+        this.balances = {};
+        this.orders = new Map();
+        this.orderLists = new Map();
+        this.fills = [];
+        this.lastPrices = {};
+        this.nextOrderId = 1;
+        this.nextOrderListId = 1;
+    }
+
+    /**
+     * Start over with a fresh quote balance
+     */
+    reset(startingBalance, assets = []) {
+        const quote = config.trading.baseCurrency;
+        this.balances = {
+            [quote]: { free: startingBalance, locked: 0, total: startingBalance }
+        };
+        assets.forEach(asset => this.ensureAsset(asset));
+
+        this.orders.clear();
+        this.orderLists.clear();
+        this.fills = [];
+        this.nextOrderId = 1;
+        this.nextOrderListId = 1;
+        this.save();
+    }
+
+    /**
+     * Restore balances, orders and fills saved by a previous run
+     * @returns {boolean} true if a saved state was found
+     */
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return false;
+
+        const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        this.balances = saved.balances;
+        this.orders = new Map(saved.orders.map(o => [o.orderId, o]));
+        this.orderLists = new Map(saved.orderLists.map(l => [l.orderListId, l]));
+        this.fills = saved.fills;
+        this.nextOrderId = saved.nextOrderId;
+        this.nextOrderListId = saved.nextOrderListId;
+
+        logger.info('Restored PAPER TRADING state', {
+            savedAt: saved.savedAt,
+            openOrders: this.getOpenOrders().length,
+            fills: this.fills.length,
+        });
+        return true;
+    }
+
+    /**
+     * Write to a temp file and rename, so a crash mid-write never leaves a torn file
+     */
+    save() {
+        this.prune();
+        if (!this.statePath) return;
+
+        const dir = dirname(this.statePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const tmpPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({
+            savedAt: new Date().toISOString(),
+            balances: this.balances,
+            orders: [...this.orders.values()],
+            orderLists: [...this.orderLists.values()],
+            fills: this.fills,
+            nextOrderId: this.nextOrderId,
+            nextOrderListId: this.nextOrderListId,
+        }, null, 2));
+        fs.renameSync(tmpPath, this.statePath);
+    }
+
+    /**
+     * Keep the state small: only the most recent finished orders are kept,
+     * with their OCO lists and fills. Open orders are never dropped.
+     */
+    prune() {
+        const finished = [...this.orders.values()].filter(o => o.status !== 'NEW');
+        if (finished.length <= MAX_FINISHED) return;
+
+        const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED).map(o => o.orderId));
+        for (const list of this.orderLists.values()) {
+            // An OCO goes as a whole once it's done
+            if (list.listOrderStatus === 'ALL_DONE' && list.orderIds.some(id => drop.has(id))) {
+                list.orderIds.forEach(id => drop.add(id));
+                this.orderLists.delete(list.orderListId);
+            }
+        }
+        drop.forEach(id => this.orders.delete(id));
+        this.fills = this.fills.filter(f => !drop.has(f.orderId));
+    }
+
+    splitSymbol(symbol) {
+        const quote = config.trading.baseCurrency;
+        return { base: symbol.slice(0, -quote.length), quote };
+    }
+
+    ensureAsset(asset) {
+        if (!this.balances[asset]) {
+            this.balances[asset] = { free: 0, locked: 0, total: 0 };
+        }
+        return this.balances[asset];
+    }
+
+    /**
+     * Move funds from free to locked (or back with a negative amount)
+     */
+    lock(asset, amount) {
+        const balance = this.ensureAsset(asset);
+        if (amount > 0 && balance.free < amount - 1e-12) {
+            throw new Error(`Account has insufficient balance for requested action. Need ${amount} ${asset}, have ${balance.free}`);
+        }
+        balance.free -= amount;
+        balance.locked += amount;
+    }
+
+    /**
+     * Apply a fill to balances. Fees are charged in the quote asset
+     * (like paying with BNB), so the full base quantity stays sellable.
+     */
+    settle(symbol, side, quantity, price, fromLocked) {
+        const { base, quote } = this.splitSymbol(symbol);
+        const baseBalance = this.ensureAsset(base);
+        const quoteBalance = this.ensureAsset(quote);
+        const quoteQty = quantity * price;
+        const commission = quoteQty * config.trading.feeRate;
+
+        if (side === 'BUY') {
+            const cost = quoteQty + commission;
+            if (fromLocked) {
+                quoteBalance.locked -= fromLocked;
+                quoteBalance.free += fromLocked - cost;
+            } else {
+                if (quoteBalance.free < cost) {
+                    throw new Error(`Account has insufficient balance for requested action. Need ${cost} ${quote}, have ${quoteBalance.free}`);
+                }
+                quoteBalance.free -= cost;
+            }
+            quoteBalance.total -= cost;
+            baseBalance.free += quantity;
+            baseBalance.total += quantity;
+        } else {
+            if (fromLocked) {
+                baseBalance.locked -= quantity;
+            } else {
+                if (baseBalance.free < quantity - 1e-12) {
+                    throw new Error(`Account has insufficient balance for requested action. Need ${quantity} ${base}, have ${baseBalance.free}`);
+                }
+                baseBalance.free -= quantity;
+            }
+            baseBalance.total -= quantity;
+            quoteBalance.free += quoteQty - commission;
+            quoteBalance.total += quoteQty - commission;
+        }
+
+        const fill = {
+            symbol,
+            side,
+            price,
+            qty: quantity,
+            quoteQty,
+            commission,
+            commissionAsset: quote,
+            time: Date.now(),
+        };
+        this.fills.push(fill);
+        return fill;
+    }
+
+    /**
+     * Immediately fill a market order at the given price
+     * @param {Object} [options]
+     * @param {string} [options.clientOrderId] - Like newClientOrderId, to find the order again later
+     */
+    marketOrder(symbol, side, quantity, price, { clientOrderId = null } = {}) {
+        const fill = this.settle(symbol, side, quantity, price);
+        const now = Date.now();
+        const order = this.createOrder({ symbol, side, type: 'MARKET', quantity, price: 0, clientOrderId });
+
+        order.executedQty = quantity;
+        order.cummulativeQuoteQty = fill.quoteQty;
+        order.status = 'FILLED';
+        order.updateTime = now;
+        fill.orderId = order.orderId;
+        fill.orderListId = -1;
+        this.save();
+
+        return {
+            ...this.formatOrder(order),
+            transactTime: now,
+            fills: [this.formatFill(fill)],
+        };
+    }
+
+    createOrder({ symbol, side, type, quantity, price = 0, stopPrice = 0, orderListId = -1, clientOrderId = null }) {
+        const orderId = this.nextOrderId++;
+        const now = Date.now();
+        const order = {
+            symbol,
+            orderId,
+            orderListId,
+            clientOrderId: clientOrderId || `paper_${orderId}`,
+            price,
+            origQty: quantity,
+            executedQty: 0,
+            cummulativeQuoteQty: 0,
+            status: 'NEW',
+            timeInForce: 'GTC',
+            type,
+            side,
+            stopPrice,
+            time: now,
+            updateTime: now,
+            isWorking: type === 'LIMIT' || type === 'LIMIT_MAKER',
+            triggered: false,
+            locked: 0,
+        };
+        this.orders.set(orderId, order);
+        return order;
+    }
+
+    /**
+     * Check a new resting order against the last known price
+     */
+    validateOrder(symbol, side, type, price, stopPrice) {
+        const last = this.lastPrices[symbol];
+        if (!last) return;
+
+        const crosses = side === 'SELL' ? last >= price : last <= price;
+        if (type === 'LIMIT_MAKER' && crosses) {
+            throw new Error('Order would immediately match and take.');
+        }
+
+        const triggers = side === 'SELL' ? last <= stopPrice : last >= stopPrice;
+        if (type === 'STOP_LOSS_LIMIT' && triggers) {
+            throw new Error('Stop price would trigger immediately.');
+        }
+    }
+
+    /**
+     * Place a single resting order (LIMIT, LIMIT_MAKER or STOP_LOSS_LIMIT)
+     */
+    placeOrder({ symbol, side, type, quantity, price, stopPrice = 0, clientOrderId = null }) {
+        this.validateOrder(symbol, side, type, price, stopPrice);
+
+        const { base, quote } = this.splitSymbol(symbol);
+        const lockAsset = side === 'SELL' ? base : quote;
+        const lockAmount = side === 'SELL' ? quantity : quantity * price * (1 + config.trading.feeRate);
+        this.lock(lockAsset, lockAmount);
+
+        const order = this.createOrder({ symbol, side, type, quantity, price, stopPrice, clientOrderId });
+        order.locked = lockAmount;
+
+        // A marketable plain limit order takes liquidity right away
+        const last = this.lastPrices[symbol];
+        if (last && type === 'LIMIT' && (side === 'SELL' ? last >= price : last <= price)) {
+            this.fillOrder(order, last);
+        }
+
+        this.save();
+        return this.formatOrder(order);
+    }
+
+    /**
+     * Place an OCO pair: LIMIT_MAKER take-profit + STOP_LOSS_LIMIT stop
+     */
+    placeOco({ symbol, side, quantity, price, stopPrice, stopLimitPrice }) {
+        const last = this.lastPrices[symbol];
+        if (last) {
+            const valid = side === 'SELL'
+                ? price > last && last > stopPrice
+                : price < last && last < stopPrice;
+            if (!valid) {
+                throw new Error('The relationship of the prices for the orders is not correct.');
+            }
+        }
+
+        const { base, quote } = this.splitSymbol(symbol);
+        const lockAsset = side === 'SELL' ? base : quote;
+        const lockAmount = side === 'SELL'
+            ? quantity
+            : quantity * Math.max(price, stopLimitPrice) * (1 + config.trading.feeRate);
+        this.lock(lockAsset, lockAmount);
+
+        const orderListId = this.nextOrderListId++;
+        const stopLeg = this.createOrder({
+            symbol, side, type: 'STOP_LOSS_LIMIT', quantity, price: stopLimitPrice, stopPrice, orderListId
+        });
+        const limitLeg = this.createOrder({
+            symbol, side, type: 'LIMIT_MAKER', quantity, price, orderListId
+        });
+
+        const list = {
+            orderListId,
+            symbol,
+            contingencyType: 'OCO',
+            listStatusType: 'EXEC_STARTED',
+            listOrderStatus: 'EXECUTING',
+            listClientOrderId: `paper_list_${orderListId}`,
+            transactionTime: Date.now(),
+            orderIds: [stopLeg.orderId, limitLeg.orderId],
+            locked: lockAmount,
+        };
+        this.orderLists.set(orderListId, list);
+        this.save();
+
+        return this.formatOrderList(list);
+    }
+
+    /**
+     * Cancel an order. Cancelling one OCO leg cancels the whole list, as on Binance.
+     */
+    cancelOrder(symbol, orderId) {
+        const order = this.orders.get(Number(orderId));
+        if (!order || order.symbol !== symbol || order.status !== 'NEW') {
+            throw new Error('Unknown order sent.');
+        }
+
+        if (order.orderListId !== -1) {
+            this.cancelOrderList(symbol, order.orderListId);
+            return this.formatOrder(order);
+        }
+
+        this.releaseLock(order, order.locked);
+        order.status = 'CANCELED';
+        order.isWorking = false;
+        order.updateTime = Date.now();
+        this.save();
+        return this.formatOrder(order);
+    }
+
+    cancelOrderList(symbol, orderListId) {
+        const list = this.orderLists.get(Number(orderListId));
+        if (!list || list.symbol !== symbol || list.listOrderStatus !== 'EXECUTING') {
+            throw new Error('Order list does not exist.');
+        }
+
+        const [firstLeg] = list.orderIds.map(id => this.orders.get(id));
+        this.releaseLock(firstLeg, list.locked);
+
+        for (const id of list.orderIds) {
+            const leg = this.orders.get(id);
+            leg.status = 'CANCELED';
+            leg.isWorking = false;
+            leg.updateTime = Date.now();
+        }
+        list.listStatusType = 'ALL_DONE';
+        list.listOrderStatus = 'ALL_DONE';
+        this.save();
+
+        return this.formatOrderList(list);
+    }
+
+    releaseLock(order, amount) {
+        const { base, quote } = this.splitSymbol(order.symbol);
+        this.lock(order.side === 'SELL' ? base : quote, -amount);
+    }
+
+    getOrder(symbol, orderId) {
+        const order = this.orders.get(Number(orderId));
+        if (!order || order.symbol !== symbol) {
+            throw new Error('Order does not exist.');
+        }
+        return this.formatOrder(order);
+    }
+
+    /**
+     * Look an order up by client order id (null when unknown)
+     */
+    findOrder(symbol, clientOrderId) {
+        const order = [...this.orders.values()].find(o => o.symbol === symbol && o.clientOrderId === clientOrderId);
+        return order ? this.formatOrder(order) : null;
+    }
+
+    getOpenOrders(symbol = null) {
+        return [...this.orders.values()]
+            .filter(o => o.status === 'NEW' && (!symbol || o.symbol === symbol))
+            .map(o => this.formatOrder(o));
+    }
+
+    /**
+     * Symbols that still have resting orders (need price updates to fill)
+     */
+    getOpenSymbols() {
+        return [...new Set([...this.orders.values()].filter(o => o.status === 'NEW').map(o => o.symbol))];
+    }
+
+    /**
+     * Feed a new market price: trigger stops and fill any crossed orders
+     * @returns {Array} Filled orders
+     */
+    processPrice(symbol, price) {
+        this.lastPrices[symbol] = price;
+        const filled = [];
+        let changed = false;
+
+        for (const order of this.orders.values()) {
+            if (order.symbol !== symbol || order.status !== 'NEW') continue;
+
+            let fillPrice = null;
+            const isSell = order.side === 'SELL';
+
+            if (order.type === 'LIMIT' || order.type === 'LIMIT_MAKER') {
+                if (isSell ? price >= order.price : price <= order.price) {
+                    fillPrice = order.price;
+                }
+            } else if (order.type === 'STOP_LOSS_LIMIT') {
+                const justTriggered = !order.triggered && (isSell ? price <= order.stopPrice : price >= order.stopPrice);
+                if (justTriggered) {
+                    order.triggered = true;
+                    order.isWorking = true;
+                    changed = true;
+                }
+                // Once triggered it rests as a plain limit order
+                if (order.triggered && (isSell ? price >= order.price : price <= order.price)) {
+                    fillPrice = justTriggered ? price : order.price;
+                }
+            }
+
+            if (fillPrice !== null) {
+                this.fillOrder(order, fillPrice);
+                filled.push(this.formatOrder(order));
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.save();
+        }
+        return filled;
+    }
+
+    fillOrder(order, price) {
+        const list = order.orderListId !== -1 ? this.orderLists.get(order.orderListId) : null;
+        const fill = this.settle(order.symbol, order.side, order.origQty, price, list ? list.locked : order.locked);
+        fill.orderId = order.orderId;
+        fill.orderListId = order.orderListId;
+
+        order.executedQty = order.origQty;
+        order.cummulativeQuoteQty = fill.quoteQty;
+        order.status = 'FILLED';
+        order.isWorking = false;
+        order.updateTime = fill.time;
+
+        if (list) {
+            // The other leg expires, exactly like Binance OCO
+            for (const id of list.orderIds) {
+                const leg = this.orders.get(id);
+                if (leg.orderId !== order.orderId && leg.status === 'NEW') {
+                    leg.status = 'EXPIRED';
+                    leg.isWorking = false;
+                    leg.updateTime = fill.time;
+                }
+            }
+            list.listStatusType = 'ALL_DONE';
+            list.listOrderStatus = 'ALL_DONE';
+        }
+
+        logger.info('PAPER order filled', {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            type: order.type,
+            side: order.side,
+            price,
+            quantity: order.origQty,
+        });
+    }
+
+    formatOrder(order) {
+        return {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            orderListId: order.orderListId,
+            clientOrderId: order.clientOrderId,
+            price: order.price.toString(),
+            origQty: order.origQty.toString(),
+            executedQty: order.executedQty.toString(),
+            cummulativeQuoteQty: order.cummulativeQuoteQty.toString(),
+            status: order.status,
+            timeInForce: order.timeInForce,
+            type: order.type,
+            side: order.side,
+            stopPrice: order.stopPrice.toString(),
+            time: order.time,
+            updateTime: order.updateTime,
+            isWorking: order.isWorking,
+        };
+    }
+
+    formatOrderList(list) {
+        const legs = list.orderIds.map(id => this.orders.get(id));
+        return {
+            orderListId: list.orderListId,
+            contingencyType: list.contingencyType,
+            listStatusType: list.listStatusType,
+            listOrderStatus: list.listOrderStatus,
+            listClientOrderId: list.listClientOrderId,
+            transactionTime: list.transactionTime,
+            symbol: list.symbol,
+            orders: legs.map(o => ({ symbol: o.symbol, orderId: o.orderId, clientOrderId: o.clientOrderId })),
+            orderReports: legs.map(o => this.formatOrder(o)),
+        };
+    }
+
+    formatFill(fill) {
+        return {
+            price: fill.price.toString(),
+            qty: fill.qty.toString(),
+            commission: fill.commission.toString(),
+            commissionAsset: fill.commissionAsset,
+        };
+    }
+}
+
+export default PaperExchange;
@@ -0,0 +1,184 @@
+import { EventEmitter } from 'events';
+import { binance } from './binance.js';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Convert a user stream executionReport to the REST order shape
+ * (what getOpenOrders/getOrder return), so consumers handle one format
+ */
+export function orderFromExecutionReport(report) {
+    return {
+        symbol: report.symbol,
+        orderId: report.orderId,
+        orderListId: report.orderListId,
+        clientOrderId: report.originalClientOrderId || report.newClientOrderId,
+        price: report.price,
+        origQty: report.quantity,
+        executedQty: report.totalTradeQuantity,
+        cummulativeQuoteQty: report.totalQuoteTradeQuantity,
+        status: report.orderStatus,
+        timeInForce: report.timeInForce,
+        type: report.orderType,
+        side: report.side,
+        stopPrice: report.stopPrice,
+        time: report.creationTime,
+        updateTime: report.eventTime,
+    };
+}
+
+/**
+ * Market & User Data Streams
+ * Keeps prices, balances and open orders on the exchange wrapper live from
+ * Binance websockets instead of polling. Paper mode only needs the ticker
+ * stream: simulated fills happen locally as prices arrive.
+ *
+ * The client library renews the listenKey and reconnects sockets on its own;
+ * after every (re)connect we resync from REST since events may have been missed.
+ *
+ * Events:
+ *  - price        { symbol, price }
+ *  - order        order in REST shape (new, filled, cancelled, expired...)
+ *  - balances     the exchange balances after an account update
+ *  - connected    { stream: 'user' | 'ticker', reconnect }
+ *  - disconnected { stream: 'user' | 'ticker', error }
+ *  - resync       { reason }
+ */
+export class MarketStream extends EventEmitter {
+    constructor(exchange = binance) {
+        super();
+        this.exchange = exchange;
+        this.symbols = [];
+        this.closeTickers = null;
+        this.closeUser = null;
+        this.watchdog = null;
+        this.lastTickerAt = 0;
+        this.lastResyncAt = 0;
+        this.userConnected = false;
+        this.hasConnected = { user: false, ticker: false };
+    }
+
+    /**
+     * Subscribe to the ticker stream for symbols and, when live, the user data stream
+     */
+    async start(symbols) {
+        this.symbols = [...new Set(symbols)];
+        this.subscribeTickers();
+
+        if (!config.paper.enabled) {
+            this.closeUser = await this.exchange.client.ws.user(event => this.handleUserEvent(event));
+        }
+
+        this.watchdog = setInterval(() => this.checkHealth(), 30000);
+        logger.info('Websocket streams started', { symbols: this.symbols, userStream: !config.paper.enabled });
+    }
+
+    stop() {
+        clearInterval(this.watchdog);
+        this.watchdog = null;
+        this.closeTickers?.();
+        this.closeTickers = null;
+        this.closeUser?.();
+        this.closeUser = null;
+        this.exchange.streaming.prices = false;
+        this.exchange.streaming.account = false;
+    }
+
+    subscribeTickers() {
+        this.closeTickers = this.exchange.client.ws.miniTicker(this.symbols, ticker => this.handleTicker(ticker));
+    }
+
+    handleTicker(ticker) {
+        const price = parseFloat(ticker.curDayClose);
+        const paperFills = this.exchange.applyPrice(ticker.symbol, price);
+        this.lastTickerAt = Date.now();
+
+        if (!this.exchange.streaming.prices) {
+            this.exchange.streaming.prices = true;
+            this.emit('connected', { stream: 'ticker', reconnect: this.hasConnected.ticker });
+            this.hasConnected.ticker = true;
+        }
+
+        this.emit('price', { symbol: ticker.symbol, price });
+
+        // Simulated fills have no user stream, so report them the same way
+        paperFills.forEach(order => this.emit('order', order));
+    }
+
+    handleUserEvent(event) {
+        switch (event.eventType) {
+            case 'open':
+                // Fires on the first connect and on every reconnect
+                this.userConnected = true;
+                logger.info('User data stream connected');
+                this.emit('connected', { stream: 'user', reconnect: this.hasConnected.user });
+                this.hasConnected.user = true;
+                this.resync('connected');
+                break;
+
+            case 'error':
+                logger.error('User data stream error', { error: event.error?.message || String(event.error) });
+                this.userConnected = false;
+                // Serve balances and orders from REST until the stream is back
+                this.exchange.streaming.account = false;
+                this.emit('disconnected', { stream: 'user', error: event.error });
+                break;
+
+            case 'outboundAccountPosition':
+                this.exchange.applyBalances(event.balances);
+                this.emit('balances', this.exchange.balances);
+                break;
+
+            case 'executionReport': {
+                const order = orderFromExecutionReport(event);
+                this.exchange.applyOrderUpdate(order);
+                logger.debug('Order update', { symbol: order.symbol, orderId: order.orderId, status: order.status });
+                this.emit('order', order);
+                break;
+            }
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Replace the cached balances and open orders with a REST snapshot
+     */
+    async resync(reason) {
+        try {
+            this.exchange.streaming.account = false;
+            await this.exchange.updateBalances({ force: true });
+            await this.exchange.getOpenOrders();
+            this.exchange.streaming.account = this.userConnected;
+            this.lastResyncAt = Date.now();
+
+            logger.info('Account state resynced', { reason, openOrders: this.exchange.openOrders.length });
+            this.emit('resync', { reason });
+        } catch (error) {
+            logger.error('Account resync failed', { reason, error: error.message });
+        }
+    }
+
+    /**
+     * Watchdog: restart a silent ticker stream and periodically resync the account
+     */
+    async checkHealth() {
+        const now = Date.now();
+
+        if (this.exchange.streaming.prices && now - this.lastTickerAt > config.stream.staleAfterMs) {
+            logger.warn('Ticker stream went quiet, reconnecting', { silentMs: now - this.lastTickerAt });
+            this.exchange.streaming.prices = false;
+            this.emit('disconnected', { stream: 'ticker', error: null });
+            this.closeTickers?.();
+            this.subscribeTickers();
+        }
+
+        if (this.userConnected && now - this.lastResyncAt > config.stream.resyncIntervalMs) {
+            await this.resync('periodic');
+        }
+    }
+}
+
+export const marketStream = new MarketStream();
+export default marketStream;
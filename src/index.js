@@ -1,8 +1,10 @@
 import { config, validateConfig } from './config/index.js';
 import { logger } from './utils/logger.js';
 import { binance } from './exchange/binance.js';
+import { marketStream } from './exchange/stream.js';
 import { discord } from './integration/discord.js';
 import { tradingEngine } from './engine/index.js';
+import { validateStrategyConfig } from './strategy/index.js';
 
 /**
  * Crypto Sentinel Bot
@@ -13,7 +15,7 @@ async function main() {
         console.log('--- STARTING CRYPTO SENTINEL BOT ---');
 
         // 1. Validate Configuration
-        const configErrors = validateConfig();
+        const configErrors = [...validateConfig(), ...validateStrategyConfig()];
         if (configErrors.length > 0) {
             console.error('Configuration Errors:');
             configErrors.forEach(err => console.error(` - ${err}`));
@@ -24,6 +26,12 @@ async function main() {
         logger.info('Initializing Binance exchange...');
         await binance.init();
 
+        // 2b. Live prices, balances and fills over websockets
+        if (config.stream.enabled) {
+            logger.info('Starting websocket streams...');
+            await marketStream.start([...config.trading.pairs, ...config.trading.coreCoins]);
+        }
+
         // 3. Initialize Discord
         logger.info('Initializing Discord integration...');
         await discord.init();
@@ -52,7 +60,7 @@ async function main() {
 
 async function shutdown(signal) {
     logger.warn(`Shutdown signal received: ${signal}`);
-    // Add cleanup logic here if needed (e.g., closing connections)
+    marketStream.stop();
     process.exit(0);
 }
 
@@ -2,6 +2,9 @@ import { Client, GatewayIntentBits, EmbedBuilder } from 'discord.js';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
 import { riskManager } from '../engine/risk.js';
+import { binance } from '../exchange/binance.js';
+import { ledger } from '../engine/ledger.js';
+import { coreRebalancer, describeRebalance } from '../engine/rebalance.js';
 import fetch from 'node-fetch';
 
 /**
@@ -113,15 +116,24 @@ class DiscordIntegration {
         switch (cmd.toLowerCase()) {
             case 'status':
                 const stats = riskManager.dailyStats;
+                const closed = ledger.getStats({ since: Date.now() - 86400000 });
+                const lastTrades = ledger.getClosedPositions()
+                    .slice(-3)
+                    .map(p => `${p.symbol} ${p.exitReason} ${p.realizedPnl >= 0 ? '+' : ''}${p.realizedPnl.toFixed(2)} USDT`)
+                    .join('\n');
                 const statusEmbed = new EmbedBuilder()
                     .setTitle('Bot Status Report')
-                    .setColor(stats.isHalted ? 0xff0000 : 0x00ff00)
+                    .setColor(riskManager.canTrade() ? 0x00ff00 : 0xff0000)
                     .addFields(
                         { name: 'Date', value: stats.date, inline: true },
-                        { name: 'Status', value: stats.isHalted ? '🔴 HALTED' : '🟢 RUNNING', inline: true },
+                        { name: 'Status', value: riskManager.riskState.drawdownHalted ? '🔴 HALTED (drawdown)' : stats.isHalted ? '🔴 HALTED' : '🟢 RUNNING', inline: true },
                         { name: 'Daily PnL', value: `${(stats.dailyPnL * 100).toFixed(2)}%`, inline: true },
                         { name: 'Trades Today', value: `${stats.tradesCount}`, inline: true },
-                        { name: 'Current Balance', value: `${stats.currentBalance.toFixed(2)} USDT`, inline: true }
+                        { name: 'Current Balance', value: `${stats.currentBalance.toFixed(2)} USDT`, inline: true },
+                        { name: 'Drawdown', value: `${(riskManager.getDrawdown() * 100).toFixed(2)}% (peak ${riskManager.riskState.peakEquity.toFixed(2)})`, inline: true },
+                        { name: 'Realized PnL (24h)', value: `${closed.realizedPnl.toFixed(2)} USDT (${closed.wins}W / ${closed.losses}L)`, inline: true },
+                        { name: 'Open Positions', value: ledger.getOpenPositions().map(p => p.symbol).join(', ') || 'None', inline: true },
+                        { name: 'Last Trades', value: lastTrades || 'None', inline: false }
                     );
                 message.channel.send({ embeds: [statusEmbed] });
                 break;
@@ -135,7 +147,49 @@ class DiscordIntegration {
             case 'resume':
                 riskManager.dailyStats.isHalted = false;
                 riskManager.saveStats();
-                message.reply('▶️ Bot trading resumed manually.');
+                if (riskManager.riskState.drawdownHalted) {
+                    message.reply('⚠️ Daily breakers cleared, but the max drawdown breaker is still active. Use `!resetdrawdown confirm` to clear it.');
+                } else {
+                    message.reply('▶️ Bot trading resumed manually.');
+                }
+                break;
+
+            case 'resetdrawdown':
+                if (args[0] !== 'confirm') {
+                    message.reply(`⚠️ Equity is ${(riskManager.getDrawdown() * 100).toFixed(2)}% below its peak. Resetting re-bases the peak to the current balance. Run \`!resetdrawdown confirm\` to proceed.`);
+                    break;
+                }
+                riskManager.resetDrawdownBreaker();
+                message.reply(`🔄 Drawdown breaker reset. New equity peak: ${riskManager.riskState.peakEquity.toFixed(2)} USDT.`);
+                break;
+
+            case 'paperreset':
+                if (!config.paper.enabled) {
+                    message.reply('❌ Paper trading is not enabled.');
+                    break;
+                }
+                if (args[0] !== 'confirm') {
+                    message.reply('⚠️ This wipes the paper portfolio, open orders and fill history. Run `!paperreset confirm` to proceed.');
+                    break;
+                }
+                binance.resetPaper();
+                message.reply(`🧻 Paper portfolio reset to ${config.paper.startingBalance} USDT.`);
+                break;
+
+            case 'rebalance':
+                try {
+                    const totalValue = await binance.getTotalValueUsdt();
+                    if (args[0] !== 'confirm') {
+                        const plan = await coreRebalancer.preview(totalValue, { force: true });
+                        const lines = describeRebalance(plan);
+                        message.reply(`⚖️ Core ${plan.coreValue.toFixed(2)} / target ${plan.targetValue.toFixed(2)} USDT\n${lines.join('\n') || 'Nothing to trade.'}\nRun \`!rebalance confirm\` to place these orders.`);
+                        break;
+                    }
+                    const result = await coreRebalancer.run(totalValue, { force: true, dryRun: false });
+                    message.reply(`⚖️ Core rebalance done: ${result.executed?.length || 0} order(s) placed.`);
+                } catch (error) {
+                    message.reply(`❌ Rebalance failed: ${error.message}`);
+                }
                 break;
 
             case 'kill':
@@ -144,7 +198,7 @@ class DiscordIntegration {
                 break;
 
             default:
-                message.reply(`Unknown command: !${cmd}. Available: !status, !pause, !resume, !kill`);
+                message.reply(`Unknown command: !${cmd}. Available: !status, !pause, !resume, !resetdrawdown, !paperreset, !rebalance, !kill`);
         }
     }
 }
@@ -0,0 +1,97 @@
+/**
+ * Analysis Schema
+ * The shape every LLM analysis must have before it can reach the engine:
+ *   { verdict, impact, confidence (0-100), target_gain (%, optional), reasoning, suggested_action }
+ * Enums are matched case-insensitively, numbers out of range are clamped,
+ * anything else missing or malformed is an error.
+ */
+
+export const VERDICTS = ['BULLISH', 'BEARISH', 'NEUTRAL'];
+export const IMPACTS = ['LOW', 'MEDIUM', 'HIGH'];
+export const ACTIONS = ['BUY', 'SELL', 'FOLD'];
+
+export const CONFIDENCE_RANGE = [0, 100];
+export const TARGET_GAIN_RANGE = [2.5, 12];
+
+const MAX_REASONING_LENGTH = 500;
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value.trim().replace(/%$/, ''));
+    return NaN;
+}
+
+function readEnum(raw, key, values, errors) {
+    const value = typeof raw[key] === 'string' ? raw[key].trim().toUpperCase() : raw[key];
+    if (!values.includes(value)) {
+        errors.push(`${key} must be one of ${values.join(', ')} (got ${JSON.stringify(raw[key])})`);
+        return null;
+    }
+    return value;
+}
+
+function readNumber(raw, key, [min, max], errors, clamped) {
+    const value = toNumber(raw[key]);
+    if (!Number.isFinite(value)) {
+        errors.push(`${key} must be a number from ${min} to ${max} (got ${JSON.stringify(raw[key])})`);
+        return null;
+    }
+    const bounded = Math.min(Math.max(value, min), max);
+    if (bounded !== value) clamped.push(`${key} ${value} -> ${bounded}`);
+    return bounded;
+}
+
+/**
+ * Check an analysis object against the schema
+ * @returns {{ analysis: Object|null, errors: string[], clamped: string[] }}
+ *          analysis is null when there are errors
+ */
+export function validateAnalysis(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { analysis: null, errors: ['Expected a JSON object'], clamped: [] };
+    }
+
+    const errors = [];
+    const clamped = [];
+    const analysis = {
+        verdict: readEnum(raw, 'verdict', VERDICTS, errors),
+        impact: readEnum(raw, 'impact', IMPACTS, errors),
+        confidence: readNumber(raw, 'confidence', CONFIDENCE_RANGE, errors, clamped),
+        target_gain: raw.target_gain === undefined || raw.target_gain === null
+            ? null
+            : readNumber(raw, 'target_gain', TARGET_GAIN_RANGE, errors, clamped),
+        reasoning: typeof raw.reasoning === 'string' ? raw.reasoning.trim().slice(0, MAX_REASONING_LENGTH) : '',
+        suggested_action: readEnum(raw, 'suggested_action', ACTIONS, errors),
+    };
+
+    if (!analysis.reasoning) {
+        errors.push('reasoning must be a non-empty string');
+    }
+    // A BUY on bearish news (or a SELL on bullish news) is a confused answer, not a signal
+    if (analysis.suggested_action === 'BUY' && analysis.verdict && analysis.verdict !== 'BULLISH') {
+        errors.push(`suggested_action BUY contradicts verdict ${analysis.verdict}`);
+    }
+    if (analysis.suggested_action === 'SELL' && analysis.verdict && analysis.verdict !== 'BEARISH') {
+        errors.push(`suggested_action SELL contradicts verdict ${analysis.verdict}`);
+    }
+
+    return { analysis: errors.length ? null : analysis, errors, clamped };
+}
+
+/**
+ * Parse and validate a model reply. Code fences and text around the JSON
+ * object are tolerated.
+ */
+export function parseAnalysis(text) {
+    const cleaned = String(text ?? '').replace(/```json|```/g, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+
+    let raw;
+    try {
+        raw = JSON.parse(start >= 0 && end > start ? cleaned.slice(start, end + 1) : cleaned);
+    } catch (error) {
+        return { analysis: null, errors: [`Invalid JSON: ${error.message}`], clamped: [] };
+    }
+    return validateAnalysis(raw);
+}
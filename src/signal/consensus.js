@@ -0,0 +1,102 @@
+import { config } from '../config/index.js';
+import { createProvider } from './providers/index.js';
+
+/**
+ * Consensus Voting
+ * The same news goes to several voters (a model plus a prompt variant, see
+ * CONSENSUS_VOTERS) and their analyses are combined into one. An action only
+ * wins when voters holding CONSENSUS_QUORUM of the total weight back it;
+ * otherwise the result is a FOLD. Voters that fail or reply with garbage
+ * abstain, which counts against the quorum: a BUY needs real agreement.
+ */
+
+export const CONSENSUS_METHODS = ['majority', 'min-confidence', 'weighted'];
+
+/**
+ * Build voters from the CONSENSUS_VOTERS config
+ * @returns {Array<Object>} { name, prompt, weight, llm }
+ */
+export function createVoters(voters = config.consensus.voters) {
+    return voters.map(voter => ({
+        name: voter.spec,
+        prompt: voter.prompt,
+        weight: voter.weight,
+        llm: createProvider(voter.provider, voter.model ? { model: voter.model } : {}),
+    }));
+}
+
+function mostCommon(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Combine voter analyses into one
+ * @param {Array<Object>} votes - { voter, weight, analysis (null = abstained) }
+ * @param {Object} [settings]
+ * @param {string} [settings.method] - majority | min-confidence | weighted
+ * @param {number} [settings.quorum] - Share of the total weight an action needs
+ * @returns {Object|null} Analysis with a `consensus` summary, or null if every voter abstained
+ */
+export function combineVotes(votes, { method = config.consensus.method, quorum = config.consensus.quorum } = {}) {
+    const valid = votes.filter(vote => vote.analysis);
+    if (valid.length === 0) return null;
+
+    const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+    const weightByAction = {};
+    for (const vote of valid) {
+        const action = vote.analysis.suggested_action;
+        weightByAction[action] = (weightByAction[action] || 0) + vote.weight;
+    }
+    const [action, actionWeight] = Object.entries(weightByAction).sort((a, b) => b[1] - a[1])[0];
+    const agreement = actionWeight / totalWeight;
+    const winners = valid.filter(vote => vote.analysis.suggested_action === action);
+
+    let confidence;
+    if (method === 'min-confidence') {
+        confidence = Math.min(...winners.map(vote => vote.analysis.confidence));
+    } else if (method === 'weighted') {
+        confidence = winners.reduce((sum, vote) => sum + vote.weight * vote.analysis.confidence, 0) / totalWeight;
+    } else {
+        confidence = winners.reduce((sum, vote) => sum + vote.analysis.confidence, 0) / winners.length;
+    }
+    confidence = Math.round(confidence);
+
+    const consensus = {
+        method,
+        agreement: Math.round(agreement * 100) / 100,
+        disagreement: Math.round((1 - agreement) * 100) / 100,
+        votes: votes.map(vote => ({
+            voter: vote.voter,
+            action: vote.analysis?.suggested_action ?? null,
+            verdict: vote.analysis?.verdict ?? null,
+            confidence: vote.analysis?.confidence ?? null,
+        })),
+    };
+
+    if (agreement < quorum) {
+        return {
+            verdict: 'NEUTRAL',
+            impact: 'LOW',
+            confidence,
+            target_gain: null,
+            reasoning: `No consensus: ${Math.round(agreement * 100)}% of the vote for ${action}, ${Math.round(quorum * 100)}% needed`,
+            suggested_action: 'FOLD',
+            consensus,
+        };
+    }
+
+    const lead = [...winners].sort((a, b) => b.weight * b.analysis.confidence - a.weight * a.analysis.confidence)[0];
+    const targetGains = winners.map(vote => vote.analysis.target_gain).filter(gain => gain !== null);
+    return {
+        verdict: mostCommon(winners.map(vote => vote.analysis.verdict)),
+        impact: mostCommon(winners.map(vote => vote.analysis.impact)),
+        confidence,
+        // The most cautious estimate among the voters that agree
+        target_gain: targetGains.length ? Math.min(...targetGains) : null,
+        reasoning: lead.analysis.reasoning,
+        suggested_action: action,
+        consensus,
+    };
+}
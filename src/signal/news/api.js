@@ -0,0 +1,65 @@
+import fetch from 'node-fetch';
+import { createNewsItem } from './item.js';
+
+/**
+ * Value at a dotted path, e.g. "source.title"
+ */
+export function getPath(object, path) {
+    if (!path) return object;
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * JSON API Source
+ * Any HTTP API returning a JSON list of posts (CryptoPanic and the like).
+ * `{symbol}` and `{asset}` in the URL are replaced per pair; without them the
+ * API is treated like a feed and items are matched by keyword.
+ */
+export class JsonApiSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - e.g. https://cryptopanic.com/api/developer/v2/posts/?auth_token=KEY&currencies={asset}
+     * @param {string} options.itemsPath - Where the list is in the response ("results")
+     * @param {Object<string, string>} options.fields - Item field -> response path (title, url, publishedAt, source, summary)
+     * @param {number} options.timeoutMs
+     */
+    constructor({ url, itemsPath, fields, timeoutMs }) {
+        this.name = `api:${new URL(url.replace(/\{(symbol|asset)\}/g, 'x')).hostname}`;
+        this.url = url;
+        this.itemsPath = itemsPath;
+        this.fields = fields;
+        this.timeoutMs = timeoutMs;
+        this.perSymbol = /\{(symbol|asset)\}/.test(url);
+    }
+
+    async getItems(symbol, asset) {
+        const url = this.url
+            .replace(/\{symbol\}/g, encodeURIComponent(symbol))
+            .replace(/\{asset\}/g, encodeURIComponent(asset));
+
+        const response = await fetch(url, {
+            headers: { Accept: 'application/json' },
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (!response.ok) {
+            throw new Error(`News API returned HTTP ${response.status}`);
+        }
+
+        const list = getPath(await response.json(), this.itemsPath);
+        if (!Array.isArray(list)) {
+            throw new Error(`News API response has no list at "${this.itemsPath}"`);
+        }
+
+        return list
+            .map(post => createNewsItem({
+                title: getPath(post, this.fields.title),
+                url: getPath(post, this.fields.url),
+                source: getPath(post, this.fields.source) || this.name,
+                publishedAt: getPath(post, this.fields.publishedAt),
+                summary: getPath(post, this.fields.summary) || '',
+            }))
+            .filter(Boolean);
+    }
+}
+
+export default JsonApiSource;
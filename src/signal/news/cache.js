@@ -0,0 +1,102 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const DATA_DIR = join(__dirname, '../../../data');
+
+export const NEWS_CACHE_PATH = join(DATA_DIR, 'news_cache.json');
+
+const DAY_MS = 86400000;
+
+/**
+ * News Cache
+ * Remembers every story by its hash: when it was first seen and what the LLM
+ * made of it, per pair. Scans only analyze stories they haven't scored yet,
+ * so an unchanged headline costs no LLM quota and can't trigger a second
+ * trade.
+ */
+export class NewsCache {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.statePath] - JSON file to persist to (null = memory only)
+     * @param {number} [options.retentionDays] - Forget stories first seen longer ago than this
+     */
+    constructor({ statePath = null, retentionDays = 7 } = {}) {
+        this.statePath = statePath;
+        this.retentionMs = retentionDays * DAY_MS;
+        this.entries = {}; // hash -> { title, url, source, publishedAt, firstSeen, analyses: { [symbol]: analysis } }
+        this.load();
+    }
+
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+        const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        this.entries = saved.entries || {};
+    }
+
+    /**
+     * Write to a temp file and rename, so a crash mid-write never leaves a torn cache
+     */
+    save() {
+        if (!this.statePath) return;
+
+        const dir = dirname(this.statePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const tmpPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ entries: this.entries }, null, 2));
+        fs.renameSync(tmpPath, this.statePath);
+    }
+
+    /**
+     * Note a story, keeping the time it was first seen
+     */
+    see(item, now = Date.now()) {
+        let entry = this.entries[item.hash];
+        if (!entry) {
+            entry = {
+                title: item.title,
+                url: item.url,
+                source: item.source,
+                publishedAt: item.publishedAt,
+                firstSeen: now,
+                analyses: {},
+            };
+            this.entries[item.hash] = entry;
+            this.save();
+        }
+        return entry;
+    }
+
+    /**
+     * Age of a story: from its publish time or from when we first saw it,
+     * whichever is earlier (search results are stamped with the fetch time)
+     */
+    getAgeMs(item, now = Date.now()) {
+        const firstSeen = this.entries[item.hash]?.firstSeen ?? now;
+        return now - Math.min(item.publishedAt ?? firstSeen, firstSeen);
+    }
+
+    getAnalysis(item, symbol) {
+        return this.entries[item.hash]?.analyses[symbol] ?? null;
+    }
+
+    recordAnalysis(item, symbol, analysis, now = Date.now()) {
+        const entry = this.see(item, now);
+        entry.analyses[symbol] = { ...analysis, analyzedAt: now };
+        this.prune(now);
+        this.save();
+    }
+
+    prune(now = Date.now()) {
+        for (const [hash, entry] of Object.entries(this.entries)) {
+            if (now - entry.firstSeen > this.retentionMs) delete this.entries[hash];
+        }
+    }
+}
+
+export const newsCache = new NewsCache({ statePath: NEWS_CACHE_PATH });
+export default newsCache;
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import { join, basename, extname } from 'path';
+import { createNewsItem } from './item.js';
+
+/**
+ * Items of one file. JSON holds an array of items (or { items: [...] }) with
+ * title, url, source, publishedAt and summary; any other text file has one
+ * headline per line, published at the file's modification time.
+ */
+export function readNewsFile(path) {
+    const name = `file:${basename(path)}`;
+    const content = fs.readFileSync(path, 'utf8');
+
+    if (extname(path).toLowerCase() === '.json') {
+        const parsed = JSON.parse(content);
+        const list = Array.isArray(parsed) ? parsed : parsed.items || [];
+        return list
+            .map(item => createNewsItem({ ...item, source: item.source || name }))
+            .filter(Boolean);
+    }
+
+    const modified = fs.statSync(path).mtimeMs;
+    return content.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => createNewsItem({ title: line, source: name, publishedAt: modified }))
+        .filter(Boolean);
+}
+
+/**
+ * Local File Source
+ * A file or a directory of files, for hand-curated news, exports from other
+ * tools or replaying a day in tests.
+ */
+export class FileSource {
+    constructor({ path }) {
+        this.name = `file:${basename(path)}`;
+        this.path = path;
+        this.perSymbol = false;
+    }
+
+    async getItems() {
+        if (!fs.existsSync(this.path)) return [];
+
+        const files = fs.statSync(this.path).isDirectory()
+            ? fs.readdirSync(this.path).filter(f => !f.startsWith('.')).map(f => join(this.path, f))
+            : [this.path];
+
+        return files
+            .filter(file => fs.statSync(file).isFile())
+            .flatMap(file => readNewsFile(file));
+    }
+}
+
+export default FileSource;
@@ -0,0 +1,153 @@
+import { config } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { RssSource } from './rss.js';
+import { JsonApiSource } from './api.js';
+import { FileSource } from './files.js';
+import { LlmSearchSource } from './search.js';
+
+export const NEWS_SOURCES = ['rss', 'api', 'files', 'search'];
+
+// Names news uses for the usual coins; NEWS_KEYWORDS adds or overrides
+const COIN_NAMES = {
+    BTC: ['bitcoin'],
+    ETH: ['ethereum', 'ether'],
+    SOL: ['solana'],
+    BNB: ['bnb chain', 'binance coin'],
+    XRP: ['ripple'],
+    ADA: ['cardano'],
+    AVAX: ['avalanche'],
+    DOGE: ['dogecoin'],
+    DOT: ['polkadot'],
+    LINK: ['chainlink'],
+    MATIC: ['polygon'],
+    POL: ['polygon'],
+    LTC: ['litecoin'],
+    TRX: ['tron'],
+    NEAR: ['near protocol'],
+    ARB: ['arbitrum'],
+    OP: ['optimism'],
+    SUI: ['sui network'],
+    PEPE: ['pepe'],
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Base asset of a pair, e.g. SOLUSDT -> SOL
+ */
+export function getAsset(symbol) {
+    return symbol.replace(new RegExp(`${config.trading.baseCurrency}$`), '');
+}
+
+/**
+ * Words that tie a story to a pair: the ticker (case-sensitive, "SOL" but not
+ * "sol") and the coin's names (any case)
+ */
+export function getKeywords(symbol, keywords = config.news.keywords) {
+    const asset = getAsset(symbol);
+    return { ticker: asset, names: keywords[symbol] || COIN_NAMES[asset] || [] };
+}
+
+export function isRelevant(item, symbol, keywords = config.news.keywords) {
+    const { ticker, names } = getKeywords(symbol, keywords);
+    const text = `${item.title} ${item.summary}`;
+    if (new RegExp(`(^|[^A-Za-z0-9$])\\$?${escapeRegExp(ticker)}([^A-Za-z0-9]|$)`).test(text)) return true;
+    return names.some(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(text));
+}
+
+/**
+ * Build the sources listed in NEWS_SOURCES (one per RSS feed)
+ */
+export function createSources(names = config.news.sources, settings = config.news) {
+    return names.flatMap((name) => {
+        switch (name) {
+            case 'rss':
+                return settings.rssFeeds.map(url => new RssSource({ url, timeoutMs: settings.timeoutMs }));
+            case 'api':
+                return settings.apiUrl
+                    ? [new JsonApiSource({ url: settings.apiUrl, itemsPath: settings.apiItemsPath, fields: settings.apiFields, timeoutMs: settings.timeoutMs })]
+                    : [];
+            case 'files':
+                return [new FileSource({ path: settings.path })];
+            case 'search':
+                return [new LlmSearchSource()];
+            default:
+                throw new Error(`Unknown news source: ${name}`);
+        }
+    });
+}
+
+/**
+ * News Aggregator
+ * Collects items from every source, keeps the ones about the pair and inside
+ * NEWS_LOOKBACK_HOURS, drops duplicates (same hash) and returns the newest
+ * first. Feed-like sources cover all pairs, so their items are cached for a
+ * few minutes instead of being re-downloaded for every pair of a scan.
+ */
+export class NewsAggregator {
+    /**
+     * @param {Array<Object>} sources - { name, perSymbol, getItems(symbol, asset) }
+     * @param {Object} [options]
+     * @param {number} [options.cacheMs] - How long feed items are reused
+     */
+    constructor(sources, { cacheMs = 5 * 60000 } = {}) {
+        this.sources = sources;
+        this.cacheMs = cacheMs;
+        this.cache = new Map(); // source -> { at, items } (several feeds can share a name)
+    }
+
+    async getSourceItems(source, symbol) {
+        if (source.perSymbol) {
+            return source.getItems(symbol, getAsset(symbol));
+        }
+
+        const cached = this.cache.get(source);
+        if (cached && Date.now() - cached.at < this.cacheMs) return cached.items;
+
+        const items = await source.getItems(symbol, getAsset(symbol));
+        this.cache.set(source, { at: Date.now(), items });
+        return items;
+    }
+
+    /**
+     * @param {string} symbol - Pair, e.g. SOLUSDT
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Max items (NEWS_MAX_ITEMS)
+     * @param {number} [options.lookbackHours] - Ignore older items (NEWS_LOOKBACK_HOURS)
+     * @returns {Promise<Array<Object>>} News items, newest first
+     */
+    async getLatestNews(symbol, { limit = config.news.maxItems, lookbackHours = config.news.lookbackHours } = {}) {
+        const since = Date.now() - lookbackHours * 3600000;
+        const seen = new Set();
+        const items = [];
+
+        for (const source of this.sources) {
+            let sourceItems;
+            try {
+                sourceItems = await this.getSourceItems(source, symbol);
+            } catch (error) {
+                logger.warn('News source failed', { source: source.name, symbol, error: error.message });
+                continue;
+            }
+
+            for (const item of sourceItems) {
+                if (seen.has(item.hash)) continue;
+                if (item.publishedAt !== null && item.publishedAt < since) continue;
+                if (!source.perSymbol && !isRelevant(item, symbol)) continue;
+                seen.add(item.hash);
+                items.push(item);
+            }
+        }
+
+        items.sort((a, b) => (b.publishedAt ?? 0) - (a.publishedAt ?? 0));
+        const latest = items.slice(0, limit);
+        logger.info(`Found ${latest.length} news items for ${symbol}`, { sources: [...new Set(latest.map(i => i.source))] });
+        return latest;
+    }
+}
+
+// An invalid NEWS_SOURCES entry is reported by validateConfig; don't crash on import
+export const newsAggregator = new NewsAggregator(createSources(config.news.sources.filter(name => NEWS_SOURCES.includes(name))));
+export default newsAggregator;
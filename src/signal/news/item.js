@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+
+/**
+ * News Items
+ * Every source returns the same shape:
+ *   { title, url, source, publishedAt (ms), summary, hash }
+ * The hash is taken from the normalized title, so the same story syndicated
+ * by several outlets (or re-fetched later) counts once.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML/XML entities feeds put in titles
+ */
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Plain text from a fragment that may hold CDATA, markup and entities
+ */
+export function toPlainText(fragment = '') {
+    // Descriptions are often escaped HTML: decode before stripping the tags
+    const text = decodeEntities(fragment.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1'));
+    return text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lowercase, no punctuation, single spaces: "Solana's  ETF — Approved!" and
+ * "solanas etf approved" are the same story
+ */
+export function normalizeTitle(title) {
+    return title
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export function newsHash(title) {
+    return crypto.createHash('sha256').update(normalizeTitle(title)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parse a publish time: ISO/RFC 2822 strings, seconds or milliseconds
+ * @returns {number|null} Epoch milliseconds
+ */
+export function parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        const n = Number(value);
+        return n < 1e12 ? n * 1000 : n;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Build a news item. Returns null without a usable title.
+ */
+export function createNewsItem({ title, url = null, source, publishedAt = null, summary = '' }) {
+    const cleanTitle = toPlainText(String(title ?? ''));
+    if (!cleanTitle) return null;
+
+    return {
+        title: cleanTitle,
+        url: url || null,
+        source,
+        publishedAt: parseTime(publishedAt),
+        summary: toPlainText(String(summary ?? '')).slice(0, 500),
+        hash: newsHash(cleanTitle),
+    };
+}
@@ -0,0 +1,79 @@
+import fetch from 'node-fetch';
+import { createNewsItem, toPlainText } from './item.js';
+
+function tag(xml, name) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return match ? match[1] : null;
+}
+
+function attribute(xml, name, attr) {
+    const match = xml.match(new RegExp(`<${name}\\s[^>]*${attr}="([^"]*)"`, 'i'));
+    return match ? match[1] : null;
+}
+
+/**
+ * Items of an RSS 2.0 or Atom document
+ * @param {string} xml
+ * @param {string} [fallbackSource] - Used when the feed has no title
+ */
+export function parseFeed(xml, fallbackSource = 'rss') {
+    const source = toPlainText(tag(xml.replace(/<(item|entry)[\s>][\s\S]*$/i, ''), 'title') || '') || fallbackSource;
+    const items = [];
+
+    for (const [, item] of xml.matchAll(/<item[\s>]([\s\S]*?)<\/item>/gi)) {
+        items.push(createNewsItem({
+            title: tag(item, 'title'),
+            url: toPlainText(tag(item, 'link') || tag(item, 'guid') || ''),
+            source,
+            publishedAt: toPlainText(tag(item, 'pubDate') || tag(item, 'dc:date') || ''),
+            summary: tag(item, 'description') || '',
+        }));
+    }
+
+    for (const [, entry] of xml.matchAll(/<entry[\s>]([\s\S]*?)<\/entry>/gi)) {
+        items.push(createNewsItem({
+            title: tag(entry, 'title'),
+            url: attribute(entry, 'link', 'href'),
+            source,
+            publishedAt: toPlainText(tag(entry, 'published') || tag(entry, 'updated') || ''),
+            summary: tag(entry, 'summary') || tag(entry, 'content') || '',
+        }));
+    }
+
+    return items.filter(Boolean);
+}
+
+function feedHost(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * RSS / Atom Source
+ * One feed URL; covers every coin, so items are matched to pairs by keyword.
+ */
+export class RssSource {
+    constructor({ url, timeoutMs }) {
+        // A malformed NEWS_RSS_FEEDS entry is reported by validateConfig; don't crash on import
+        this.name = `rss:${feedHost(url)}`;
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.perSymbol = false;
+    }
+
+    async getItems() {
+        const response = await fetch(this.url, {
+            headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (!response.ok) {
+            throw new Error(`Feed returned HTTP ${response.status}`);
+        }
+        return parseFeed(await response.text(), this.name);
+    }
+}
+
+export default RssSource;
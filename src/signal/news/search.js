@@ -0,0 +1,33 @@
+import { llm } from '../providers/index.js';
+import { createNewsItem } from './item.js';
+
+/**
+ * LLM Search Source
+ * Asks a search-grounded model (Gemini Google Search / OpenAI web search) for
+ * the latest stories. Items have no URL and carry the fetch time, so they
+ * can't be audited: prefer feeds and APIs, keep this as a supplement.
+ */
+export class LlmSearchSource {
+    constructor({ llmClient = llm } = {}) {
+        this.name = 'llm-search';
+        this.llm = llmClient;
+        this.perSymbol = true;
+    }
+
+    async getItems(symbol) {
+        if (!this.llm.canSearch()) return [];
+
+        const prompt = `Find the 3 most recent and impactful news stories for the cryptocurrency pair ${symbol} from the last 24 hours. Provide only the news text, one per line. Focus on major announcements, whale movements, or regulatory news.`;
+        const text = await this.llm.generate(prompt, { search: true });
+        if (!text) return [];
+
+        const fetchedAt = Date.now();
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 20) // Filter out short fragments
+            .map(line => createNewsItem({ title: line, source: this.name, publishedAt: fetchedAt }))
+            .filter(Boolean);
+    }
+}
+
+export default LlmSearchSource;
@@ -0,0 +1,68 @@
+import fetch from 'node-fetch';
+
+/**
+ * Gemini Provider
+ * Google Gemini generateContent API, with optional Google Search grounding
+ */
+export class GeminiProvider {
+    constructor({ apiKey, model, timeoutMs }) {
+        this.name = 'gemini';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+        this.supportsSearch = true;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Object} [options]
+     * @param {boolean} [options.search=false] - Ground the answer with Google Search
+     * @returns {Promise<string>} Raw model text (throws on an HTTP error or an empty reply)
+     */
+    async generate(prompt, { search = false } = {}) {
+        if (!this.apiKey) {
+            throw new Error('Gemini API key not configured');
+        }
+
+        const body = {
+            contents: [{
+                parts: [{ text: prompt }]
+            }]
+        };
+
+        if (search) {
+            body.tools = [{ google_search: {} }];
+        }
+
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        // Throw instead of returning nothing, so the router falls back to the next provider
+        if (!response.ok || data.error) {
+            throw new Error(`Gemini API Error: ${data.error?.message || `HTTP ${response.status}`}`);
+        }
+
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text?.trim()) {
+            // Blocked prompts and safety stops come back without text
+            const reason = data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason || 'none';
+            throw new Error(`Gemini returned an empty reply (reason: ${reason})`);
+        }
+        return text;
+    }
+}
+
+export default GeminiProvider;
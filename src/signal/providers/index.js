@@ -0,0 +1,87 @@
+import { config } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { GeminiProvider } from './gemini.js';
+import { OpenAIProvider } from './openai.js';
+
+/**
+ * Build a provider by name from the LLM config
+ */
+export function createProvider(name, overrides = {}) {
+    switch (name) {
+        case 'gemini':
+            return new GeminiProvider({
+                apiKey: config.llm.geminiKey,
+                model: config.llm.geminiModel,
+                timeoutMs: config.llm.timeoutMs,
+                ...overrides,
+            });
+        case 'openai':
+            return new OpenAIProvider({
+                apiKey: config.llm.openaiKey,
+                baseUrl: config.llm.openaiBaseUrl,
+                model: config.llm.openaiModel,
+                searchModel: config.llm.openaiSearchModel,
+                timeoutMs: config.llm.timeoutMs,
+                ...overrides,
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+/**
+ * LLM Router
+ * Sends prompts to the configured provider (LLM_PROVIDER) and falls back
+ * to the other one when it fails or can't serve the request.
+ */
+export class LLMRouter {
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    /**
+     * Providers able to serve a request, in priority order
+     */
+    candidates({ search = false } = {}) {
+        return this.providers.filter(p => p.isConfigured() && (!search || p.supportsSearch));
+    }
+
+    canSearch() {
+        return this.candidates({ search: true }).length > 0;
+    }
+
+    /**
+     * @returns {Promise<string|null>} Model text, or null if every provider failed
+     */
+    async generate(prompt, options = {}) {
+        const providers = this.candidates(options);
+
+        if (providers.length === 0) {
+            logger.error('No LLM provider available', { search: !!options.search });
+            return null;
+        }
+
+        for (const provider of providers) {
+            try {
+                return await provider.generate(prompt, options);
+            } catch (error) {
+                logger.error('LLM provider call failed', { provider: provider.name, error: error.message });
+            }
+        }
+
+        return null;
+    }
+}
+
+export const PROVIDERS = ['gemini', 'openai'];
+
+// An invalid LLM_PROVIDER is reported by validateConfig; don't crash on import
+const primary = PROVIDERS.includes(config.llm.provider) ? config.llm.provider : 'gemini';
+const secondary = primary === 'gemini' ? 'openai' : 'gemini';
+const providers = [createProvider(primary)];
+if (config.llm.fallback) {
+    providers.push(createProvider(secondary));
+}
+
+export const llm = new LLMRouter(providers);
+export default llm;
@@ -0,0 +1,75 @@
+import fetch from 'node-fetch';
+
+/**
+ * OpenAI-compatible Provider
+ * Chat Completions API. Works with OpenAI itself or any compatible server
+ * (Ollama, LM Studio, vLLM, ...) via OPENAI_BASE_URL.
+ */
+export class OpenAIProvider {
+    constructor({ apiKey, baseUrl, model, searchModel, timeoutMs }) {
+        this.name = 'openai';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.searchModel = searchModel;
+        this.timeoutMs = timeoutMs;
+        // Web search needs a search-capable model (e.g. gpt-4o-search-preview)
+        this.supportsSearch = !!searchModel;
+    }
+
+    /**
+     * Local servers usually don't need a key, so a custom base URL is enough
+     */
+    isConfigured() {
+        return !!this.apiKey || !this.baseUrl.startsWith('https://api.openai.com');
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Object} [options]
+     * @param {boolean} [options.search=false] - Use the web search model
+     * @returns {Promise<string>} Raw model text (throws on an HTTP error or an empty reply)
+     */
+    async generate(prompt, { search = false } = {}) {
+        if (search && !this.supportsSearch) {
+            throw new Error('OpenAI web search requires OPENAI_SEARCH_MODEL');
+        }
+
+        const body = {
+            model: search ? this.searchModel : this.model,
+            messages: [{ role: 'user', content: prompt }],
+        };
+
+        if (search) {
+            body.web_search_options = {};
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        // Error pages of proxies and local servers aren't always JSON
+        const data = await response.json().catch(() => ({}));
+
+        // Throw instead of returning nothing, so the router falls back to the next provider
+        if (!response.ok || data.error) {
+            throw new Error(`OpenAI API Error: ${data.error?.message || data.error || `HTTP ${response.status}`}`);
+        }
+
+        const text = data.choices?.[0]?.message?.content;
+        if (!text?.trim()) {
+            throw new Error(`OpenAI returned an empty reply (finish reason: ${data.choices?.[0]?.finish_reason ?? 'none'})`);
+        }
+        return text;
+    }
+}
+
+export default OpenAIProvider;
@@ -1,36 +1,56 @@
-import fetch from 'node-fetch';
+import { logger, logSignal, logInvalidSignal } from '../utils/logger.js';
+import { llm } from './providers/index.js';
+import { parseAnalysis } from './analysis.js';
+import { createVoters, combineVotes } from './consensus.js';
+import { newsAggregator } from './news/index.js';
+import { newsCache } from './news/cache.js';
 import { config } from '../config/index.js';
-import { logger, logSignal } from '../utils/logger.js';
+
+// Extra instructions for the prompt variants consensus voters can use (CONSENSUS_VOTERS)
+export const PROMPT_VARIANTS = {
+    default: '',
+    skeptic: 'Assume the story is already priced in or exaggerated unless it clearly is not. Only suggest BUY or SELL for news that will still move the price tomorrow.',
+    technical: 'Judge only concrete, verifiable facts (numbers, dates, on-chain data, official sources). Ignore tone, opinions and price predictions.',
+};
 
 /**
  * Sentiment Analyzer
- * Interfaces with LLMs (Gemini/OpenAI) to analyze market news
+ * Interfaces with LLMs (Gemini/OpenAI) to analyze market news. With consensus
+ * voters configured, every voter analyzes the news and the verdicts are
+ * combined (see src/signal/consensus.js).
  */
-class SentimentAnalyzer {
-    constructor() {
-        this.geminiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${config.llm.geminiKey}`;
+export class SentimentAnalyzer {
+    constructor(llmClient = llm, news = newsAggregator, cache = newsCache, voters = createVoters()) {
+        this.llm = llmClient;
+        this.news = news;
+        this.cache = cache;
+        this.voters = voters;
+        this.scanned = new Map(); // symbol -> [{ news, analysis }] of the current scan
     }
 
     /**
      * Primary logic for analyzing a news item
+     * @param {Object} newsItem - { title, url, source, publishedAt, summary, hash } (see src/signal/news)
      */
     async analyzeNews(newsItem, asset) {
         try {
-            logger.info('Analyzing news sentiment', { asset, newsItem: newsItem.substring(0, 100) + '...' });
-
-            const prompt = this.buildPrompt(newsItem, asset);
-            const text = await this.callGemini(prompt);
+            logger.info('Analyzing news sentiment', { asset, title: newsItem.title, source: newsItem.source, url: newsItem.url });
 
-            if (text) {
-                // Clean potential markdown code blocks and parse JSON
-                const jsonStr = text.replace(/```json|```/g, '').trim();
-                const result = JSON.parse(jsonStr);
+            const result = this.voters.length > 0
+                ? await this.vote(newsItem, asset)
+                : await this.generateAnalysis(this.buildPrompt(newsItem, asset), { asset, newsHash: newsItem.hash });
 
+            if (result) {
                 logSignal({
                     asset,
                     ...result,
-                    newsSnippet: newsItem.substring(0, 200)
+                    newsSnippet: newsItem.title.substring(0, 200),
+                    newsUrl: newsItem.url,
+                    newsSource: newsItem.source,
+                    newsPublishedAt: newsItem.publishedAt,
+                    newsHash: newsItem.hash
                 });
+                this.cache.recordAnalysis(newsItem, asset, result);
                 return result;
             }
 
@@ -41,19 +61,85 @@ class SentimentAnalyzer {
         }
     }
 
-    buildPrompt(news, asset) {
+    /**
+     * Have every voter analyze the news and combine the verdicts. A voter
+     * that fails abstains.
+     */
+    async vote(newsItem, asset) {
+        const votes = await Promise.all(this.voters.map(async (voter) => {
+            let analysis = null;
+            try {
+                const prompt = this.buildPrompt(newsItem, asset, voter.prompt);
+                analysis = await this.generateAnalysis(prompt, { asset, newsHash: newsItem.hash, voter: voter.name }, voter.llm);
+            } catch (error) {
+                logger.error('Consensus voter failed', { voter: voter.name, error: error.message });
+            }
+            return { voter: voter.name, weight: voter.weight, analysis };
+        }));
+
+        const result = combineVotes(votes);
+        if (result && result.consensus.disagreement > 0) {
+            logger.info(`Voters disagree on ${asset}`, { title: newsItem.title, ...result.consensus });
+        }
+        return result;
+    }
+
+    /**
+     * Ask for an analysis and validate it against the schema. A reply that
+     * fails gets one repair attempt with the errors; if that fails too the
+     * news is skipped. Both failures are logged as invalid_signal.
+     * @returns {Promise<Object|null>} Valid analysis, or null
+     */
+    async generateAnalysis(prompt, context = {}, client = this.llm) {
+        let text = await client.generate(prompt);
+        if (!text) return null;
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const { analysis, errors, clamped } = parseAnalysis(text);
+            if (analysis) {
+                if (clamped.length) {
+                    logger.warn('Clamped out-of-range analysis values', { ...context, clamped });
+                }
+                return analysis;
+            }
+
+            logInvalidSignal({ ...context, attempt, errors, output: text.substring(0, 500) });
+            if (attempt === 2) return null;
+
+            text = await client.generate(this.buildRepairPrompt(prompt, text, errors));
+            if (!text) return null;
+        }
+        return null;
+    }
+
+    buildRepairPrompt(prompt, reply, errors) {
+        return `${prompt}
+      Your previous reply was rejected:
+      ${reply.substring(0, 1000)}
+
+      Problems:
+      ${errors.map(error => `- ${error}`).join('\n      ')}
+
+      Reply again with ONLY the corrected JSON object in the output format above.
+    `;
+    }
+
+    buildPrompt(news, asset, variant = 'default') {
         return `
       You are a high-performance crypto quantitative analyst specializing in scam detection and institutional-grade news filtering. 
       Analyze the following news item for the asset: ${asset}.
       
-      News Item: "${news}"
+      News Item: "${news.title}"${news.summary ? `
+      Summary: "${news.summary}"` : ''}
+      Source: ${news.source}${news.publishedAt ? ` (published ${new Date(news.publishedAt).toISOString()})` : ''}
       
       RULES FOR MAXIMUM SKEPTICISM:
       1. IGNORE any news that sounds like a marketing "hype" post or "partnership" with no technical details.
       2. IGNORE "listing news" unless it is a Tier 1 exchange (Binance, Coinbase).
       3. LOOK FOR: Mainnet launches, significant hack recoveries, institutional ETF inflows, or major regulatory wins.
       4. IF THE NEWS IS VAGUE: Set confidence to < 40 and suggested_action to FOLD.
-      5. BE BRUTAL: Your goal is 100% survival. One bad trade wipes out the 50€ account.
+      5. BE BRUTAL: Your goal is 100% survival. One bad trade wipes out the 50€ account.${PROMPT_VARIANTS[variant] ? `
+      6. ${PROMPT_VARIANTS[variant]}` : ''}
       
       Output Format (JSON ONLY):
       {
@@ -67,72 +153,68 @@ class SentimentAnalyzer {
     `;
     }
 
-    async callGemini(prompt, useSearch = false) {
+    /**
+     * Latest news items about a pair from the configured sources (NEWS_SOURCES)
+     */
+    async getLatestNews(symbol) {
         try {
-            if (!config.llm.geminiKey) {
-                throw new Error('Gemini API key not configured');
-            }
-
-            const body = {
-                contents: [{
-                    parts: [{ text: prompt }]
-                }]
-            };
-
-            if (useSearch) {
-                body.tools = [{ google_search: {} }];
-            }
-
-            const response = await fetch(this.geminiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(body),
-            });
-
-            const data = await response.json();
-
-            if (data.error) {
-                throw new Error(`Gemini API Error: ${data.error.message}`);
-            }
-
-            const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            return text;
+            return await this.news.getLatestNews(symbol);
         } catch (error) {
-            logger.error('Gemini API call failed', { error: error.message });
-            return null;
+            logger.error('Failed to get latest news', { symbol, error: error.message });
+            return [];
         }
     }
 
     /**
-     * Use Gemini with Google Search grounding to FIND the latest news
+     * Latest news about a pair that hasn't been analyzed for it yet and is
+     * recent enough to trade on (NEWS_MAX_AGE_HOURS). Stories scored on an
+     * earlier scan are skipped: they already had their chance to trade.
      */
-    async getLatestNews(symbol) {
-        try {
-            if (!config.llm.geminiKey) return [];
-
-            logger.info(`Fetching latest news for ${symbol} via Gemini search...`);
+    async getFreshNews(symbol) {
+        const maxAgeMs = config.news.maxAgeHours * 3600000;
+        const fresh = [];
+        let analyzed = 0;
+        let stale = 0;
+
+        for (const item of await this.getLatestNews(symbol)) {
+            this.cache.see(item);
+            if (this.cache.getAnalysis(item, symbol)) {
+                analyzed++;
+            } else if (this.cache.getAgeMs(item) > maxAgeMs) {
+                stale++;
+            } else {
+                fresh.push(item);
+            }
+        }
 
-            const prompt = `Find the 3 most recent and impactful news stories for the cryptocurrency pair ${symbol} from the last 24 hours. Provide only the news text, one per line. Focus on major announcements, whale movements, or regulatory news.`;
+        if (analyzed || stale) {
+            logger.debug(`Skipped known news for ${symbol}`, { alreadyAnalyzed: analyzed, tooOld: stale, fresh: fresh.length });
+        }
+        return fresh;
+    }
 
-            const text = await this.callGemini(prompt, true);
+    /**
+     * Start a new scan: analyzeFreshNews looks for news again
+     */
+    newScan() {
+        this.scanned.clear();
+    }
 
-            if (!text) {
-                logger.warn(`No news found for ${symbol}`);
-                return [];
+    /**
+     * Fresh news about a pair, each with its analysis. Within one scan the
+     * stories are analyzed once and every check (bearish exits, entries) gets
+     * the same results, so one doesn't use up the news the other needs.
+     * @returns {Promise<Array<{news: Object, analysis: Object|null}>>}
+     */
+    async analyzeFreshNews(symbol) {
+        if (!this.scanned.has(symbol)) {
+            const results = [];
+            for (const news of await this.getFreshNews(symbol)) {
+                results.push({ news, analysis: await this.analyzeNews(news, symbol) });
             }
-
-            const newsItems = text.split('\n')
-                .map(line => line.trim())
-                .filter(line => line.length > 20); // Filter out short fragments
-
-            logger.info(`Found ${newsItems.length} news items for ${symbol}`);
-            return newsItems;
-        } catch (error) {
-            logger.error('Failed to get latest news via Gemini', { error: error.message });
-            return [];
+            this.scanned.set(symbol, results);
         }
+        return this.scanned.get(symbol);
     }
 }
 
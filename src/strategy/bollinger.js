@@ -0,0 +1,35 @@
+import { BollingerBands, RSI } from 'technicalindicators';
+
+/**
+ * Bollinger Mean Reversion
+ * Buys when a 1h close comes back inside the lower band after closing
+ * below it, with RSI still low enough to leave room for the bounce.
+ */
+export class BollingerReversionStrategy {
+    constructor({ period = 20, stdDev = 2, maxRsi = 45 } = {}) {
+        this.name = 'bollinger';
+        this.timeframes = { '1h': period + 30 };
+        this.period = period;
+        this.stdDev = stdDev;
+        this.maxRsi = maxRsi;
+    }
+
+    evaluate(candles) {
+        const closes = candles['1h'].map(c => c.close);
+        const bands = BollingerBands.calculate({ values: closes, period: this.period, stdDev: this.stdDev }).slice(-2);
+        const rsi = RSI.calculate({ values: closes, period: 14 }).slice(-1)[0];
+
+        const [prevClose, close] = closes.slice(-2);
+        const reEntered = bands.length === 2 && prevClose < bands[0].lower && close > bands[1].lower;
+        const signal = reEntered && rsi <= this.maxRsi;
+
+        return {
+            signal,
+            veto: null,
+            reason: signal ? 'Close back inside the lower Bollinger band' : null,
+            indicators: { lower: bands[1]?.lower, middle: bands[1]?.middle, rsi },
+        };
+    }
+}
+
+export default BollingerReversionStrategy;
@@ -0,0 +1,45 @@
+import { EMA, MACD } from 'technicalindicators';
+
+/**
+ * EMA Crossover
+ * Buys when the fast 1h EMA crosses above the slow one, confirmed by a
+ * positive MACD histogram and price above the 4h trend EMA.
+ */
+export class EmaCrossStrategy {
+    constructor({ fast = 9, slow = 21, trend = 50 } = {}) {
+        this.name = 'ema-cross';
+        this.timeframes = { '1h': Math.max(60, slow * 3), '4h': trend + 10 };
+        this.fast = fast;
+        this.slow = slow;
+        this.trend = trend;
+    }
+
+    evaluate(candles) {
+        const closes = candles['1h'].map(c => c.close);
+        const fastEma = EMA.calculate({ values: closes, period: this.fast }).slice(-2);
+        const slowEma = EMA.calculate({ values: closes, period: this.slow }).slice(-2);
+        const macd = MACD.calculate({
+            values: closes,
+            fastPeriod: 12,
+            slowPeriod: 26,
+            signalPeriod: 9,
+            SimpleMAOscillator: false,
+            SimpleMASignal: false,
+        }).slice(-1)[0];
+        const trendEma = EMA.calculate({ values: candles['4h'].map(c => c.close), period: this.trend }).slice(-1)[0];
+
+        const price = closes[closes.length - 1];
+        const crossedUp = fastEma[0] <= slowEma[0] && fastEma[1] > slowEma[1];
+        const isTrendUp = trendEma === undefined || price > trendEma;
+        const signal = crossedUp && macd?.histogram > 0 && isTrendUp;
+
+        return {
+            signal,
+            veto: null,
+            reason: signal ? `EMA${this.fast} crossed above EMA${this.slow}` : null,
+            indicators: { fastEma: fastEma[1], slowEma: slowEma[1], macdHistogram: macd?.histogram, trendEma },
+        };
+    }
+}
+
+export default EmaCrossStrategy;
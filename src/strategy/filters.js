@@ -0,0 +1,155 @@
+import { ATR, EMA } from 'technicalindicators';
+import { config } from '../config/index.js';
+
+/**
+ * Technical Filters
+ * Pair-level checks that run before any strategy, whatever the strategy is.
+ *
+ * A filter is an object with:
+ *  - name        registry key
+ *  - timeframes  candles it needs, e.g. { '1h': 60 }
+ *  - needs24h    whether it reads the 24h ticker stats
+ *  - check({ symbol, candles, stats24h }) => { pass, value, threshold }
+ */
+
+function formatCompact(value) {
+    if (Math.abs(value) >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (Math.abs(value) >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+    return value.toFixed(2);
+}
+
+/**
+ * Result of a filter whose indicator has no value yet (new listing, short
+ * candle history): skip the pair rather than trade on a missing number
+ */
+function notEnoughHistory() {
+    return { pass: false, value: 'n/a', threshold: 'not enough history' };
+}
+
+/**
+ * 24h quote volume must reach MIN_VOLUME_USDT (thin books mean slippage)
+ */
+export function volumeFilter({ minVolumeUsdt = config.technicals.minVolumeUsdt } = {}) {
+    return {
+        name: 'volume',
+        timeframes: {},
+        needs24h: true,
+        check({ stats24h }) {
+            const volume = parseFloat(stats24h.quoteVolume);
+            return { pass: volume >= minVolumeUsdt, value: formatCompact(volume), threshold: `>= ${formatCompact(minVolumeUsdt)}` };
+        },
+    };
+}
+
+/**
+ * 1h ATR as a share of price must stay under MAX_ATR_PCT
+ */
+export function atrFilter({ period = config.technicals.atrPeriod, maxAtrPct = config.technicals.maxAtrPct } = {}) {
+    return {
+        name: 'atr',
+        timeframes: { '1h': period + 1 },
+        needs24h: false,
+        check({ candles }) {
+            const candles1h = candles['1h'];
+            const atr = ATR.calculate({
+                high: candles1h.map(c => c.high),
+                low: candles1h.map(c => c.low),
+                close: candles1h.map(c => c.close),
+                period,
+            }).slice(-1)[0];
+            if (!Number.isFinite(atr)) return notEnoughHistory();
+
+            const atrPct = atr / candles1h[candles1h.length - 1].close;
+            return { pass: atrPct <= maxAtrPct, value: `${(atrPct * 100).toFixed(2)}%`, threshold: `<= ${(maxAtrPct * 100).toFixed(2)}%` };
+        },
+    };
+}
+
+/**
+ * Price must be above the 1h EMA_TREND_PERIOD EMA (only buy uptrends)
+ */
+export function emaTrendFilter({ period = config.technicals.emaTrendPeriod } = {}) {
+    return {
+        name: 'ema-trend',
+        timeframes: { '1h': period + 10 },
+        needs24h: false,
+        check({ candles }) {
+            const closes = candles['1h'].map(c => c.close);
+            const ema = EMA.calculate({ values: closes, period }).slice(-1)[0];
+            if (!Number.isFinite(ema)) return notEnoughHistory();
+
+            const price = closes[closes.length - 1];
+            return { pass: price > ema, value: price.toFixed(4), threshold: `> EMA${period} ${ema.toFixed(4)}` };
+        },
+    };
+}
+
+/**
+ * Last 1h volume must not exceed VOLUME_SPIKE_MAX times the 20-candle average
+ * (pump/dump or news candles move too far for a 2% stop)
+ */
+export function volumeSpikeFilter({ maxRatio = config.technicals.volumeSpikeMax, lookback = 20 } = {}) {
+    return {
+        name: 'volume-spike',
+        timeframes: { '1h': lookback + 1 },
+        needs24h: false,
+        check({ candles }) {
+            const volumes = candles['1h'].map(c => c.volume);
+            const last = volumes[volumes.length - 1];
+            const previous = volumes.slice(-lookback - 1, -1);
+            if (previous.length === 0) return notEnoughHistory();
+
+            const average = previous.reduce((sum, v) => sum + v, 0) / previous.length;
+            const ratio = average > 0 ? last / average : 0;
+            return { pass: ratio <= maxRatio, value: `${ratio.toFixed(2)}x`, threshold: `<= ${maxRatio}x` };
+        },
+    };
+}
+
+export const FILTERS = {
+    'volume': volumeFilter,
+    'atr': atrFilter,
+    'ema-trend': emaTrendFilter,
+    'volume-spike': volumeSpikeFilter,
+};
+
+/**
+ * Filters enabled through TECH_FILTERS
+ */
+export function getActiveFilters(names = config.technicals.filters) {
+    return names.map((name) => {
+        if (!FILTERS[name]) {
+            throw new Error(`Unknown technical filter: ${name}`);
+        }
+        return FILTERS[name]();
+    });
+}
+
+/**
+ * Run every filter (not just until the first failure) so the log shows all reasons
+ * @returns {{ passed: boolean, results: Array<{name, pass, value, threshold}> }}
+ */
+export function runFilters(filters, context) {
+    const results = filters.map(filter => ({ name: filter.name, ...filter.check(context) }));
+    return { passed: results.every(r => r.pass), results };
+}
+
+/**
+ * One readable line per filter for the logs, e.g. "pass (12.3M >= 100.0k)"
+ */
+export function describeFilterResults(results) {
+    return Object.fromEntries(results.map(r => [r.name, `${r.pass ? 'pass' : 'FAIL'} (${r.value} ${r.threshold})`]));
+}
+
+/**
+ * Merge candle requirements, keeping the longest lookback per timeframe
+ */
+export function mergeTimeframes(...sets) {
+    const merged = {};
+    for (const timeframes of sets) {
+        for (const [interval, count] of Object.entries(timeframes)) {
+            merged[interval] = Math.max(merged[interval] || 0, count);
+        }
+    }
+    return merged;
+}
@@ -0,0 +1,66 @@
+import { config } from '../config/index.js';
+import { RsiMomentumStrategy } from './rsiMomentum.js';
+import { EmaCrossStrategy } from './emaCross.js';
+import { BollingerReversionStrategy } from './bollinger.js';
+import { FILTERS } from './filters.js';
+
+/**
+ * Entry Strategies
+ *
+ * A strategy is an object with:
+ *  - name        registry key
+ *  - timeframes  candles it needs, e.g. { '1h': 50, '4h': 30 }
+ *  - evaluate(candles, context) => { signal, veto, reason, indicators }
+ *      candles: { [timeframe]: candle[] } oldest first, shaped like binance.getCandles()
+ *      context: { symbol }
+ *      veto:    why the pair must be skipped this scan (null when fine)
+ *
+ * The live engine and the backtester both go through this interface, so a
+ * strategy can be backtested before it's assigned to a pair.
+ */
+export const STRATEGIES = {
+    'rsi-momentum': RsiMomentumStrategy,
+    'ema-cross': EmaCrossStrategy,
+    'bollinger': BollingerReversionStrategy,
+};
+
+export function createStrategy(name, options = {}) {
+    const Strategy = STRATEGIES[name];
+    if (!Strategy) {
+        throw new Error(`Unknown strategy: ${name}`);
+    }
+    return new Strategy(options);
+}
+
+const instances = new Map();
+
+/**
+ * Strategy assigned to a pair (PAIR_STRATEGIES), or the default STRATEGY
+ */
+export function getStrategyForPair(pair) {
+    const name = config.strategy.pairs[pair] || config.strategy.default;
+    if (!instances.has(name)) {
+        instances.set(name, createStrategy(name));
+    }
+    return instances.get(name);
+}
+
+export function validateStrategyConfig() {
+    const errors = [];
+    const known = Object.keys(STRATEGIES).join(', ');
+
+    if (!STRATEGIES[config.strategy.default]) {
+        errors.push(`STRATEGY '${config.strategy.default}' is unknown (available: ${known})`);
+    }
+    for (const [pair, name] of Object.entries(config.strategy.pairs)) {
+        if (!STRATEGIES[name]) {
+            errors.push(`PAIR_STRATEGIES: '${name}' for ${pair} is unknown (available: ${known})`);
+        }
+    }
+    for (const name of config.technicals.filters) {
+        if (!FILTERS[name]) {
+            errors.push(`TECH_FILTERS: '${name}' is unknown (available: ${Object.keys(FILTERS).join(', ')})`);
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,54 @@
+import { RSI } from 'technicalindicators';
+import { config } from '../config/index.js';
+
+/**
+ * RSI Momentum (default)
+ * Buys 1h oversold dips or the 45-60 RSI momentum band, as long as the 4h
+ * RSI isn't overbought (RSI_OVERBOUGHT) and the last three candles aren't too volatile.
+ */
+export class RsiMomentumStrategy {
+    constructor({
+        oversold = config.technicals.rsiOversold,
+        trendCeiling = config.technicals.rsiOverbought,
+        momentumBand = [45, 60],
+        maxVolatility = 0.05,
+    } = {}) {
+        this.name = 'rsi-momentum';
+        this.timeframes = { '1h': 50, '4h': 30 };
+        this.oversold = oversold;
+        this.trendCeiling = trendCeiling;
+        this.momentumBand = momentumBand;
+        this.maxVolatility = maxVolatility;
+    }
+
+    evaluate(candles) {
+        const candles1h = candles['1h'];
+        const rsi1h = RSI.calculate({ values: candles1h.map(c => c.close), period: 14 }).slice(-1)[0];
+        const rsi4h = RSI.calculate({ values: candles['4h'].map(c => c.close), period: 14 }).slice(-1)[0];
+
+        // Volatility Filter (Anti-Flash Crash)
+        const low = Math.min(...candles1h.slice(-3).map(c => c.low));
+        const high = Math.max(...candles1h.slice(-3).map(c => c.high));
+        const volatility = (high / low) - 1;
+
+        // Trend alignment: Don't buy if the 4h trend is extremely overbought
+        const isTrendOk = rsi4h <= this.trendCeiling;
+        const isOversold = rsi1h < this.oversold;
+        const isMomentumUp = rsi1h > this.momentumBand[0] && rsi1h < this.momentumBand[1]; // Sweet spot for momentum
+
+        const indicators = { rsi1h, rsi4h, volatility };
+        if (volatility > this.maxVolatility) {
+            return { signal: false, veto: 'high volatility', reason: null, indicators };
+        }
+
+        const signal = isTrendOk && (isOversold || isMomentumUp);
+        return {
+            signal,
+            veto: null,
+            reason: signal ? (isOversold ? '1h RSI oversold' : '1h RSI momentum band') : null,
+            indicators,
+        };
+    }
+}
+
+export default RsiMomentumStrategy;
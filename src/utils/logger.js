@@ -81,6 +81,16 @@ export function logSignal(signalData) {
     });
 }
 
+/**
+ * Log an LLM reply that failed the analysis schema (see src/signal/analysis.js)
+ */
+export function logInvalidSignal(signalData) {
+    logger.warn('INVALID_SIGNAL', {
+        type: 'invalid_signal',
+        ...signalData,
+    });
+}
+
 /**
  * Log daily summary
  */
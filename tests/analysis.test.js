@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseAnalysis, validateAnalysis } from '../src/signal/analysis.js';
+import { SentimentAnalyzer } from '../src/signal/sentiment.js';
+import { NewsCache } from '../src/signal/news/cache.js';
+import { createNewsItem } from '../src/signal/news/item.js';
+
+const VALID = { verdict: 'BULLISH', impact: 'HIGH', confidence: 82, target_gain: 6, reasoning: 'ETF approved', suggested_action: 'BUY' };
+
+function scriptedLlm(replies) {
+    return {
+        prompts: [],
+        async generate(prompt) {
+            this.prompts.push(prompt);
+            return replies.shift() ?? null;
+        },
+    };
+}
+
+test('Analysis: valid replies pass, fenced and loosely formatted', (t) => {
+    const { analysis, errors } = parseAnalysis(`Here you go:\n\`\`\`json\n${JSON.stringify({ ...VALID, verdict: 'bullish', confidence: '82' })}\n\`\`\``);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(analysis, VALID);
+
+    assert.strictEqual(validateAnalysis({ ...VALID, target_gain: undefined }).analysis.target_gain, null, 'target_gain is optional');
+});
+
+test('Analysis: out-of-range numbers are clamped, bad fields rejected', (t) => {
+    const clamped = validateAnalysis({ ...VALID, confidence: 140, target_gain: 40 });
+    assert.strictEqual(clamped.analysis.confidence, 100);
+    assert.strictEqual(clamped.analysis.target_gain, 12);
+    assert.deepStrictEqual(clamped.clamped, ['confidence 140 -> 100', 'target_gain 40 -> 12']);
+
+    const invalid = validateAnalysis({ ...VALID, verdict: 'MOON', confidence: 'high', reasoning: '' });
+    assert.strictEqual(invalid.analysis, null);
+    assert.strictEqual(invalid.errors.length, 3);
+
+    assert.match(validateAnalysis({ ...VALID, verdict: 'BEARISH' }).errors[0], /BUY contradicts verdict BEARISH/);
+    assert.match(parseAnalysis('{"verdict": BULLISH}').errors[0], /^Invalid JSON/);
+    assert.deepStrictEqual(parseAnalysis('[1, 2]').errors, ['Expected a JSON object']);
+});
+
+test('Analysis: a malformed reply gets one repair attempt with the errors', async (t) => {
+    const news = createNewsItem({ title: 'Solana ETF approved', source: 'feed' });
+
+    const llm = scriptedLlm(['{"verdict":"BULLISH","confidence":"very"}', JSON.stringify(VALID)]);
+    const analyzer = new SentimentAnalyzer(llm, null, new NewsCache());
+    assert.deepStrictEqual(await analyzer.analyzeNews(news, 'SOLUSDT'), VALID);
+    assert.strictEqual(llm.prompts.length, 2);
+    assert.match(llm.prompts[1], /confidence must be a number from 0 to 100/);
+
+    const stubborn = scriptedLlm(['not json', 'still not json', JSON.stringify(VALID)]);
+    const cache = new NewsCache();
+    assert.strictEqual(await new SentimentAnalyzer(stubborn, null, cache).analyzeNews(news, 'SOLUSDT'), null);
+    assert.strictEqual(stubborn.prompts.length, 2, 'Only one repair');
+    assert.strictEqual(cache.getAnalysis(news, 'SOLUSDT'), null, 'Invalid analyses are not cached');
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseCsv, aggregateCandles, HOUR_MS } from '../src/backtest/loader.js';
+import { Backtester } from '../src/backtest/backtester.js';
+
+const START = Date.UTC(2024, 0, 1);
+
+function flatCandles(count, price = 100) {
+    return Array.from({ length: count }, (_, i) => ({
+        openTime: START + i * HOUR_MS,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume: 1,
+        closeTime: START + (i + 1) * HOUR_MS - 1,
+        quoteVolume: price,
+    }));
+}
+
+test('Backtest Loader: CSV parsing and 4h aggregation', (t) => {
+    const csv = [
+        'open_time,open,high,low,close,volume,close_time,quote_volume',
+        `${START * 1000},100,110,90,105,1,${(START + HOUR_MS - 1) * 1000},105`, // microseconds
+        `${START + HOUR_MS},105,120,100,115,2,${START + 2 * HOUR_MS - 1},230`,
+    ].join('\n');
+
+    const candles = parseCsv(csv);
+    assert.strictEqual(candles.length, 2, 'Header row should be skipped');
+    assert.strictEqual(candles[0].openTime, START, 'Microsecond timestamps should be converted');
+
+    const [bucket] = aggregateCandles(candles, 4 * HOUR_MS);
+    assert.strictEqual(bucket.open, 100);
+    assert.strictEqual(bucket.high, 120);
+    assert.strictEqual(bucket.low, 90);
+    assert.strictEqual(bucket.close, 115);
+    assert.strictEqual(bucket.volume, 3);
+});
+
+test('Backtester: OCO take-profit fill with fees', (t) => {
+    const candles = flatCandles(60);
+    candles[55].high = 110; // Touches the default +4% take profit
+
+    let signalled = false;
+    const backtester = new Backtester({
+        startingBalance: 1000,
+        feeRate: 0.001,
+        confidence: 65,
+        evaluate: () => {
+            if (signalled) return { signal: false };
+            signalled = true;
+            return { signal: true };
+        },
+    });
+
+    const report = backtester.run({ SOLUSDT: candles });
+    assert.strictEqual(report.tradesCount, 1);
+    assert.strictEqual(report.trades[0].reason, 'TP');
+    assert.strictEqual(report.winRate, 1);
+
+    // $10 position, +4% gross, minus 0.1% fee on each side
+    const expected = 10 * 0.04 - 10 * 0.001 - 10.4 * 0.001;
+    assert.ok(Math.abs(report.netPnL - expected) < 1e-9, `Expected ${expected}, got ${report.netPnL}`);
+});
+
+test('Backtester: stop-loss wins when a candle touches both legs', (t) => {
+    const candles = flatCandles(60);
+    candles[55].high = 110;
+    candles[55].low = 90;
+
+    let signalled = false;
+    const backtester = new Backtester({
+        startingBalance: 1000,
+        feeRate: 0,
+        confidence: 65,
+        evaluate: () => {
+            if (signalled) return { signal: false };
+            signalled = true;
+            return { signal: true };
+        },
+    });
+
+    const report = backtester.run({ SOLUSDT: candles });
+    assert.strictEqual(report.trades[0].reason, 'SL');
+    assert.ok(report.maxDrawdown > 0, 'Losing trade should register a drawdown');
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { BinanceExchange, estimateMarketImpact } from '../src/exchange/binance.js';
+import { config } from '../src/config/index.js';
+
+function createExchange(client) {
+    config.paper.enabled = false;
+    const exchange = new BinanceExchange();
+    exchange.client = client;
+    exchange.waits = [];
+    exchange.wait = async (ms) => { exchange.waits.push(ms); };
+    return exchange;
+}
+
+test('Binance Exchange: prices are fetched in one batch and cached', async (t) => {
+    let calls = 0;
+    const exchange = createExchange({
+        async prices(payload) {
+            calls++;
+            assert.strictEqual(payload, undefined, 'Should fetch all symbols at once');
+            return { BTCUSDT: '60000', ETHUSDT: '3000', SOLUSDT: '150' };
+        },
+    });
+
+    const prices = await Promise.all(['BTCUSDT', 'ETHUSDT', 'SOLUSDT'].map(s => exchange.getPrice(s)));
+    assert.deepStrictEqual(prices, [60000, 3000, 150]);
+    assert.strictEqual(await exchange.getPrice('BTCUSDT'), 60000);
+    assert.strictEqual(calls, 1);
+
+    await assert.rejects(() => exchange.getPrice('NOPEUSDT'), /No price/);
+});
+
+test('Binance Exchange: waits for the next minute when near the weight limit', async (t) => {
+    let usedWeight1m = '4790';
+    const exchange = createExchange({
+        getInfo: () => ({ spot: { usedWeight1m } }),
+        async accountInfo() {
+            return { balances: [] };
+        },
+    });
+
+    await exchange.updateBalances();
+    assert.strictEqual(exchange.usedWeight.value, 4790);
+    assert.strictEqual(exchange.waits.length, 0);
+
+    // 4790 + 20 goes over 80% of 6000
+    await exchange.updateBalances();
+    assert.strictEqual(exchange.waits.length, 1);
+    assert.ok(exchange.waits[0] > 0 && exchange.waits[0] <= 60000);
+});
+
+test('Binance Exchange: backs off and retries on 429, stops on IP ban', async (t) => {
+    let attempts = 0;
+    const exchange = createExchange({
+        async candles() {
+            attempts++;
+            if (attempts === 1) {
+                throw Object.assign(new Error('Too many requests; current limit is 6000 request weight per 1 MINUTE.'), { code: -1003 });
+            }
+            if (attempts === 2) {
+                return [];
+            }
+            throw Object.assign(new Error(`Way too many requests; IP banned until ${Date.now() + 120000}.`), { code: -1003 });
+        },
+    });
+
+    assert.deepStrictEqual(await exchange.getCandles('SOLUSDT'), []);
+    assert.strictEqual(attempts, 2);
+    assert.ok(exchange.backoffUntil > 0);
+
+    await assert.rejects(() => exchange.getCandles('SOLUSDT'), /banned until/);
+    await assert.rejects(() => exchange.getCandles('SOLUSDT'), /banned until/);
+    assert.strictEqual(attempts, 3, 'No requests should be sent while banned');
+});
+
+test('Binance Exchange: market impact from order book depth', (t) => {
+    const book = {
+        bids: [{ price: 99.9, quantity: 5 }],
+        asks: [{ price: 100, quantity: 1 }, { price: 101, quantity: 1 }, { price: 102, quantity: 10 }],
+    };
+
+    const small = estimateMarketImpact(book, 150, { maxSlippage: 0.005 });
+    assert.ok(Math.abs(small.spread - 0.1 / 99.95) < 1e-12);
+    assert.ok(Math.abs(small.avgPrice - 150 / (1 + 50 / 101)) < 1e-9);
+    assert.ok(small.slippage > 0.003 && small.slippage < 0.004);
+    assert.strictEqual(small.depthExhausted, false);
+    // 1 @ 100 + 1 @ 101 averages exactly 100.5, the 0.5% limit
+    assert.ok(Math.abs(small.maxQuoteWithinSlippage - 201) < 1e-9);
+
+    assert.strictEqual(estimateMarketImpact(book, 2000).depthExhausted, true);
+    assert.throws(() => estimateMarketImpact({ bids: [], asks: [] }, 100), /empty/);
+});
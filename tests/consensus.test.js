@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { combineVotes } from '../src/signal/consensus.js';
+import { SentimentAnalyzer } from '../src/signal/sentiment.js';
+import { NewsCache } from '../src/signal/news/cache.js';
+import { createNewsItem } from '../src/signal/news/item.js';
+
+function analysis(suggested_action, confidence, extra = {}) {
+    const verdict = { BUY: 'BULLISH', SELL: 'BEARISH', FOLD: 'NEUTRAL' }[suggested_action];
+    return { verdict, impact: 'HIGH', confidence, target_gain: 6, reasoning: `${suggested_action} at ${confidence}`, suggested_action, ...extra };
+}
+
+function vote(voter, action, confidence, weight = 1, extra = {}) {
+    return { voter, weight, analysis: action ? analysis(action, confidence, extra) : null };
+}
+
+test('Consensus: majority, min-confidence and weighted confidence', (t) => {
+    const votes = [vote('a', 'BUY', 90, 1, { target_gain: 8 }), vote('b', 'BUY', 70, 1, { target_gain: 5 }), vote('c', 'FOLD', 30, 1)];
+
+    const majority = combineVotes(votes, { method: 'majority', quorum: 0.66 });
+    assert.strictEqual(majority.suggested_action, 'BUY');
+    assert.strictEqual(majority.verdict, 'BULLISH');
+    assert.strictEqual(majority.confidence, 80);
+    assert.strictEqual(majority.target_gain, 5, 'Most cautious target');
+    assert.strictEqual(majority.reasoning, 'BUY at 90');
+    assert.strictEqual(majority.consensus.disagreement, 0.33);
+    assert.deepStrictEqual(majority.consensus.votes[2], { voter: 'c', action: 'FOLD', verdict: 'NEUTRAL', confidence: 30 });
+
+    assert.strictEqual(combineVotes(votes, { method: 'min-confidence', quorum: 0.66 }).confidence, 70);
+    assert.strictEqual(combineVotes(votes, { method: 'weighted', quorum: 0.66 }).confidence, 53, '(90 + 70 + 0) / 3');
+});
+
+test('Consensus: no BUY without the quorum; abstentions count against it', (t) => {
+    const split = combineVotes([vote('a', 'BUY', 90, 1), vote('b', 'FOLD', 40, 1)], { method: 'majority', quorum: 0.66 });
+    assert.strictEqual(split.suggested_action, 'FOLD');
+    assert.strictEqual(split.verdict, 'NEUTRAL');
+    assert.match(split.reasoning, /No consensus: 50% of the vote for BUY/);
+
+    const abstained = combineVotes([vote('a', 'BUY', 90, 1), vote('b', null)], { method: 'majority', quorum: 0.66 });
+    assert.strictEqual(abstained.suggested_action, 'FOLD');
+
+    const weighted = combineVotes([vote('a', 'SELL', 90, 3), vote('b', 'FOLD', 40, 1)], { method: 'majority', quorum: 0.66 });
+    assert.strictEqual(weighted.suggested_action, 'SELL', 'Weights decide the share');
+
+    assert.strictEqual(combineVotes([vote('a', null), vote('b', null)]), null);
+});
+
+test('Consensus: every voter analyzes the news with its own prompt', async (t) => {
+    const voter = (name, prompt, reply) => ({
+        name,
+        prompt,
+        weight: 1,
+        llm: {
+            prompts: [],
+            async generate(text) {
+                this.prompts.push(text);
+                if (reply === null) throw new Error(`${name} is down`);
+                return JSON.stringify(reply);
+            },
+        },
+    });
+    const voters = [
+        voter('gemini', 'default', analysis('BUY', 80)),
+        voter('openai/skeptic', 'skeptic', analysis('BUY', 70)),
+        voter('local', 'default', null),
+    ];
+    const analyzer = new SentimentAnalyzer(null, null, new NewsCache(), voters);
+
+    const result = await analyzer.analyzeNews(createNewsItem({ title: 'Solana ETF approved', source: 'feed' }), 'SOLUSDT');
+    assert.strictEqual(result.suggested_action, 'BUY');
+    assert.strictEqual(result.confidence, 75);
+    assert.deepStrictEqual(result.consensus.votes.map(v => v.action), ['BUY', 'BUY', null]);
+    assert.match(voters[1].llm.prompts[0], /already priced in/);
+    assert.doesNotMatch(voters[0].llm.prompts[0], /already priced in/);
+});
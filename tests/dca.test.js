@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { DcaScheduler, getDcaAmount } from '../src/engine/dca.js';
+import { PositionLedger } from '../src/engine/ledger.js';
+import { config } from '../src/config/index.js';
+import { fakeExchange } from './helpers/exchange.js';
+
+const PRICES = { BTCUSDT: 50000, ETHUSDT: 2500 };
+
+function dcaExchange(usdt) {
+    return fakeExchange({
+        price: PRICES,
+        balances: { USDT: { free: usdt, total: usdt } },
+        symbolInfo: symbol => ({ baseAsset: symbol.replace('USDT', ''), quoteAsset: 'USDT', minNotional: 5 }),
+        fee: 0.1,
+    });
+}
+
+function withDcaConfig(t, overrides) {
+    const previous = { dca: config.dca, weights: config.rebalance.weights, coreCoins: config.trading.coreCoins };
+    config.dca = { ...previous.dca, amountUsdt: 100, fearThreshold: 25, fearMultiplier: 2, ...overrides };
+    config.rebalance.weights = { BTCUSDT: 0.7, ETHUSDT: 0.3 };
+    config.trading.coreCoins = ['BTCUSDT', 'ETHUSDT'];
+    t.after(() => {
+        config.dca = previous.dca;
+        config.rebalance.weights = previous.weights;
+        config.trading.coreCoins = previous.coreCoins;
+    });
+}
+
+test('DCA: buys more in fear', (t) => {
+    const settings = { amountUsdt: 100, fearThreshold: 25, fearMultiplier: 2 };
+    assert.strictEqual(getDcaAmount(60, settings), 100);
+    assert.strictEqual(getDcaAmount(25, settings), 200);
+    assert.strictEqual(getDcaAmount(null, settings), 100, 'Unknown sentiment is no boost');
+});
+
+test('DCA: splits the amount by core weights and records the purchases', async (t) => {
+    withDcaConfig(t, {});
+    const exchange = dcaExchange(1000);
+    const positions = new PositionLedger();
+    const notes = [];
+    const dca = new DcaScheduler({ exchange, positions, notify: message => notes.push(message) });
+
+    const result = await dca.run(15);
+    assert.strictEqual(result.amount, 200);
+    assert.deepStrictEqual(exchange.orders.map(o => [o.symbol, (o.quantity * PRICES[o.symbol]).toFixed(2)]), [['BTCUSDT', '140.00'], ['ETHUSDT', '60.00']]);
+
+    const purchases = positions.getPurchases({ reason: 'DCA' });
+    assert.strictEqual(purchases.length, 2);
+    assert.strictEqual(purchases[0].price, 50000);
+    assert.strictEqual(purchases[0].fee, 0.1);
+    assert.strictEqual(purchases[0].meta.sentiment, 15);
+    assert.strictEqual(positions.getOpenPositions().length, 0, 'Core buys are not satellite positions');
+    assert.match(notes[0], /invested 200.00 USDT \(Fear & Greed 15, boosted\)/);
+});
+
+test('DCA: scales down to the cash and skips buys below the minimum', async (t) => {
+    withDcaConfig(t, {});
+    const exchange = dcaExchange(40);
+    const dca = new DcaScheduler({ exchange, positions: new PositionLedger(), notify: () => {} });
+
+    // 40 USDT: BTC gets ~28, ETH ~12, both above the minimum trade
+    const result = await dca.run(50);
+    assert.ok(result.amount < 40);
+    assert.strictEqual(exchange.orders.length, 2);
+
+    exchange.balances.USDT = { free: 20, total: 20 };
+    exchange.orders = [];
+    await dca.run(50);
+    assert.deepStrictEqual(exchange.orders.map(o => o.symbol), ['BTCUSDT'], 'ETH share under the minimum trade');
+});
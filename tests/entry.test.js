@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { EntryExecutor } from '../src/engine/entry.js';
+import { PaperExchange } from '../src/exchange/paper.js';
+import { config } from '../src/config/index.js';
+
+/**
+ * Paper order book driven by a scripted sequence of { bid, ask, last } quotes.
+ * Every price poll (or every book request, with advanceOn 'book') moves to the
+ * next quote and feeds its last price to the paper fills.
+ */
+function scriptedExchange(quotes, { advanceOn = 'price' } = {}) {
+    config.trading.feeRate = 0;
+    const paper = new PaperExchange();
+    paper.reset(1000, ['SOL']);
+    let step = 0;
+    const current = () => quotes[Math.min(step, quotes.length - 1)];
+    paper.processPrice('SOLUSDT', current().last);
+
+    return {
+        paper,
+        getSymbolInfo: () => null,
+        roundQuantity: (symbol, quantity) => Math.floor(quantity * 1e6) / 1e6,
+        roundPrice: (symbol, price) => Math.round(price * 100) / 100,
+        async getOrderBook() {
+            if (advanceOn === 'book') {
+                step++;
+                paper.processPrice('SOLUSDT', current().last);
+            }
+            return { bids: [{ price: current().bid, quantity: 10 }], asks: [{ price: current().ask, quantity: 10 }] };
+        },
+        async getPrice(symbol) {
+            if (advanceOn === 'price') step++;
+            paper.processPrice(symbol, current().last);
+            return current().last;
+        },
+        async limitBuy(symbol, quantity, price, { postOnly, clientOrderId }) {
+            return paper.placeOrder({ symbol, side: 'BUY', type: postOnly ? 'LIMIT_MAKER' : 'LIMIT', quantity, price, clientOrderId });
+        },
+        async getOrder(symbol, orderId) {
+            return paper.getOrder(symbol, orderId);
+        },
+        async cancelOrder(symbol, orderId) {
+            return paper.cancelOrder(symbol, orderId);
+        },
+        async findOrder(symbol, clientOrderId) {
+            return paper.findOrder(symbol, clientOrderId);
+        },
+    };
+}
+
+function useEntryConfig(t, overrides) {
+    const previous = config.entry;
+    config.entry = { mode: 'post-only', priceAt: 'bid', maxReprices: 3, maxSlippage: 0.003, timeoutMs: 200, pollMs: 1, ...overrides };
+    t.after(() => {
+        config.entry = previous;
+    });
+}
+
+test('Entry Executor: post-only order at the bid fills as a maker', async (t) => {
+    useEntryConfig(t);
+    const exchange = scriptedExchange([
+        { bid: 99.9, ask: 100, last: 100 },
+        { bid: 99.9, ask: 100, last: 100 },
+        { bid: 99.8, ask: 99.9, last: 99.85 },
+    ]);
+    const executor = new EntryExecutor({ exchange });
+
+    const order = await executor.buy('SOLUSDT', 2, { clientOrderId: 'sentinel_a' });
+
+    assert.strictEqual(order.executedQty, '2');
+    assert.strictEqual(parseFloat(order.cummulativeQuoteQty), 199.8, 'Filled at our bid, not the ask');
+    assert.strictEqual(exchange.paper.findOrder('SOLUSDT', 'sentinel_a').type, 'LIMIT_MAKER');
+});
+
+test('Entry Executor: chases within the slippage budget, then cancels', async (t) => {
+    useEntryConfig(t, { mode: 'limit', timeoutMs: 80 });
+    // The market walks up on every re-quote and never comes back to our bids
+    const exchange = scriptedExchange([100, 100, 100.1, 100.2, 100.4].map(bid => ({ bid, ask: bid + 0.1, last: bid + 0.05 })), { advanceOn: 'book' });
+    const executor = new EntryExecutor({ exchange });
+
+    const order = await executor.buy('SOLUSDT', 2, { clientOrderId: 'sentinel_b' });
+
+    assert.strictEqual(order.executedQty, '0');
+    assert.strictEqual(order.status, 'CANCELED');
+    assert.strictEqual(exchange.paper.getOpenOrders().length, 0, 'Nothing left resting');
+    assert.strictEqual(exchange.paper.balances.USDT.free, 1000, 'Locked quote released');
+
+    const prices = [...exchange.paper.orders.values()].map(o => o.price);
+    assert.deepStrictEqual(prices, [100, 100.1, 100.2], 'Stops before the quote leaves the slippage budget');
+    assert.strictEqual(exchange.paper.findOrder('SOLUSDT', 'sentinel_b_2').price, '100.2');
+});
+
+test('Entry Executor: recovers an interrupted chase from its attempts', async (t) => {
+    useEntryConfig(t);
+    const exchange = scriptedExchange([{ bid: 99.9, ask: 100, last: 100 }]);
+    const executor = new EntryExecutor({ exchange });
+
+    // First attempt half filled, the re-price was still resting at the crash
+    exchange.paper.placeOrder({ symbol: 'SOLUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 100, clientOrderId: 'sentinel_c' });
+    exchange.paper.placeOrder({ symbol: 'SOLUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 99.5, clientOrderId: 'sentinel_c_1' });
+
+    const order = await executor.findEntry('SOLUSDT', 'sentinel_c');
+
+    assert.strictEqual(order.executedQty, '1');
+    assert.strictEqual(order.orderIds.length, 1);
+    assert.strictEqual(exchange.paper.findOrder('SOLUSDT', 'sentinel_c_1').status, 'CANCELED');
+    assert.strictEqual(await executor.findEntry('SOLUSDT', 'sentinel_unknown'), null);
+});
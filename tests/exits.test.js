@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { sizeExitLadder, placeExitLadder } from '../src/engine/exits.js';
+import { RiskManager } from '../src/engine/risk.js';
+import { config } from '../src/config/index.js';
+import { fakeExchange } from './helpers/exchange.js';
+
+function ladderExchange({ minQty = 0.01, minNotional = 5, failOcoAt = null } = {}) {
+    return fakeExchange({ symbolInfo: () => ({ minQty, minNotional, stepSize: 0.01 }), stepSize: 0.01, failOcoAt });
+}
+
+test('Exit Ladder: splits the fill across rungs and merges rungs below the filters', (t) => {
+    const targets = [{ share: 0.5, takeProfit: 103 }, { share: 0.5, takeProfit: 106 }];
+
+    const rungs = sizeExitLadder(ladderExchange(), 'SOLUSDT', 1.15, 98, targets);
+    assert.deepStrictEqual(rungs, [{ quantity: 0.57, takeProfit: 103 }, { quantity: 0.58, takeProfit: 106 }], 'Rounding leftovers go to the last rung');
+
+    // Half of 0.08 is worth ~3.9 USDT at the stop, under the 5 USDT minimum
+    const small = sizeExitLadder(ladderExchange(), 'SOLUSDT', 0.08, 98, targets);
+    assert.deepStrictEqual(small, [{ quantity: 0.08, takeProfit: 106 }]);
+
+    const thirds = [{ share: 0.2, takeProfit: 103 }, { share: 0.4, takeProfit: 106 }, { share: 0.4, takeProfit: 110 }];
+    const merged = sizeExitLadder(ladderExchange({ minNotional: 10 }), 'SOLUSDT', 0.3, 98, thirds);
+    assert.strictEqual(merged.reduce((sum, r) => sum + r.quantity, 0).toFixed(2), '0.30');
+    assert.ok(merged.every(r => r.quantity * 98 >= 10));
+});
+
+test('Exit Ladder: rungs from EXIT_LADDER, the LLM target only extends the last one', (t) => {
+    const risk = new RiskManager({ persist: false });
+    const previous = config.exits.ladder;
+
+    try {
+        config.exits.ladder = [];
+        assert.deepStrictEqual(risk.getExitLadder(100, 100).targets, [{ share: 1, takeProfit: 100 * (1 + config.risk.defaultTakeProfit) }]);
+
+        config.exits.ladder = [{ share: 0.5, gain: 0.03 }, { share: 0.5, gain: 0.06 }];
+        const ladder = risk.getExitLadder(100, 100.5, 8);
+        assert.strictEqual(ladder.stopLoss, 100 * (1 - config.risk.defaultStopLoss));
+        assert.deepStrictEqual(ladder.targets.map(r => r.takeProfit.toFixed(2)), ['103.00', '108.00']);
+        assert.deepStrictEqual(risk.getExitLadder(100, 100.5, 2).targets.map(r => r.takeProfit.toFixed(2)), ['103.00', '106.00']);
+
+        // Already past the first rung: re-anchored on the current price
+        assert.strictEqual(risk.getExitLadder(100, 104).targets[0].takeProfit.toFixed(2), '107.12');
+    } finally {
+        config.exits.ladder = previous;
+    }
+});
+
+test('Exit Ladder: a rejected rung cancels the ones already placed', async (t) => {
+    const exchange = ladderExchange({ failOcoAt: 106 });
+    const rungs = [{ quantity: 0.5, takeProfit: 103 }, { quantity: 0.5, takeProfit: 106 }];
+
+    await assert.rejects(placeExitLadder(exchange, 'SOLUSDT', rungs, 98), /PERCENT_PRICE/);
+    assert.deepStrictEqual(exchange.cancelled, [101]);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { getActiveFilters, runFilters, describeFilterResults, mergeTimeframes, volumeFilter, atrFilter, emaTrendFilter, volumeSpikeFilter } from '../src/strategy/filters.js';
+
+const HOUR_MS = 3600000;
+
+function candle(close, i, { range = 0.002, volume = 10 } = {}) {
+    return { openTime: i * HOUR_MS, open: close, high: close * (1 + range / 2), low: close * (1 - range / 2), close, volume, closeTime: (i + 1) * HOUR_MS - 1, quoteVolume: close * volume };
+}
+
+test('Filters: 24h volume and volume spikes', (t) => {
+    const volume = volumeFilter({ minVolumeUsdt: 100000 });
+    assert.strictEqual(volume.check({ stats24h: { quoteVolume: '250000.5' } }).pass, true);
+    assert.strictEqual(volume.check({ stats24h: { quoteVolume: '99999' } }).pass, false);
+
+    const spike = volumeSpikeFilter({ maxRatio: 5 });
+    const calm = Array.from({ length: 21 }, (_, i) => candle(100, i));
+    assert.strictEqual(spike.check({ candles: { '1h': calm } }).pass, true);
+
+    calm[20] = candle(100, 20, { volume: 80 });
+    const result = spike.check({ candles: { '1h': calm } });
+    assert.strictEqual(result.pass, false);
+    assert.strictEqual(result.value, '8.00x');
+});
+
+test('Filters: ATR ceiling and EMA trend', (t) => {
+    const atr = atrFilter({ period: 14, maxAtrPct: 0.04 });
+    const quiet = Array.from({ length: 60 }, (_, i) => candle(100 + i * 0.1, i));
+    const wild = Array.from({ length: 60 }, (_, i) => candle(100, i, { range: 0.1 }));
+    assert.strictEqual(atr.check({ candles: { '1h': quiet } }).pass, true);
+    assert.strictEqual(atr.check({ candles: { '1h': wild } }).pass, false);
+
+    const trend = emaTrendFilter({ period: 50 });
+    const falling = Array.from({ length: 60 }, (_, i) => candle(100 - i * 0.1, i));
+    assert.strictEqual(trend.check({ candles: { '1h': quiet } }).pass, true);
+    assert.strictEqual(trend.check({ candles: { '1h': falling } }).pass, false);
+});
+
+test('Filters: a new listing without enough candles is skipped, not crashed on', (t) => {
+    const listed = Array.from({ length: 5 }, (_, i) => candle(100, i));
+    const skipped = { pass: false, value: 'n/a', threshold: 'not enough history' };
+    assert.deepStrictEqual(emaTrendFilter({ period: 50 }).check({ candles: { '1h': listed } }), skipped);
+    assert.deepStrictEqual(atrFilter({ period: 14, maxAtrPct: 0.04 }).check({ candles: { '1h': listed } }), skipped);
+    assert.deepStrictEqual(volumeSpikeFilter({ maxRatio: 5 }).check({ candles: { '1h': listed.slice(0, 1) } }), skipped);
+});
+
+test('Filters: pipeline reports every filter and merges lookbacks', (t) => {
+    const filters = getActiveFilters(['volume', 'atr', 'volume-spike']);
+    assert.deepStrictEqual(mergeTimeframes({ '1h': 50, '4h': 30 }, ...filters.map(f => f.timeframes)), { '1h': 50, '4h': 30 });
+    assert.throws(() => getActiveFilters(['moon']), /Unknown technical filter/);
+
+    const candles = { '1h': Array.from({ length: 50 }, (_, i) => candle(100, i)) };
+    const { passed, results } = runFilters(filters, { symbol: 'SOLUSDT', candles, stats24h: { quoteVolume: '1000' } });
+    assert.strictEqual(passed, false);
+    assert.deepStrictEqual(results.map(r => [r.name, r.pass]), [['volume', false], ['atr', true], ['volume-spike', true]]);
+    assert.match(describeFilterResults(results).volume, /^FAIL \(1\.0k >= 100\.0k\)$/);
+});
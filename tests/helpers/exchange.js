@@ -0,0 +1,101 @@
+/**
+ * Fake exchange shared by the engine tests: the part of the binance wrapper
+ * the engine modules use, with every order recorded so tests can assert on it.
+ *
+ * @param {Object} [options]
+ * @param {number|Object} [options.price] - One price for every symbol, or symbol -> price
+ * @param {Object} [options.balances] - asset -> { free, locked, total }
+ * @param {Function|null} [options.symbolInfo] - symbol -> exchange info (null: no filters)
+ * @param {number|null} [options.stepSize] - Quantity step roundQuantity floors to (null: no rounding)
+ * @param {Object|null} [options.orders] - orderId -> order getOrder returns (unknown ids: undefined).
+ *   Without it every order reads as a cancelled OCO leg, see `filled`
+ * @param {Object} [options.filled] - orderId -> quantity a cancelled OCO leg filled before the cancel
+ * @param {number} [options.fillPrice] - Price of those fills
+ * @param {number} [options.fee] - Fee of every order (quote currency)
+ * @param {number|null} [options.failOcoAt] - Take profit price ocoSell rejects
+ * @param {Array<number>} [options.failCancel] - OCO ids cancelOrderList rejects
+ * @param {Array<Object>} [options.openOrders]
+ * @param {Array<Object>} [options.buys] - { symbol, price } fills getCostBasis finds
+ */
+export function fakeExchange({
+    price = 100,
+    balances = {},
+    symbolInfo = null,
+    stepSize = null,
+    orders = null,
+    filled = {},
+    fillPrice = 110,
+    fee = 0,
+    failOcoAt = null,
+    failCancel = [],
+    openOrders = [],
+    buys = [],
+} = {}) {
+    const priceOf = (exchange, symbol) => (typeof exchange.price === 'number' ? exchange.price : exchange.price[symbol]);
+    const assetOf = symbol => symbolInfo?.(symbol)?.baseAsset || symbol.replace(/USDT$/, '');
+
+    return {
+        price,
+        balances,
+        placed: [], // OCOs: { symbol, quantity, takeProfit, stopLoss }
+        cancelled: [], // OCO ids
+        orders: [], // Market orders: { symbol, side, quantity }
+        async getPrice(symbol) {
+            return priceOf(this, symbol);
+        },
+        async updateBalances() {
+            return this.balances;
+        },
+        getSymbolInfo: symbol => symbolInfo?.(symbol) ?? null,
+        roundQuantity: (symbol, quantity) => (stepSize ? Math.round(Math.floor(quantity / stepSize + 1e-9) * stepSize * 1e8) / 1e8 : quantity),
+        roundPrice: (symbol, value) => Math.round(value * 1e4) / 1e4,
+        async getOpenOrders() {
+            return openOrders;
+        },
+        async getOrder(symbol, orderId) {
+            if (orders) return orders[orderId];
+            const executedQty = filled[orderId] || 0;
+            return { orderId, status: 'CANCELED', executedQty: String(executedQty), cummulativeQuoteQty: String(executedQty * fillPrice) };
+        },
+        async getOrderFees() {
+            return fee;
+        },
+        async getCostBasis(symbol, quantity) {
+            const fill = buys.find(b => b.symbol === symbol);
+            return fill ? { price: fill.price, quantity, fee: 0.1, orderId: 9, time: 500 } : null;
+        },
+        async marketBuy(symbol, quantity) {
+            return this.fillMarket(symbol, 'BUY', quantity);
+        },
+        async marketSell(symbol, quantity) {
+            return this.fillMarket(symbol, 'SELL', quantity);
+        },
+        fillMarket(symbol, side, quantity) {
+            this.orders.push({ symbol, side, quantity });
+            const held = this.balances[assetOf(symbol)];
+            if (held && side === 'SELL') {
+                const free = held.free - quantity;
+                this.balances[assetOf(symbol)] = { free, locked: 0, total: free };
+            }
+            return { orderId: this.orders.length, executedQty: String(quantity), cummulativeQuoteQty: String(quantity * priceOf(this, symbol)) };
+        },
+        async ocoSell(symbol, quantity, takeProfit, stopLoss) {
+            if (takeProfit === failOcoAt) throw new Error('Filter failure: PERCENT_PRICE');
+            this.placed.push({ symbol, quantity, takeProfit, stopLoss });
+            // Well clear of the ids tests give the protections they set up
+            const orderListId = 100 + this.placed.length;
+            return { orderListId, orderReports: [{ orderId: orderListId * 10, type: 'STOP_LOSS_LIMIT' }, { orderId: orderListId * 10 + 1, type: 'LIMIT_MAKER' }] };
+        },
+        async cancelOrderList(symbol, orderListId) {
+            if (failCancel.includes(orderListId)) throw new Error('Unknown order sent.');
+            this.cancelled.push(orderListId);
+        },
+    };
+}
+
+/**
+ * A free balance, nothing locked in orders
+ */
+export function holding(free) {
+    return { free, locked: 0, total: free };
+}
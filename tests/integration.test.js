@@ -1,6 +1,6 @@
 import test from 'node:test';
 import assert from 'node:assert';
-import { riskManager } from '../src/engine/risk.js';
+import { RiskManager } from '../src/engine/risk.js';
 import { config } from '../src/config/index.js';
 
 /**
@@ -9,6 +9,9 @@ import { config } from '../src/config/index.js';
  * can transition from news -> position size -> stop losses correctly.
  */
 
+// Never the singleton: its breakers are saved to the bot's real data/ files
+const riskManager = new RiskManager({ persist: false });
+
 test('Risk Manager: Position Sizing with Small Account Logic', (t) => {
     riskManager.resetBreaker();
     // Setup: $50 account
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TradeJournal } from '../src/engine/journal.js';
+import { PaperExchange } from '../src/exchange/paper.js';
+import { config } from '../src/config/index.js';
+
+test('Trade Journal: walks the trade state machine and survives a restart', (t) => {
+    const statePath = join(mkdtempSync(join(tmpdir(), 'journal-')), 'trade_journal.json');
+    const journal = new TradeJournal({ statePath });
+
+    const entry = journal.begin({ symbol: 'SOLUSDT', quantity: 1.5, meta: { confidence: 80 } });
+    assert.strictEqual(entry.state, 'INTENDED');
+    assert.match(entry.clientOrderId, /^[a-zA-Z0-9-_]{1,36}$/, 'Must be a valid Binance client order id');
+
+    journal.transition(entry.id, 'BOUGHT', { executedQty: 1.5, avgPrice: 100, positionId: 'SOLUSDT-1' });
+    assert.strictEqual(existsSync(`${statePath}.tmp`), false);
+
+    // Crash here: a fresh process finds the bought-but-unprotected trade
+    const restarted = new TradeJournal({ statePath });
+    const [pending] = restarted.getPending();
+    assert.strictEqual(pending.state, 'BOUGHT');
+    assert.strictEqual(pending.avgPrice, 100);
+
+    restarted.transition(pending.id, 'PROTECTED', { orderListId: 3 });
+    restarted.closePosition('SOLUSDT-1', 'TP');
+    assert.strictEqual(restarted.get(pending.id).state, 'CLOSED');
+    assert.deepStrictEqual(restarted.get(pending.id).history.map(h => h.state), ['INTENDED', 'BOUGHT', 'PROTECTED', 'CLOSED']);
+    assert.strictEqual(restarted.getPending().length, 0);
+});
+
+test('Trade Journal: rejects impossible transitions', (t) => {
+    const journal = new TradeJournal();
+    const entry = journal.begin({ symbol: 'SOLUSDT', quantity: 1 });
+
+    assert.throws(() => journal.transition(entry.id, 'PROTECTED'), /INTENDED -> PROTECTED/);
+    journal.transition(entry.id, 'ABORTED', { error: 'Insufficient balance' });
+    assert.throws(() => journal.transition(entry.id, 'BOUGHT'), /ABORTED -> BOUGHT/);
+});
+
+test('Trade Journal: paper orders can be found by client order id', (t) => {
+    config.trading.feeRate = 0;
+    const paper = new PaperExchange();
+    paper.reset(1000, ['SOL']);
+
+    const order = paper.marketOrder('SOLUSDT', 'BUY', 1, 100, { clientOrderId: 'sentinel_abc' });
+    assert.strictEqual(paper.findOrder('SOLUSDT', 'sentinel_abc').orderId, order.orderId);
+    assert.strictEqual(paper.findOrder('SOLUSDT', 'sentinel_missing'), null);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { PositionLedger } from '../src/engine/ledger.js';
+import { fakeExchange } from './helpers/exchange.js';
+
+function ledgerExchange(orders, balances = {}) {
+    return fakeExchange({ orders, balances, price: 95, fee: 0.01 });
+}
+
+const OCO = {
+    orderListId: 7,
+    orderReports: [
+        { orderId: 11, type: 'STOP_LOSS_LIMIT' },
+        { orderId: 12, type: 'LIMIT_MAKER' },
+    ],
+};
+
+function openSolPosition(ledger) {
+    const position = ledger.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity: 1, entryFee: 0.1, entryTime: 1000 });
+    ledger.addProtection(position.id, OCO, { quantity: 1, takeProfit: 104, stopLoss: 98 });
+    return position;
+}
+
+test('Position Ledger: take-profit fill closes the position with realized PnL', async (t) => {
+    const ledger = new PositionLedger();
+    const position = openSolPosition(ledger);
+
+    const exchange = ledgerExchange({
+        11: { orderId: 11, status: 'EXPIRED', executedQty: '0', cummulativeQuoteQty: '0' },
+        12: { orderId: 12, status: 'FILLED', executedQty: '1', cummulativeQuoteQty: '104', updateTime: 1000 + 3600000 },
+    });
+
+    const events = await ledger.reconcile(exchange);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(position.status, 'CLOSED');
+    assert.strictEqual(position.exitReason, 'TP');
+    assert.strictEqual(position.exitPrice, 104);
+    assert.strictEqual(position.holdingMs, 3600000);
+    assert.ok(Math.abs(position.realizedPnl - (4 - 0.1 - 0.01)) < 1e-9, `Got ${position.realizedPnl}`);
+
+    // A second pass must not book the same fill again
+    assert.strictEqual((await ledger.reconcile(exchange)).length, 0);
+    assert.strictEqual(ledger.getStats().wins, 1);
+});
+
+test('Position Ledger: stop fill after a trail is reported as TRAIL', async (t) => {
+    const ledger = new PositionLedger();
+    const position = openSolPosition(ledger);
+
+    ledger.retireProtection('SOLUSDT', 7);
+    ledger.addProtection(position.id, { orderListId: 8, orderReports: [
+        { orderId: 21, type: 'STOP_LOSS_LIMIT' },
+        { orderId: 22, type: 'LIMIT_MAKER' },
+    ] }, { quantity: 1, takeProfit: 104, stopLoss: 101, reason: 'TRAIL' });
+
+    await ledger.reconcile(ledgerExchange({
+        21: { orderId: 21, status: 'FILLED', executedQty: '1', cummulativeQuoteQty: '101' },
+        22: { orderId: 22, status: 'EXPIRED', executedQty: '0', cummulativeQuoteQty: '0' },
+    }));
+
+    assert.strictEqual(position.exitReason, 'TRAIL');
+    assert.ok(position.realizedPnl > 0);
+});
+
+test('Position Ledger: cancelled protection with coins gone is a manual close', async (t) => {
+    const ledger = new PositionLedger();
+    const position = openSolPosition(ledger);
+
+    await ledger.reconcile(ledgerExchange({
+        11: { orderId: 11, status: 'CANCELED', executedQty: '0', cummulativeQuoteQty: '0' },
+        12: { orderId: 12, status: 'CANCELED', executedQty: '0', cummulativeQuoteQty: '0' },
+    }, { SOL: { free: 0, locked: 0, total: 0 } }));
+
+    assert.strictEqual(position.status, 'CLOSED');
+    assert.strictEqual(position.exitReason, 'MANUAL');
+    assert.strictEqual(position.exitPrice, 95);
+    assert.strictEqual(ledger.getStats().losses, 1);
+});
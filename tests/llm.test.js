@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { LLMRouter } from '../src/signal/providers/index.js';
+import { OpenAIProvider } from '../src/signal/providers/openai.js';
+
+function fakeProvider(name, { configured = true, supportsSearch = true, reply = null } = {}) {
+    return {
+        name,
+        supportsSearch,
+        calls: 0,
+        isConfigured: () => configured,
+        async generate() {
+            this.calls++;
+            if (reply === null) throw new Error(`${name} is down`);
+            return reply;
+        },
+    };
+}
+
+test('LLM Router: falls back when the primary provider fails', async (t) => {
+    const primary = fakeProvider('gemini');
+    const fallback = fakeProvider('openai', { reply: '{"verdict":"NEUTRAL"}' });
+    const router = new LLMRouter([primary, fallback]);
+
+    const text = await router.generate('prompt');
+    assert.strictEqual(text, '{"verdict":"NEUTRAL"}');
+    assert.strictEqual(primary.calls, 1);
+    assert.strictEqual(fallback.calls, 1);
+});
+
+test('LLM Router: search only goes to search-capable providers', async (t) => {
+    const primary = fakeProvider('openai', { supportsSearch: false, reply: 'no search' });
+    const fallback = fakeProvider('gemini', { reply: 'grounded news' });
+    const router = new LLMRouter([primary, fallback]);
+
+    assert.strictEqual(await router.generate('news', { search: true }), 'grounded news');
+    assert.strictEqual(primary.calls, 0);
+});
+
+test('LLM Router: returns null when nothing is available', async (t) => {
+    const router = new LLMRouter([fakeProvider('gemini', { configured: false })]);
+
+    assert.strictEqual(router.canSearch(), false);
+    assert.strictEqual(await router.generate('prompt'), null);
+});
+
+test('LLM Router: HTTP errors and empty replies fall back to the next provider', async (t) => {
+    const replies = [
+        [503, { error: { message: 'The engine is currently overloaded' } }],
+        [502, 'Bad Gateway'],
+        [200, { choices: [{ message: { content: '' }, finish_reason: 'length' }] }],
+    ];
+    const server = http.createServer((req, res) => {
+        const [status, body] = replies.shift();
+        res.statusCode = status;
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const provider = new OpenAIProvider({ apiKey: '', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'local', timeoutMs: 2000 });
+    await assert.rejects(provider.generate('prompt'), /overloaded/);
+    await assert.rejects(provider.generate('prompt'), /HTTP 502/);
+
+    const fallback = fakeProvider('gemini', { reply: '{"verdict":"NEUTRAL"}' });
+    assert.strictEqual(await new LLMRouter([provider, fallback]).generate('prompt'), '{"verdict":"NEUTRAL"}', 'Empty completion');
+    assert.strictEqual(fallback.calls, 1);
+});
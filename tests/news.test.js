@@ -0,0 +1,208 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import http from 'http';
+import { join } from 'path';
+import { parseFeed, RssSource } from '../src/signal/news/rss.js';
+import { JsonApiSource } from '../src/signal/news/api.js';
+import { FileSource } from '../src/signal/news/files.js';
+import { createNewsItem, newsHash } from '../src/signal/news/item.js';
+import { NewsAggregator, isRelevant } from '../src/signal/news/index.js';
+import { NewsCache } from '../src/signal/news/cache.js';
+import { SentimentAnalyzer } from '../src/signal/sentiment.js';
+import { config, validateConfig } from '../src/config/index.js';
+
+const HOUR_MS = 3600000;
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  <title>Crypto Daily</title>
+  <item>
+    <title><![CDATA[Solana &amp; friends: ETF filing <b>approved</b>]]></title>
+    <link>https://example.com/sol-etf</link>
+    <pubDate>Mon, 19 Oct 2026 08:00:00 GMT</pubDate>
+    <description>&lt;p&gt;The SEC signed off.&lt;/p&gt;</description>
+  </item>
+  <item><title>Markets wrap</title><link>https://example.com/wrap</link></item>
+</channel></rss>`;
+
+const ATOM = `<feed xmlns="http://www.w3.org/2005/Atom">
+  <title type="text">Chain Wire</title>
+  <entry>
+    <title>Ethereum upgrade ships</title>
+    <link rel="alternate" href="https://example.org/eth"/>
+    <updated>2026-10-19T07:30:00Z</updated>
+    <summary>Blobs are cheaper now</summary>
+  </entry>
+</feed>`;
+
+test('News: RSS and Atom items with title, link, source and time', (t) => {
+    const [sol, wrap] = parseFeed(RSS);
+    assert.strictEqual(sol.title, 'Solana & friends: ETF filing approved');
+    assert.strictEqual(sol.url, 'https://example.com/sol-etf');
+    assert.strictEqual(sol.source, 'Crypto Daily');
+    assert.strictEqual(sol.publishedAt, Date.parse('2026-10-19T08:00:00Z'));
+    assert.strictEqual(sol.summary, 'The SEC signed off.');
+    assert.strictEqual(wrap.publishedAt, null);
+
+    const [eth] = parseFeed(ATOM);
+    assert.deepStrictEqual(
+        { title: eth.title, url: eth.url, source: eth.source, publishedAt: eth.publishedAt, summary: eth.summary },
+        { title: 'Ethereum upgrade ships', url: 'https://example.org/eth', source: 'Chain Wire', publishedAt: Date.parse('2026-10-19T07:30:00Z'), summary: 'Blobs are cheaper now' }
+    );
+});
+
+test('News: the hash ignores case, punctuation and spacing', (t) => {
+    assert.strictEqual(newsHash("Solana's ETF —  Approved!"), newsHash('solanas etf approved'));
+    assert.notStrictEqual(newsHash('Solana ETF approved'), newsHash('Solana ETF rejected'));
+    assert.strictEqual(createNewsItem({ title: '  ', source: 'x' }), null);
+    assert.strictEqual(createNewsItem({ title: 'a', source: 'x', publishedAt: 1760860800 }).publishedAt, 1760860800000, 'Seconds');
+});
+
+test('News: feed items are matched to pairs by ticker and coin name', (t) => {
+    const item = title => ({ title, summary: '' });
+    assert.strictEqual(isRelevant(item('Solana ETF approved'), 'SOLUSDT', {}), true);
+    assert.strictEqual(isRelevant(item('$SOL rallies 10%'), 'SOLUSDT', {}), true);
+    assert.strictEqual(isRelevant(item('Console sales solid'), 'SOLUSDT', {}), false);
+    assert.strictEqual(isRelevant(item('Sonic mainnet live'), 'SUSDT', { SUSDT: ['sonic'] }), true);
+});
+
+test('News: JSON API posts mapped through the field paths', async (t) => {
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            results: [{ title: `Whales buy ${new URL(req.url, 'http://x').searchParams.get('currencies')}`, url: 'https://news.example/1', published_at: '2026-10-19T09:00:00Z', source: { title: 'Panic' } }],
+        }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const source = new JsonApiSource({
+        url: `http://127.0.0.1:${server.address().port}/posts?currencies={asset}`,
+        itemsPath: 'results',
+        fields: { title: 'title', url: 'url', publishedAt: 'published_at', source: 'source.title', summary: 'description' },
+        timeoutMs: 2000,
+    });
+    assert.strictEqual(source.perSymbol, true);
+
+    const [item] = await source.getItems('SOLUSDT', 'SOL');
+    assert.strictEqual(item.title, 'Whales buy SOL');
+    assert.strictEqual(item.source, 'Panic');
+    assert.strictEqual(item.publishedAt, Date.parse('2026-10-19T09:00:00Z'));
+});
+
+test('News: aggregator merges sources, drops duplicates, stale and unrelated items', async (t) => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'news-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const now = Date.now();
+    fs.writeFileSync(join(dir, 'curated.json'), JSON.stringify([
+        { title: 'Solana ETF approved', url: 'https://a.example/1', publishedAt: new Date(now - HOUR_MS).toISOString() },
+        { title: 'Solana outage last week', publishedAt: now - 48 * HOUR_MS },
+    ]));
+    fs.writeFileSync(join(dir, 'headlines.txt'), '# comments are skipped\nBitcoin hits a new high\n');
+
+    const feed = {
+        name: 'feed',
+        perSymbol: false,
+        calls: 0,
+        async getItems() {
+            this.calls++;
+            return [
+                createNewsItem({ title: 'Solana ETF — approved!', url: 'https://b.example/2', source: 'feed', publishedAt: now - 2 * HOUR_MS }),
+                createNewsItem({ title: 'SOL validators upgrade', source: 'feed', publishedAt: now - 30 * 60000 }),
+            ];
+        },
+    };
+    const broken = { name: 'broken', perSymbol: true, async getItems() { throw new Error('HTTP 503'); } };
+
+    const news = new NewsAggregator([new FileSource({ path: dir }), feed, broken]);
+    const items = await news.getLatestNews('SOLUSDT', { limit: 5, lookbackHours: 24 });
+    assert.deepStrictEqual(items.map(i => i.title), ['SOL validators upgrade', 'Solana ETF approved']);
+    assert.strictEqual(items[1].url, 'https://a.example/1', 'First source wins a duplicate');
+
+    const btc = await news.getLatestNews('BTCUSDT', { limit: 5, lookbackHours: 24 });
+    assert.deepStrictEqual(btc.map(i => i.title), ['Bitcoin hits a new high']);
+    assert.strictEqual(feed.calls, 1, 'Feed items are cached across pairs');
+});
+
+test('News: feeds on the same host are cached apart, bad feed URLs are a config error', async (t) => {
+    const feed = title => ({
+        name: 'rss:www.coindesk.com',
+        perSymbol: false,
+        async getItems() { return [createNewsItem({ title, source: this.name, publishedAt: Date.now() })]; },
+    });
+    const news = new NewsAggregator([feed('Solana ETF approved'), feed('Solana validators upgrade')]);
+    assert.strictEqual((await news.getLatestNews('SOLUSDT', { limit: 5, lookbackHours: 24 })).length, 2);
+
+    assert.strictEqual(new RssSource({ url: 'coindesk.com/rss', timeoutMs: 1000 }).name, 'rss:coindesk.com/rss');
+    const previous = { sources: config.news.sources, rssFeeds: config.news.rssFeeds };
+    t.after(() => Object.assign(config.news, previous));
+    Object.assign(config.news, { sources: ['rss'], rssFeeds: ['https://www.coindesk.com/arc/outboundfeeds/rss/', 'coindesk.com/rss'] });
+    assert.deepStrictEqual(validateConfig().filter(e => e.startsWith('NEWS_RSS_FEEDS')), ['NEWS_RSS_FEEDS entry is not an http(s) URL: coindesk.com/rss']);
+});
+
+test('News: the cache keeps analyses and first sight across restarts', (t) => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'news-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const statePath = join(dir, 'news_cache.json');
+
+    const now = Date.now();
+    const item = createNewsItem({ title: 'Solana ETF approved', source: 'llm-search', publishedAt: now });
+    const cache = new NewsCache({ statePath, retentionDays: 1 });
+    cache.see(item, now - 5 * HOUR_MS);
+    cache.recordAnalysis(item, 'SOLUSDT', { verdict: 'BULLISH', confidence: 80 }, now);
+
+    const restored = new NewsCache({ statePath, retentionDays: 1 });
+    assert.strictEqual(restored.getAnalysis(item, 'SOLUSDT').verdict, 'BULLISH');
+    assert.strictEqual(restored.getAnalysis(item, 'ETHUSDT'), null);
+    assert.strictEqual(restored.getAgeMs(item, now), 5 * HOUR_MS, 'Re-fetched search results keep their first sighting');
+
+    restored.prune(now + 2 * 24 * HOUR_MS);
+    assert.deepStrictEqual(restored.entries, {});
+});
+
+test('News: analyzed and too-old stories are not scored again', async (t) => {
+    const maxAgeHours = config.news.maxAgeHours;
+    config.news.maxAgeHours = 6;
+    t.after(() => { config.news.maxAgeHours = maxAgeHours; });
+
+    const now = Date.now();
+    const items = [
+        createNewsItem({ title: 'Solana ETF approved', source: 'feed', publishedAt: now - HOUR_MS }),
+        createNewsItem({ title: 'Solana validators upgrade', source: 'feed', publishedAt: now - 10 * HOUR_MS }),
+    ];
+    let prompts = 0;
+    const llm = { async generate() { prompts++; return '```json\n{"verdict":"BULLISH","impact":"HIGH","confidence":80,"reasoning":"ETF","suggested_action":"BUY"}\n```'; } };
+    const news = { async getLatestNews() { return items; } };
+    const analyzer = new SentimentAnalyzer(llm, news, new NewsCache());
+
+    const fresh = await analyzer.getFreshNews('SOLUSDT');
+    assert.deepStrictEqual(fresh.map(i => i.title), ['Solana ETF approved'], 'Older than NEWS_MAX_AGE_HOURS');
+
+    const analysis = await analyzer.analyzeNews(fresh[0], 'SOLUSDT');
+    assert.strictEqual(analysis.verdict, 'BULLISH');
+    assert.deepStrictEqual(await analyzer.getFreshNews('SOLUSDT'), [], 'Already analyzed');
+    assert.strictEqual((await analyzer.getFreshNews('ETHUSDT')).length, 1, 'Analyses are per pair');
+    assert.strictEqual(prompts, 1);
+});
+
+test('News: one scan analyzes a story once for both the exit and the entry check', async (t) => {
+    const items = [createNewsItem({ title: 'Solana ETF approved', source: 'feed', publishedAt: Date.now() - HOUR_MS })];
+    let prompts = 0;
+    const llm = { async generate() { prompts++; return '{"verdict":"BULLISH","impact":"HIGH","confidence":80,"reasoning":"ETF","suggested_action":"BUY"}'; } };
+    const news = { async getLatestNews() { return items; } };
+    const analyzer = new SentimentAnalyzer(llm, news, new NewsCache());
+
+    analyzer.newScan();
+    const bearishCheck = await analyzer.analyzeFreshNews('SOLUSDT');
+    assert.strictEqual(bearishCheck[0].analysis.suggested_action, 'BUY');
+    const entryCheck = await analyzer.analyzeFreshNews('SOLUSDT');
+    assert.deepStrictEqual(entryCheck, bearishCheck, 'The BUY is still there for the entry');
+    assert.strictEqual(prompts, 1);
+
+    analyzer.newScan();
+    assert.deepStrictEqual(await analyzer.analyzeFreshNews('SOLUSDT'), [], 'Not scored again on the next scan');
+    assert.strictEqual(prompts, 1);
+});
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PaperExchange } from '../src/exchange/paper.js';
+import { config } from '../src/config/index.js';
+
+function createExchange() {
+    config.trading.feeRate = 0;
+    const paper = new PaperExchange();
+    paper.reset(1000, ['SOL']);
+    paper.processPrice('SOLUSDT', 100);
+    return paper;
+}
+
+test('Paper Exchange: market buy and OCO take-profit fill', (t) => {
+    const paper = createExchange();
+
+    const buy = paper.marketOrder('SOLUSDT', 'BUY', 2, 100);
+    assert.strictEqual(buy.status, 'FILLED');
+    assert.strictEqual(buy.executedQty, '2');
+    assert.strictEqual(paper.balances.USDT.free, 800);
+
+    const oco = paper.placeOco({ symbol: 'SOLUSDT', side: 'SELL', quantity: 2, price: 104, stopPrice: 98, stopLimitPrice: 97.5 });
+    assert.strictEqual(oco.orderReports.length, 2);
+    assert.strictEqual(paper.balances.SOL.free, 0, 'OCO should lock the base asset');
+    assert.strictEqual(paper.balances.SOL.locked, 2);
+    assert.strictEqual(paper.getOpenOrders('SOLUSDT').length, 2);
+
+    const filled = paper.processPrice('SOLUSDT', 105);
+    assert.strictEqual(filled.length, 1);
+    assert.strictEqual(filled[0].type, 'LIMIT_MAKER');
+    assert.strictEqual(paper.getOpenOrders().length, 0, 'Stop leg should expire with the TP fill');
+    assert.strictEqual(paper.balances.USDT.free, 1008);
+    assert.strictEqual(paper.balances.SOL.total, 0);
+
+    const stopLeg = oco.orderReports.find(o => o.type === 'STOP_LOSS_LIMIT');
+    assert.strictEqual(paper.getOrder('SOLUSDT', stopLeg.orderId).status, 'EXPIRED');
+});
+
+test('Paper Exchange: stop-limit triggers and fills', (t) => {
+    const paper = createExchange();
+    paper.marketOrder('SOLUSDT', 'BUY', 1, 100);
+    paper.placeOrder({ symbol: 'SOLUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 1, price: 97, stopPrice: 98 });
+
+    assert.strictEqual(paper.processPrice('SOLUSDT', 99).length, 0, 'Stop should not trigger above stop price');
+
+    const [fill] = paper.processPrice('SOLUSDT', 97.8);
+    assert.strictEqual(fill.status, 'FILLED');
+    assert.strictEqual(fill.cummulativeQuoteQty, '97.8');
+});
+
+test('Paper Exchange: cancelling one OCO leg releases the whole list', (t) => {
+    const paper = createExchange();
+    paper.marketOrder('SOLUSDT', 'BUY', 1, 100);
+    const oco = paper.placeOco({ symbol: 'SOLUSDT', side: 'SELL', quantity: 1, price: 104, stopPrice: 98, stopLimitPrice: 97.5 });
+
+    paper.cancelOrder('SOLUSDT', oco.orders[0].orderId);
+    assert.strictEqual(paper.getOpenOrders().length, 0);
+    assert.strictEqual(paper.balances.SOL.free, 1);
+    assert.strictEqual(paper.balances.SOL.locked, 0);
+});
+
+test('Paper Exchange: rejects invalid orders like Binance', (t) => {
+    const paper = createExchange();
+
+    assert.throws(() => paper.marketOrder('SOLUSDT', 'SELL', 1, 100), /insufficient balance/);
+    paper.marketOrder('SOLUSDT', 'BUY', 1, 100);
+    assert.throws(
+        () => paper.placeOco({ symbol: 'SOLUSDT', side: 'SELL', quantity: 1, price: 99, stopPrice: 98, stopLimitPrice: 97.5 }),
+        /relationship of the prices/
+    );
+});
+
+test('Paper Exchange: state survives a restart', (t) => {
+    const statePath = join(mkdtempSync(join(tmpdir(), 'paper-')), 'paper_state.json');
+    config.trading.feeRate = 0;
+
+    const first = new PaperExchange({ statePath });
+    first.reset(1000, ['SOL']);
+    first.processPrice('SOLUSDT', 100);
+    first.marketOrder('SOLUSDT', 'BUY', 1, 100);
+    first.placeOco({ symbol: 'SOLUSDT', side: 'SELL', quantity: 1, price: 104, stopPrice: 98, stopLimitPrice: 97.5 });
+
+    const restarted = new PaperExchange({ statePath });
+    assert.strictEqual(restarted.load(), true);
+    assert.strictEqual(restarted.balances.USDT.free, 900);
+    assert.strictEqual(restarted.getOpenOrders('SOLUSDT').length, 2);
+    assert.strictEqual(restarted.fills.length, 1);
+
+    // Restored orders keep filling, and new ids don't collide
+    restarted.processPrice('SOLUSDT', 97.9);
+    assert.strictEqual(restarted.balances.USDT.free, 997.9);
+    assert.strictEqual(restarted.marketOrder('SOLUSDT', 'BUY', 1, 97.9).orderId, 4);
+});
+
+test('Paper Exchange: only the most recent finished orders and fills are kept', (t) => {
+    const paper = createExchange();
+    paper.reset(1000000, ['SOL']);
+    const oco = () => paper.placeOco({ symbol: 'SOLUSDT', side: 'SELL', quantity: 1, price: 104, stopPrice: 98, stopLimitPrice: 97.5 });
+
+    paper.marketOrder('SOLUSDT', 'BUY', 1, 100);
+    const open = oco();
+    for (let i = 0; i < 150; i++) {
+        paper.marketOrder('SOLUSDT', 'BUY', 1, 100);
+        paper.cancelOrderList('SOLUSDT', oco().orderListId);
+    }
+
+    const finished = [...paper.orders.values()].filter(o => o.status !== 'NEW');
+    assert.ok(finished.length <= 200);
+    assert.strictEqual(paper.getOpenOrders().length, 2, 'Open orders are kept');
+    assert.ok(paper.orderLists.has(open.orderListId));
+    assert.strictEqual(paper.getOrder('SOLUSDT', paper.nextOrderId - 1).status, 'CANCELED', 'The latest orders are kept');
+    assert.throws(() => paper.getOrder('SOLUSDT', 1), /Order does not exist/);
+    assert.ok(paper.fills.every(f => paper.orders.has(f.orderId)), 'Fills go with their orders');
+    assert.ok([...paper.orderLists.values()].every(l => l.orderIds.every(id => paper.orders.has(id))), 'OCOs go as a whole');
+});
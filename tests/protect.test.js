@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { TradeProtector } from '../src/engine/protect.js';
+import { PositionLedger } from '../src/engine/ledger.js';
+import { TradeJournal } from '../src/engine/journal.js';
+import { RiskManager } from '../src/engine/risk.js';
+import { fakeExchange, holding } from './helpers/exchange.js';
+
+function boughtTrade(positions, trades) {
+    const position = positions.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity: 2, entryTime: 1000 });
+    const entry = trades.begin({ symbol: 'SOLUSDT', quantity: 2, meta: { targetGain: 6 } });
+    return trades.transition(entry.id, 'BOUGHT', { positionId: position.id, executedQty: 2, avgPrice: 100 });
+}
+
+function createProtector(exchange) {
+    const positions = new PositionLedger();
+    const trades = new TradeJournal();
+    const alerts = [];
+    const exits = [];
+    const protector = new TradeProtector({
+        exchange,
+        positions,
+        trades,
+        risk: new RiskManager({ persist: false }),
+        notify: message => alerts.push(message),
+        reportExit: (position, exit) => exits.push(exit),
+    });
+    return { protector, positions, trades, alerts, exits };
+}
+
+test('Trade Protector: places the exit ladder and marks the trade PROTECTED', async (t) => {
+    const exchange = fakeExchange({ price: 100, balances: { SOL: holding(2) } });
+    const { protector, positions, trades } = createProtector(exchange);
+    const entry = boughtTrade(positions, trades);
+
+    const protection = await protector.protect(entry);
+    assert.ok(protection);
+    assert.strictEqual(trades.get(entry.id).state, 'PROTECTED');
+    assert.ok(exchange.placed.length > 0);
+    assert.strictEqual(positions.getActiveProtection(entry.positionId).stopLoss, protection.stopLoss);
+});
+
+test('Trade Protector: a price fetch failure after the buy sells it back', async (t) => {
+    const exchange = fakeExchange({ price: 100, balances: { SOL: holding(2) } });
+    exchange.getPrice = async () => { throw new Error('Way too much request weight used'); };
+    const { protector, positions, trades, alerts, exits } = createProtector(exchange);
+    const entry = boughtTrade(positions, trades);
+
+    assert.strictEqual(await protector.protect(entry), null);
+    assert.deepStrictEqual(exchange.orders, [{ symbol: 'SOLUSDT', side: 'SELL', quantity: 2 }]);
+    assert.strictEqual(exchange.placed.length, 0);
+    assert.strictEqual(positions.getPosition(entry.positionId).status, 'CLOSED');
+    assert.strictEqual(positions.getPosition(entry.positionId).exitReason, 'ROLLBACK');
+    assert.strictEqual(trades.get(entry.id).state, 'ABORTED');
+    assert.strictEqual(trades.get(entry.id).closeReason, 'ROLLBACK');
+    assert.strictEqual(exits.length, 1);
+    assert.match(alerts[0], /Position sold back at market/);
+});
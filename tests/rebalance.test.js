@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { CoreRebalancer, planRebalance, getCoreWeights } from '../src/engine/rebalance.js';
+import { PositionLedger } from '../src/engine/ledger.js';
+import { config } from '../src/config/index.js';
+import { fakeExchange } from './helpers/exchange.js';
+
+const PRICES = { BTCUSDT: 50000, ETHUSDT: 2500, ETHBTC: 0.05 };
+
+function coreExchange(balances) {
+    return fakeExchange({
+        price: PRICES,
+        balances,
+        symbolInfo: symbol => ({
+            baseAsset: symbol.slice(0, 3),
+            quoteAsset: symbol.slice(3),
+            minNotional: symbol.endsWith('BTC') ? 0.0001 : 5,
+        }),
+    });
+}
+
+function withRebalanceConfig(t, overrides) {
+    const previous = { rebalance: config.rebalance, coreCoins: config.trading.coreCoins, core: config.allocation.core };
+    config.rebalance = { ...previous.rebalance, mode: 'threshold', band: 0.1, trim: true, dryRun: false, weights: {}, ...overrides };
+    config.trading.coreCoins = ['BTCUSDT', 'ETHUSDT'];
+    config.allocation.core = 0.6;
+    t.after(() => {
+        config.rebalance = previous.rebalance;
+        config.trading.coreCoins = previous.coreCoins;
+        config.allocation.core = previous.core;
+    });
+}
+
+test('Rebalance: weights from CORE_WEIGHTS, equal when unset', (t) => {
+    assert.deepStrictEqual(getCoreWeights(['BTCUSDT', 'ETHUSDT'], {}), { BTCUSDT: 0.5, ETHUSDT: 0.5 });
+    assert.deepStrictEqual(getCoreWeights(['BTCUSDT', 'ETHUSDT'], { BTCUSDT: 7, ETHUSDT: 3 }), { BTCUSDT: 0.7, ETHUSDT: 0.3 });
+    assert.deepStrictEqual(getCoreWeights(['BTCUSDT', 'ETHUSDT'], { BTCUSDT: 1 }), { BTCUSDT: 1, ETHUSDT: 0 });
+});
+
+test('Rebalance: trades coins outside their band, sells before buys, within the cash', (t) => {
+    withRebalanceConfig(t, {});
+    const holding = (symbol, weight, value) => ({ symbol, quoteAsset: 'USDT', weight, value, sellable: value, minTradeValue: 10 });
+
+    // Core target 600: BTC 420 (70%), ETH 180 (30%)
+    const holdings = [holding('BTCUSDT', 0.7, 520), holding('ETHUSDT', 0.3, 100)];
+    const plan = planRebalance({ totalValue: 1000, holdings, cash: { USDT: 0 } });
+    assert.deepStrictEqual(plan.orders.map(o => [o.symbol, o.side, o.value.toFixed(2)]), [
+        ['BTCUSDT', 'SELL', '100.00'],
+        ['ETHUSDT', 'BUY', '80.00'], // Paid from the sale
+    ]);
+
+    // Within ±10% nothing happens, unless forced
+    const calm = [holding('BTCUSDT', 0.7, 440), holding('ETHUSDT', 0.3, 170)];
+    assert.strictEqual(planRebalance({ totalValue: 1000, holdings: calm, cash: { USDT: 500 } }).orders.length, 0);
+    assert.strictEqual(planRebalance({ totalValue: 1000, holdings: calm, cash: { USDT: 500 }, force: true }).orders.length, 2);
+
+    config.rebalance.trim = false;
+    const noTrim = planRebalance({ totalValue: 1000, holdings, cash: { USDT: 50 } });
+    assert.deepStrictEqual(noTrim.orders.map(o => [o.symbol, o.side, o.value.toFixed(2)]), [['ETHUSDT', 'BUY', '49.95']]);
+    assert.strictEqual(noTrim.skipped[0].reason, 'trimming disabled');
+
+    const broke = planRebalance({ totalValue: 1000, holdings, cash: { USDT: 5 } });
+    assert.match(broke.skipped[1].reason, /below the minimum trade/);
+});
+
+test('Rebalance: values non-USDT quotes and respects the fee-aware minimum', async (t) => {
+    withRebalanceConfig(t, { weights: { BTCUSDT: 0.5, ETHBTC: 0.5 } });
+    config.trading.coreCoins = ['BTCUSDT', 'ETHBTC'];
+
+    const exchange = coreExchange({
+        USDT: { free: 300, total: 300 },
+        BTC: { free: 0.004, total: 0.004 },
+        ETH: { free: 0.1, total: 0.1 },
+    });
+    const notes = [];
+    const rebalancer = new CoreRebalancer({ exchange, positions: new PositionLedger(), notify: message => notes.push(message) });
+
+    const { holdings, cash } = await rebalancer.getHoldings();
+    const eth = holdings.find(h => h.symbol === 'ETHBTC');
+    assert.strictEqual(eth.quoteAsset, 'BTC');
+    assert.strictEqual(eth.value, 250, 'ETH valued through ETHBTC x BTCUSDT');
+    assert.strictEqual(cash.BTC, 200);
+    assert.ok(eth.minTradeValue > config.risk.minOrderSizeUsdt, 'Grossed up for the fee');
+
+    // Target 300 each (equity 1000): BTC 200 is 33% short, ETH 250 is 17% short
+    const result = await rebalancer.run(1000);
+    assert.deepStrictEqual(exchange.orders.map(o => [o.symbol, o.side]), [['BTCUSDT', 'BUY'], ['ETHBTC', 'BUY']]);
+    assert.strictEqual(exchange.orders[0].quantity, 100 / 50000);
+    assert.strictEqual(result.executed.length, 2);
+    assert.match(notes[0], /Bought 100.00 USDT of BTCUSDT/);
+
+    config.rebalance.dryRun = true;
+    exchange.orders = [];
+    const dry = await rebalancer.run(1000);
+    assert.strictEqual(exchange.orders.length, 0);
+    assert.strictEqual(dry.orders.length, 2);
+    assert.match(notes[1], /dry run/);
+});
+
+test('Rebalance: a defensive tilt trims one coin and holds the rest as cash', async (t) => {
+    withRebalanceConfig(t, { weights: { BTCUSDT: 0.5, ETHUSDT: 0.5 } });
+
+    // Both on target: 300 each of 1000 equity
+    const exchange = coreExchange({
+        USDT: { free: 400, total: 400 },
+        BTC: { free: 0.006, total: 0.006 },
+        ETH: { free: 0.12, total: 0.12 },
+    });
+    const rebalancer = new CoreRebalancer({ exchange, positions: new PositionLedger(), notify: () => {} });
+    assert.strictEqual((await rebalancer.preview(1000)).orders.length, 0);
+
+    rebalancer.tilt('ETHUSDT', 0.25, 72);
+    config.rebalance.trim = false; // A tilt trims regardless
+    const result = await rebalancer.run(1000, { force: true, symbols: ['ETHUSDT'], trim: true });
+    assert.deepStrictEqual(result.orders.map(o => [o.symbol, o.side, o.value.toFixed(2)]), [['ETHUSDT', 'SELL', '75.00']]);
+    assert.deepStrictEqual(rebalancer.getTilts(), { ETHUSDT: 0.75 });
+    assert.deepStrictEqual(rebalancer.getTilts(Date.now() + 73 * 3600000), {}, 'Tilts expire');
+});
+
+test('Rebalance: coins of open satellite positions are not core holdings', async (t) => {
+    withRebalanceConfig(t, { weights: { BTCUSDT: 0.5, ETHUSDT: 0.5 } });
+
+    // BTC on target at 300; ETH holds 300 of core plus 0.08 (200) bought by a satellite trade
+    const exchange = coreExchange({
+        USDT: { free: 400, total: 400 },
+        BTC: { free: 0.006, total: 0.006 },
+        ETH: { free: 0.12, locked: 0.08, total: 0.2 },
+    });
+    const positions = new PositionLedger();
+    positions.openPosition({ symbol: 'ETHUSDT', entryPrice: 2400, quantity: 0.08, entryTime: 1000 });
+    const rebalancer = new CoreRebalancer({ exchange, positions, notify: () => {} });
+
+    const { holdings } = await rebalancer.getHoldings();
+    const eth = holdings.find(h => h.symbol === 'ETHUSDT');
+    assert.strictEqual(eth.value, 300);
+    assert.strictEqual(eth.sellable, 300);
+    assert.strictEqual((await rebalancer.run(1000)).orders.length, 0, 'The satellite trade is not trimmed');
+    assert.strictEqual(exchange.orders.length, 0);
+});
+
+test('Rebalance: tilts survive a restart', (t) => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'rebalance-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const statePath = join(dir, 'rebalance_state.json');
+
+    new CoreRebalancer({ exchange: coreExchange({}), notify: () => {}, statePath }).tilt('ETHUSDT', 0.25, 72);
+    const restarted = new CoreRebalancer({ exchange: coreExchange({}), notify: () => {}, statePath });
+    assert.deepStrictEqual(restarted.getTilts(), { ETHUSDT: 0.75 });
+
+    restarted.getTilts(Date.now() + 73 * 3600000);
+    assert.deepStrictEqual(new CoreRebalancer({ exchange: coreExchange({}), notify: () => {}, statePath }).getTilts(), {}, 'Expired tilts are dropped from the file');
+});
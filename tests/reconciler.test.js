@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { ProtectionReconciler } from '../src/engine/reconciler.js';
+import { PositionLedger } from '../src/engine/ledger.js';
+import { RiskManager } from '../src/engine/risk.js';
+import { config } from '../src/config/index.js';
+import { fakeExchange } from './helpers/exchange.js';
+
+function createReconciler(exchange, positions) {
+    config.trading.pairs = ['BTCUSDT', 'SOLUSDT', 'AVAXUSDT'];
+    config.trading.coreCoins = ['BTCUSDT'];
+    const alerts = [];
+    const reconciler = new ProtectionReconciler({
+        exchange,
+        positions,
+        risk: new RiskManager({ persist: false }),
+        notify: message => alerts.push(message),
+    });
+    return { reconciler, alerts };
+}
+
+test('Protection Reconciler: re-protects a ledger position left without an OCO', async (t) => {
+    const positions = new PositionLedger();
+    const position = positions.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity: 2, entryTime: 1000 });
+    const exchange = fakeExchange({ price: 101, balances: { SOL: { free: 2, locked: 0, total: 2 }, BTC: { free: 1, locked: 0, total: 1 } } });
+    const { reconciler, alerts } = createReconciler(exchange, positions);
+
+    const report = await reconciler.run();
+
+    assert.strictEqual(report.restored.length, 1, 'Core coins are never touched');
+    assert.deepStrictEqual(exchange.placed, [{ symbol: 'SOLUSDT', quantity: 2, takeProfit: 104, stopLoss: 98 }]);
+    assert.strictEqual(position.protection[0].reason, 'RECOVERY');
+    assert.match(alerts[0], /Protection restored/);
+});
+
+test('Protection Reconciler: adopts holdings from recent fills and reports the rest', async (t) => {
+    const positions = new PositionLedger();
+    const exchange = fakeExchange({ price: 101,
+        balances: { SOL: { free: 1, locked: 0, total: 1 }, AVAX: { free: 5, locked: 0, total: 5 } },
+        buys: [{ symbol: 'SOLUSDT', price: 100 }],
+    });
+    const { reconciler, alerts } = createReconciler(exchange, positions);
+
+    const report = await reconciler.run();
+
+    const [adopted] = positions.getOpenPositions('SOLUSDT');
+    assert.strictEqual(adopted.entryPrice, 100);
+    assert.strictEqual(exchange.placed[0].stopLoss, 98);
+    assert.deepStrictEqual(report.unexplained.map(r => r.symbol), ['AVAXUSDT']);
+    assert.strictEqual(positions.getOpenPositions('AVAXUSDT').length, 0);
+    assert.ok(alerts.some(a => /Unexplained holding/.test(a)));
+});
+
+test('Protection Reconciler: sells a holding already below its stop instead of lowering the stop', async (t) => {
+    const positions = new PositionLedger();
+    const exchange = fakeExchange({ price: 101, balances: { SOL: { free: 1, locked: 0, total: 1 } }, buys: [{ symbol: 'SOLUSDT', price: 110 }] });
+    const { reconciler, alerts } = createReconciler(exchange, positions);
+
+    const report = await reconciler.run();
+
+    // Bought at 110, the 2% stop is 107.8: far above the price
+    assert.strictEqual(exchange.placed.length, 0);
+    assert.deepStrictEqual(exchange.orders, [{ symbol: 'SOLUSDT', side: 'SELL', quantity: 1 }]);
+    assert.deepStrictEqual(report.exited.map(r => r.symbol), ['SOLUSDT']);
+    assert.strictEqual(report.events.length, 1);
+    assert.strictEqual(report.events[0].exit.reason, 'SL');
+    assert.strictEqual(report.events[0].position.status, 'CLOSED');
+    assert.strictEqual(positions.getOpenPositions('SOLUSDT').length, 0);
+    assert.match(alerts[0], /already below it \(SL 107\.8000/);
+});
+
+test('Protection Reconciler: leaves protected and in-flight holdings alone', async (t) => {
+    const positions = new PositionLedger();
+    const exchange = fakeExchange({ price: 101,
+        balances: { SOL: { free: 0, locked: 1, total: 1 }, AVAX: { free: 5, locked: 0, total: 5 } },
+        openOrders: [{ symbol: 'SOLUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', origQty: '1', executedQty: '0' }],
+    });
+    const { reconciler } = createReconciler(exchange, positions);
+
+    const report = await reconciler.run({ skip: new Set(['AVAXUSDT']) });
+
+    assert.strictEqual(exchange.placed.length, 0);
+    assert.strictEqual(report.restored.length + report.unexplained.length, 0);
+});
@@ -1,8 +1,11 @@
 import test from 'node:test';
 import assert from 'node:assert';
-import { riskManager } from '../src/engine/risk.js';
+import { RiskManager, candleReturns, correlation } from '../src/engine/risk.js';
 import { config } from '../src/config/index.js';
 
+// Never the singleton: its breakers are saved to the bot's real data/ files
+const riskManager = new RiskManager({ persist: false });
+
 test('RiskManager - Initial State', (t) => {
     riskManager.dailyStats.isHalted = false;
     riskManager.dailyStats.tradesCount = 0;
@@ -59,3 +62,139 @@ test('RiskManager - Breakers', (t) => {
     riskManager.updateBalance(940);
     assert.strictEqual(riskManager.canTrade(), false, 'Daily loss breaker failed to halt bot');
 });
+
+test('RiskManager - Max Drawdown Breaker', (t) => {
+    let now = Date.UTC(2026, 0, 1, 12);
+    const risk = new RiskManager({ persist: false, clock: () => now });
+
+    risk.updateBalance(1000);
+    risk.updateBalance(1200); // New all-time high
+    assert.strictEqual(risk.riskState.peakEquity, 1200);
+
+    // ~12% below peak, while keeping the daily loss under its own limit
+    risk.dailyStats.initialBalance = 1100;
+    risk.updateBalance(1060);
+    assert.strictEqual(risk.canTrade(), true, 'Should still trade within the drawdown limit');
+
+    // 15% below the 1200 peak
+    risk.dailyStats.initialBalance = 1050;
+    risk.updateBalance(1020);
+    assert.strictEqual(risk.canTrade(), false, 'Drawdown breaker should halt trading');
+
+    // Survives the midnight rollover and a daily breaker reset
+    now += 24 * 60 * 60 * 1000;
+    risk.updateBalance(1020);
+    risk.resetBreaker();
+    assert.strictEqual(risk.canTrade(), false, 'Drawdown breaker must not clear itself');
+
+    risk.resetDrawdownBreaker();
+    assert.strictEqual(risk.canTrade(), true, 'Admin reset should resume trading');
+    assert.strictEqual(risk.riskState.peakEquity, 1020, 'Peak should be re-based to current equity');
+});
+
+test('RiskManager - ATR Stops and Risk-Based Sizing', (t) => {
+    const risk = new RiskManager({ persist: false });
+    const candles = Array.from({ length: 30 }, (_, i) => ({ open: 100, high: 101, low: 99, close: 100, openTime: i }));
+    const previousMode = config.risk.mode;
+
+    try {
+        config.risk.mode = 'fixed';
+        assert.strictEqual(risk.getAtr(candles), null, 'Fixed mode ignores volatility');
+        assert.strictEqual(risk.getStopPercent(100, 2), config.risk.defaultStopLoss);
+
+        config.risk.mode = 'atr';
+        const atr = risk.getAtr(candles);
+        assert.ok(Math.abs(atr - 2) < 1e-9, 'True range of 2 on every candle');
+        assert.strictEqual(risk.getAtr(candles.slice(0, 5)), null, 'Not enough history falls back to fixed');
+
+        // 2 x ATR of 2 on a 100 price = 4% stop, TP at 2R
+        const stopPercent = risk.getStopPercent(100, atr);
+        assert.ok(Math.abs(stopPercent - 0.04) < 1e-9);
+        const { stopLoss, takeProfit } = risk.getExitPoints(100, 'BUY', null, { atr });
+        assert.ok(Math.abs(stopLoss - 96) < 1e-9);
+        assert.ok(Math.abs(takeProfit - 108) < 1e-9);
+        assert.ok(risk.getStopPercent(100, 50) <= config.risk.maxStopLoss, 'Stop distance is clamped');
+
+        // Losing the stop distance costs MAX_RISK_PER_TRADE of equity (until the exposure cap)
+        const capital = 10000;
+        const cap = capital * config.allocation.satellite * config.risk.maxSatelliteExposure;
+        for (const stop of [stopPercent, 0.2]) {
+            const size = risk.calculatePositionSize(capital, 65, { stopPercent: stop });
+            assert.ok(Math.abs(size - Math.min(capital * config.risk.maxRiskPerTrade / stop, cap)) < 1e-9);
+        }
+        assert.ok(risk.calculatePositionSize(capital, 65, { stopPercent: 0.2 }) < risk.calculatePositionSize(capital, 65, { stopPercent }), 'Wider stops buy less');
+    } finally {
+        config.risk.mode = previousMode;
+    }
+});
+
+test('RiskManager - Liquidity Guard', (t) => {
+    const risk = new RiskManager({ persist: false });
+    const previous = config.liquidity;
+    config.liquidity = { ...previous, maxSpread: 0.003, maxSlippage: 0.005, action: 'resize' };
+
+    try {
+        const liquid = { spread: 0.0005, slippage: 0.001, depthExhausted: false, maxQuoteWithinSlippage: 5000 };
+        assert.deepStrictEqual(risk.applyLiquidityLimits(100, liquid), { tradeSizeUsdt: 100, reason: null });
+
+        const wide = risk.applyLiquidityLimits(100, { ...liquid, spread: 0.01 });
+        assert.strictEqual(wide.tradeSizeUsdt, 0, 'Spread can only be refused');
+        assert.match(wide.reason, /spread 1.00% > 0.30%/);
+
+        const thin = { spread: 0.001, slippage: 0.012, depthExhausted: false, maxQuoteWithinSlippage: 42.567 };
+        const resized = risk.applyLiquidityLimits(100, thin);
+        assert.strictEqual(resized.tradeSizeUsdt, 42.56);
+        assert.match(resized.reason, /slippage 1.20% > 0.50%, resized 100.00 -> 42.56/);
+
+        // Too little depth left for the minimum order size
+        assert.strictEqual(risk.applyLiquidityLimits(100, { ...thin, maxQuoteWithinSlippage: 3 }).tradeSizeUsdt, 0);
+
+        config.liquidity.action = 'refuse';
+        assert.strictEqual(risk.applyLiquidityLimits(100, thin).tradeSizeUsdt, 0);
+    } finally {
+        config.liquidity = previous;
+    }
+});
+
+test('RiskManager - Portfolio Exposure Limits', (t) => {
+    const risk = new RiskManager({ persist: false });
+    const previous = config.portfolio;
+    config.portfolio = {
+        ...previous,
+        maxExposure: 0.4,
+        maxSectorExposure: 0.2,
+        sectors: { SOLUSDT: 'l1', AVAXUSDT: 'l1' },
+        correlationThreshold: 0.8,
+        maxCorrelatedExposure: 0.25,
+    };
+
+    try {
+        const closes = [100, 102, 101, 104, 103, 106];
+        const returns = candleReturns(closes.map(close => ({ close })));
+        assert.ok(Math.abs(correlation(returns, returns.map(r => r * 2)) - 1) < 1e-9);
+        assert.ok(Math.abs(correlation(returns, returns.map(r => -r)) + 1) < 1e-9);
+        assert.strictEqual(correlation(returns, returns.map(() => 0)), 0, 'Flat series');
+
+        const base = { tradeSizeUsdt: 50, totalValue: 1000 };
+        const free = risk.checkPortfolioLimits({ ...base, symbol: 'ETHUSDT', holdings: [{ symbol: 'SOLUSDT', value: 100 }] });
+        assert.strictEqual(free.allowed, true);
+        assert.strictEqual(free.exposure.total, 0.15);
+
+        const full = risk.checkPortfolioLimits({ ...base, symbol: 'ETHUSDT', holdings: [{ symbol: 'SOLUSDT', value: 150 }, { symbol: 'LINKUSDT', value: 220 }] });
+        assert.match(full.reason, /satellite exposure would reach 42.0%/);
+
+        const sector = risk.checkPortfolioLimits({ ...base, symbol: 'AVAXUSDT', holdings: [{ symbol: 'SOLUSDT', value: 180 }] });
+        assert.match(sector.reason, /l1 exposure would reach 23.0% \(max 20.0%\)/);
+
+        // Different sectors, but they move together
+        const holdings = [{ symbol: 'SOLUSDT', value: 120 }, { symbol: 'DOGEUSDT', value: 100 }];
+        const correlated = risk.checkPortfolioLimits({ ...base, symbol: 'PEPEUSDT', holdings, correlations: { SOLUSDT: 0.3, DOGEUSDT: 0.9 } });
+        assert.strictEqual(correlated.allowed, true, '15% with DOGE');
+
+        const blocked = risk.checkPortfolioLimits({ ...base, symbol: 'PEPEUSDT', holdings, correlations: { SOLUSDT: 0.85, DOGEUSDT: 0.9 } });
+        assert.strictEqual(blocked.allowed, false);
+        assert.match(blocked.reason, /correlated exposure with SOLUSDT, DOGEUSDT would reach 27.0%/);
+    } finally {
+        config.portfolio = previous;
+    }
+});
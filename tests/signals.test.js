@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { SignalExitManager, isBearishSignal, getSignalExitShare, describeSignal } from '../src/engine/signals.js';
+import { PositionLedger } from '../src/engine/ledger.js';
+import { fakeExchange, holding } from './helpers/exchange.js';
+
+function solExchange({ price, held, filled = {} }) {
+    return fakeExchange({
+        price,
+        balances: { SOL: holding(held) },
+        symbolInfo: () => ({ baseAsset: 'SOL', minQty: 0.01, minNotional: 5 }),
+        stepSize: 0.01,
+        filled,
+        fee: 0.05,
+    });
+}
+
+const BEARISH = { verdict: 'BEARISH', suggested_action: 'SELL', confidence: 75, reasoning: 'Exchange hack' };
+
+function openProtected(positions, quantity = 2) {
+    const position = positions.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity, entryTime: 1000 });
+    positions.addProtection(position.id, { orderListId: 1, orderReports: [{ orderId: 2, type: 'STOP_LOSS_LIMIT' }, { orderId: 3, type: 'LIMIT_MAKER' }] }, { quantity, takeProfit: 110, stopLoss: 98 });
+    return position;
+}
+
+test('Signal Exits: only confident SELL / BEARISH analyses count', (t) => {
+    assert.strictEqual(isBearishSignal(BEARISH, 70), true);
+    assert.strictEqual(isBearishSignal({ ...BEARISH, confidence: 60 }, 70), false);
+    assert.strictEqual(isBearishSignal({ ...BEARISH, suggested_action: 'FOLD' }, 70), false);
+    assert.strictEqual(isBearishSignal(null, 70), false);
+
+    const settings = { mode: 'reduce', reduceShare: 0.5, fullExitConfidence: 85 };
+    assert.strictEqual(getSignalExitShare(BEARISH, settings), 0.5);
+    assert.strictEqual(getSignalExitShare({ ...BEARISH, confidence: 90 }, settings), 1);
+    assert.strictEqual(getSignalExitShare(BEARISH, { ...settings, mode: 'exit' }), 1);
+    assert.strictEqual(getSignalExitShare(BEARISH, { ...settings, mode: 'off' }), 0);
+});
+
+test('Signal Exits: cancels the OCO and sells the whole position as SIGNAL', async (t) => {
+    const positions = new PositionLedger();
+    const position = openProtected(positions);
+    const exchange = solExchange({ price: 103, held: 2 });
+    const signals = new SignalExitManager({ exchange, positions, notify: () => {} });
+
+    const note = describeSignal({ ...BEARISH, news: { url: 'https://example.com/hack' } });
+    assert.strictEqual(note, 'Bearish news (75% confidence): Exchange hack\n<https://example.com/hack>');
+
+    const { events, sold } = await signals.exitPosition(position, 1, { note });
+    assert.deepStrictEqual(exchange.cancelled, [1]);
+    assert.strictEqual(sold, 2);
+    assert.strictEqual(position.status, 'CLOSED');
+    assert.strictEqual(position.exitReason, 'SIGNAL');
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].exit.price, 103);
+    assert.strictEqual(events[0].exit.note, note, 'The news goes out with the trade alert');
+    assert.strictEqual(exchange.placed.length, 0, 'Nothing left to protect');
+});
+
+test('Signal Exits: reduce books OCO fills first and re-protects the rest', async (t) => {
+    const positions = new PositionLedger();
+    const position = openProtected(positions);
+    // The take profit sold 0.4 before the cancel went through
+    const exchange = solExchange({ price: 103, held: 1.6, filled: { 3: 0.4 } });
+    const signals = new SignalExitManager({ exchange, positions, notify: () => {} });
+
+    const { events } = await signals.exitPosition(position, 0.5);
+    assert.deepStrictEqual(events.map(e => e.exit.reason), ['TP', 'SIGNAL']);
+    assert.deepStrictEqual(exchange.orders, [{ symbol: 'SOLUSDT', side: 'SELL', quantity: 0.8 }]);
+    assert.strictEqual(position.status, 'OPEN');
+    assert.strictEqual(Number(position.remainingQty.toFixed(8)), 0.8);
+    assert.deepStrictEqual(exchange.placed, [{ symbol: 'SOLUSDT', quantity: 0.8, takeProfit: 110, stopLoss: 98 }]);
+    assert.strictEqual(positions.getActiveProtection(position.id).stopLoss, 98);
+
+    // A remainder below the exchange minimum is sold with the rest
+    exchange.placed = [];
+    await signals.exitPosition(position, 0.97);
+    assert.strictEqual(position.status, 'CLOSED');
+    assert.strictEqual(exchange.placed.length, 0);
+});
+
+test('Signal Exits: a failed cancel sells nothing and re-protects the rungs already cancelled', async (t) => {
+    const positions = new PositionLedger();
+    const position = positions.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity: 2, entryTime: 1000 });
+    const rung = id => ({ orderListId: id, orderReports: [{ orderId: id * 10, type: 'STOP_LOSS_LIMIT' }, { orderId: id * 10 + 1, type: 'LIMIT_MAKER' }] });
+    positions.addProtection(position.id, rung(1), { quantity: 1, takeProfit: 105, stopLoss: 98 });
+    positions.addProtection(position.id, rung(2), { quantity: 1, takeProfit: 110, stopLoss: 98 });
+    const exchange = fakeExchange({ price: 103, balances: { SOL: holding(1) }, symbolInfo: () => ({ baseAsset: 'SOL', minQty: 0.01, minNotional: 5 }), failCancel: [2] });
+    const signals = new SignalExitManager({ exchange, positions, notify: () => {} });
+
+    await assert.rejects(signals.exitPosition(position, 1), /Unknown order/);
+    assert.deepStrictEqual(exchange.orders, [], 'Nothing sold');
+    assert.deepStrictEqual(exchange.placed, [{ symbol: 'SOLUSDT', quantity: 1, takeProfit: 105, stopLoss: 98 }]);
+    assert.deepStrictEqual(position.protection.filter(p => p.status === 'ACTIVE').map(p => p.orderListId), [2, 101]);
+    assert.strictEqual(position.status, 'OPEN');
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createStrategy, getStrategyForPair, validateStrategyConfig } from '../src/strategy/index.js';
+import { config } from '../src/config/index.js';
+
+const HOUR_MS = 3600000;
+
+function candle(close, i) {
+    return { openTime: i * HOUR_MS, open: close, high: close * 1.001, low: close * 0.999, close, volume: 1, closeTime: (i + 1) * HOUR_MS - 1, quoteVolume: close };
+}
+
+test('Strategies: pairs use their configured strategy, others the default', (t) => {
+    config.strategy.default = 'rsi-momentum';
+    config.strategy.pairs = { SOLUSDT: 'bollinger' };
+
+    assert.strictEqual(getStrategyForPair('SOLUSDT').name, 'bollinger');
+    assert.strictEqual(getStrategyForPair('ETHUSDT').name, 'rsi-momentum');
+    assert.deepStrictEqual(validateStrategyConfig(), []);
+
+    config.strategy.pairs = { SOLUSDT: 'moon-boy' };
+    assert.match(validateStrategyConfig()[0], /moon-boy/);
+    assert.throws(() => createStrategy('moon-boy'), /Unknown strategy/);
+});
+
+test('Strategies: rsi-momentum vetoes volatile pairs', (t) => {
+    const strategy = createStrategy('rsi-momentum');
+    const candles1h = Array.from({ length: 50 }, (_, i) => candle(100 + (i % 2 ? 0.5 : -0.5), i));
+    const candles4h = Array.from({ length: 30 }, (_, i) => candle(100, i));
+
+    const calm = strategy.evaluate({ '1h': candles1h, '4h': candles4h });
+    assert.strictEqual(calm.veto, null);
+
+    candles1h[49] = { ...candle(100, 49), high: 108, low: 99 };
+    const wild = strategy.evaluate({ '1h': candles1h, '4h': candles4h });
+    assert.strictEqual(wild.veto, 'high volatility');
+    assert.strictEqual(wild.signal, false);
+});
+
+test('Strategies: ema-cross fires once on the crossover', (t) => {
+    const strategy = createStrategy('ema-cross');
+    const closes = [
+        ...Array.from({ length: 50 }, (_, i) => 100 - i * 0.5),
+        ...Array.from({ length: 30 }, (_, i) => 75 + i * 0.8),
+    ];
+    const series = closes.map(candle);
+
+    const signals = [];
+    for (let n = 30; n <= series.length; n++) {
+        if (strategy.evaluate({ '1h': series.slice(0, n), '4h': [] }).signal) signals.push(n);
+    }
+    assert.strictEqual(signals.length, 1);
+    assert.ok(signals[0] > 50, 'Only after the trend turned');
+});
+
+test('Strategies: bollinger buys the re-entry above the lower band', (t) => {
+    const strategy = createStrategy('bollinger');
+    const flat = Array.from({ length: 48 }, (_, i) => candle(100 + (i % 2 ? 0.3 : -0.3), i));
+
+    assert.strictEqual(strategy.evaluate({ '1h': [...flat, candle(95, 48), candle(98, 49)] }).signal, true);
+    assert.strictEqual(strategy.evaluate({ '1h': [...flat, candle(95, 48), candle(94, 49)] }).signal, false, 'Still falling');
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { BinanceExchange } from '../src/exchange/binance.js';
+import { PaperExchange } from '../src/exchange/paper.js';
+import { MarketStream } from '../src/exchange/stream.js';
+import { config } from '../src/config/index.js';
+
+function fakeClient({ openOrders = [], balances = [] } = {}) {
+    const client = {
+        restCalls: 0,
+        ws: {
+            miniTicker(symbols, cb) {
+                client.emitTicker = cb;
+                return () => {};
+            },
+            async user(cb) {
+                client.emitUser = cb;
+                return () => {};
+            },
+        },
+        async accountInfo() {
+            client.restCalls++;
+            return { balances };
+        },
+        async openOrders() {
+            client.restCalls++;
+            return openOrders;
+        },
+        async prices() {
+            client.restCalls++;
+            return {};
+        },
+    };
+    return client;
+}
+
+test('Market Stream: user events keep balances and open orders live', async (t) => {
+    config.paper.enabled = false;
+    const exchange = new BinanceExchange();
+    exchange.client = fakeClient({ balances: [{ asset: 'USDT', free: '100', locked: '0' }] });
+
+    const stream = new MarketStream(exchange);
+    t.after(() => stream.stop());
+    await stream.start(['SOLUSDT']);
+
+    exchange.client.emitUser({ eventType: 'open' });
+    await new Promise(resolve => stream.once('resync', resolve));
+    assert.strictEqual(exchange.streaming.account, true);
+    assert.strictEqual(exchange.balances.USDT.free, 100);
+
+    const orders = [];
+    stream.on('order', order => orders.push(order));
+    const report = {
+        eventType: 'executionReport', symbol: 'SOLUSDT', orderId: 5, orderListId: 2, side: 'SELL',
+        orderType: 'LIMIT_MAKER', quantity: '1', price: '104', stopPrice: '0',
+        totalTradeQuantity: '0', totalQuoteTradeQuantity: '0', orderStatus: 'NEW',
+    };
+    exchange.client.emitUser(report);
+    exchange.client.emitUser({ eventType: 'outboundAccountPosition', balances: [{ asset: 'SOL', free: '0', locked: '1' }] });
+
+    const callsBefore = exchange.client.restCalls;
+    assert.strictEqual((await exchange.getOpenOrders('SOLUSDT')).length, 1);
+    assert.strictEqual((await exchange.updateBalances()).SOL.locked, 1);
+    assert.strictEqual(exchange.client.restCalls, callsBefore, 'Cached state should not hit REST');
+
+    exchange.client.emitUser({ ...report, orderStatus: 'FILLED', totalTradeQuantity: '1', totalQuoteTradeQuantity: '104' });
+    exchange.client.emitUser({ eventType: 'outboundAccountPosition', balances: [{ asset: 'SOL', free: '0', locked: '0' }] });
+    assert.strictEqual((await exchange.getOpenOrders()).length, 0);
+    assert.strictEqual(exchange.balances.SOL, undefined);
+    assert.deepStrictEqual(orders.map(o => o.status), ['NEW', 'FILLED']);
+    assert.strictEqual(orders[1].cummulativeQuoteQty, '104');
+
+    // An error drops back to REST until the next open + resync
+    exchange.client.emitUser({ eventType: 'error', error: new Error('socket hang up') });
+    assert.strictEqual(exchange.streaming.account, false);
+});
+
+test('Market Stream: paper mode fills simulated orders from ticker prices', async (t) => {
+    config.paper.enabled = true;
+    config.trading.feeRate = 0;
+    t.after(() => { config.paper.enabled = false; });
+
+    const exchange = new BinanceExchange();
+    exchange.client = fakeClient();
+    exchange.paper = new PaperExchange();
+    exchange.paper.reset(1000, ['SOL']);
+    exchange.paper.processPrice('SOLUSDT', 100);
+    exchange.paper.marketOrder('SOLUSDT', 'BUY', 1, 100);
+    exchange.paper.placeOco({ symbol: 'SOLUSDT', side: 'SELL', quantity: 1, price: 104, stopPrice: 98, stopLimitPrice: 97.5 });
+
+    const stream = new MarketStream(exchange);
+    t.after(() => stream.stop());
+    await stream.start(['SOLUSDT']);
+    assert.strictEqual(exchange.client.emitUser, undefined, 'No user stream in paper mode');
+
+    const orders = [];
+    stream.on('order', order => orders.push(order));
+    exchange.client.emitTicker({ symbol: 'SOLUSDT', curDayClose: '104.5' });
+
+    assert.strictEqual(exchange.streaming.prices, true);
+    assert.strictEqual(await exchange.getPrice('SOLUSDT'), 104.5);
+    assert.strictEqual(exchange.client.restCalls, 0);
+    assert.strictEqual(orders.length, 1);
+    assert.strictEqual(orders[0].type, 'LIMIT_MAKER');
+    assert.strictEqual(orders[0].status, 'FILLED');
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { TrailingStopManager, computeTrailingStop } from '../src/engine/trailing.js';
+import { PositionLedger } from '../src/engine/ledger.js';
+import { config } from '../src/config/index.js';
+import { fakeExchange, holding } from './helpers/exchange.js';
+
+const SETTINGS = { activation: 0.02, percent: 0.02, atrMultiplier: 2, steps: [{ gain: 0.02, lock: 0.002 }, { gain: 0.04, lock: 0.02 }] };
+
+function openProtected(positions, { quantity = 2, takeProfit = 110 } = {}) {
+    const position = positions.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity, entryTime: 1000 });
+    positions.addProtection(position.id, { orderListId: 1, orderReports: [{ orderId: 2, type: 'STOP_LOSS_LIMIT' }, { orderId: 3, type: 'LIMIT_MAKER' }] }, { quantity, takeProfit, stopLoss: 98 });
+    return position;
+}
+
+test('Trailing Stops: percent, ATR and break-even targets', (t) => {
+    const base = { entryPrice: 100, settings: SETTINGS };
+    assert.strictEqual(computeTrailingStop({ ...base, mode: 'percent', highestPrice: 101 }), null, 'Not activated yet');
+    assert.strictEqual(computeTrailingStop({ ...base, mode: 'percent', highestPrice: 105 }), 105 * 0.98);
+    assert.strictEqual(computeTrailingStop({ ...base, mode: 'atr', highestPrice: 105, atr: 1.5 }), 102);
+
+    assert.strictEqual(computeTrailingStop({ ...base, mode: 'breakeven', highestPrice: 101.9 }), null);
+    assert.strictEqual(computeTrailingStop({ ...base, mode: 'breakeven', highestPrice: 102.5 }), 100 * 1.002);
+    assert.strictEqual(computeTrailingStop({ ...base, mode: 'breakeven', highestPrice: 106 }), 102);
+});
+
+test('Trailing Stops: ratchets up from the high-water mark and keeps the take profit', async (t) => {
+    config.trailing = { ...SETTINGS, mode: 'percent', minStep: 0.002 };
+    const positions = new PositionLedger();
+    const position = openProtected(positions);
+    const exchange = fakeExchange({ price: 105, balances: { SOL: holding(2) } });
+    const alerts = [];
+    const trailing = new TrailingStopManager({ exchange, positions, notify: message => alerts.push(message) });
+
+    const first = await trailing.run();
+    assert.deepStrictEqual(exchange.placed, [{ symbol: 'SOLUSDT', quantity: 2, takeProfit: 110, stopLoss: 102.9 }]);
+    assert.strictEqual(first.moved[0].from, 98);
+    assert.strictEqual(positions.getActiveProtection(position.id).reason, 'TRAIL');
+    assert.strictEqual(position.protection[0].status, 'REPLACED');
+
+    // Price falls back: the high-water mark holds and the stop never moves down
+    exchange.price = 103.5;
+    const second = await trailing.run();
+    assert.strictEqual(second.moved.length, 0);
+    assert.strictEqual(position.highestPrice, 105);
+    assert.strictEqual(exchange.placed.length, 1);
+
+    // Symbols with orders in flight elsewhere are left alone
+    exchange.price = 108;
+    await trailing.run({ inFlight: new Set(['SOLUSDT']) });
+    assert.strictEqual(exchange.placed.length, 1);
+    assert.match(alerts[0], /TP stays 110/);
+});
+
+test('Trailing Stops: books a partial fill of the cancelled OCO and protects the rest', async (t) => {
+    config.trailing = { ...SETTINGS, mode: 'breakeven', minStep: 0.002 };
+    const positions = new PositionLedger();
+    const position = openProtected(positions);
+    // The take-profit leg sold 0.5 before the cancel went through
+    const exchange = fakeExchange({ price: 104.5, balances: { SOL: holding(1.5) }, filled: { 3: 0.5 } });
+    const trailing = new TrailingStopManager({ exchange, positions, notify: () => {} });
+
+    const { events } = await trailing.run();
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].exit.reason, 'TP');
+    assert.strictEqual(position.remainingQty, 1.5);
+    assert.deepStrictEqual(exchange.placed, [{ symbol: 'SOLUSDT', quantity: 1.5, takeProfit: 110, stopLoss: 102 }]);
+});
+
+test('Trailing Stops: moves the rest of a ladder to break-even after the first target', async (t) => {
+    config.trailing = { ...SETTINGS, mode: 'off', minStep: 0.002 };
+    const positions = new PositionLedger();
+    const position = positions.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity: 2, entryTime: 1000 });
+    const rung = (id, takeProfit) => ({ orderListId: id, orderReports: [{ orderId: id * 10, type: 'STOP_LOSS_LIMIT' }, { orderId: id * 10 + 1, type: 'LIMIT_MAKER' }] });
+    positions.addProtection(position.id, rung(1), { quantity: 1, takeProfit: 103, stopLoss: 98 });
+    positions.addProtection(position.id, rung(2), { quantity: 1, takeProfit: 106, stopLoss: 98 });
+    const exchange = fakeExchange({ price: 103.2, balances: { SOL: holding(1) } });
+    const trailing = new TrailingStopManager({ exchange, positions, notify: () => {} });
+
+    // Nothing to do before a target filled
+    assert.strictEqual((await trailing.run()).moved.length, 0);
+
+    positions.recordExit(position.id, { price: 103, quantity: 1, reason: 'TP', orderId: 11 });
+    position.protection[0].status = 'FILLED';
+
+    const { moved } = await trailing.run();
+    assert.strictEqual(moved.length, 1);
+    assert.deepStrictEqual(exchange.cancelled, [2], 'Only the open rung is replaced');
+    assert.deepStrictEqual(exchange.placed, [{ symbol: 'SOLUSDT', quantity: 1, takeProfit: 106, stopLoss: 100.2 }]);
+});
+
+test('Trailing Stops: a failed cancel puts the previous stop back on the rungs already cancelled', async (t) => {
+    config.trailing = { ...SETTINGS, mode: 'percent', minStep: 0.002 };
+    const positions = new PositionLedger();
+    const position = positions.openPosition({ symbol: 'SOLUSDT', entryPrice: 100, quantity: 2, entryTime: 1000 });
+    const rung = id => ({ orderListId: id, orderReports: [{ orderId: id * 10, type: 'STOP_LOSS_LIMIT' }, { orderId: id * 10 + 1, type: 'LIMIT_MAKER' }] });
+    positions.addProtection(position.id, rung(1), { quantity: 1, takeProfit: 103, stopLoss: 98 });
+    positions.addProtection(position.id, rung(2), { quantity: 1, takeProfit: 106, stopLoss: 98 });
+    // Rung 2 still locks its coin, so only rung 1's is free once it is cancelled
+    const exchange = fakeExchange({ price: 105, balances: { SOL: holding(1) }, failCancel: [2] });
+    const alerts = [];
+    const trailing = new TrailingStopManager({ exchange, positions, notify: message => alerts.push(message) });
+
+    const { moved } = await trailing.run();
+    assert.strictEqual(moved.length, 0);
+    assert.deepStrictEqual(exchange.cancelled, [1]);
+    assert.deepStrictEqual(exchange.placed, [{ symbol: 'SOLUSDT', quantity: 1, takeProfit: 103, stopLoss: 98 }]);
+    assert.deepStrictEqual(position.protection.filter(p => p.status === 'ACTIVE').map(p => p.orderListId), [2, 101]);
+    assert.strictEqual(alerts.length, 0);
+});
+
+test('Trailing Stops: fills booked before the cancel survive a failed restore', async (t) => {
+    config.trailing = { ...SETTINGS, mode: 'percent', minStep: 0.002 };
+    const positions = new PositionLedger();
+    const position = openProtected(positions);
+    // The take-profit leg sold 0.5 before the cancel, then every new OCO is rejected
+    const exchange = fakeExchange({ price: 105, balances: { SOL: holding(1.5) }, filled: { 3: 0.5 }, failOcoAt: 110 });
+    const alerts = [];
+    const trailing = new TrailingStopManager({ exchange, positions, notify: message => alerts.push(message) });
+
+    const { events, moved } = await trailing.run();
+    assert.strictEqual(moved.length, 0);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].exit.reason, 'TP');
+    assert.strictEqual(position.remainingQty, 1.5);
+    assert.match(alerts[0], /SOLUSDT IS UNPROTECTED/);
+});